@@ -0,0 +1,17 @@
+'use strict';
+
+class AbortedError extends Error{
+
+    /**
+     * @param {string} message
+     * @param {string} [requestedBy] - who asked for the abort
+     */
+    constructor(message, requestedBy) {
+      super(message);
+      this.name = "AbortedError";
+      this.requestedBy = requestedBy || null;
+    }
+}
+
+
+module.exports = AbortedError;
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * A failed call to the Alfresco or Arendel API. The subclasses tell what went wrong, transient errors
+ * are worth retrying (see Alfresco, the retry policy of its connection)
+ */
+class ApiError extends Error{
+
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {number} [details.status] - the HTTP status, if the server answered
+     * @param {string} [details.method] - e.g. GET
+     * @param {string} [details.url]
+     * @param {*} [details.body] - what the server answered
+     */
+    constructor(message, details) {
+      super(message);
+      this.name = "ApiError";
+      const d = details || {};
+      this.status = d.status || null;
+      this.method = d.method || null;
+      this.url = d.url || null;
+      this.body = d.body;
+    }
+
+    get transient () {
+        return false;
+    }
+
+    /**
+     * @return {ApiError} the error matching an HTTP status
+     */
+    static fromStatus ( status, message, details ) {
+        const Type = status === 401 ? AuthenticationError
+                   : status === 403 ? PermissionError
+                   : status === 404 ? NotFoundError
+                   : status === 409 ? ConflictError
+                   : ( status >= 500 || status === 408 || status === 429 ) ? ServerError
+                   : ApiError;
+        return new Type( message, Object.assign( {}, details, { status: status } ) );
+    }
+}
+
+// 401, the credentials are wrong or the ticket expired
+class AuthenticationError extends ApiError{
+    constructor(message, details) {
+      super(message, details);
+      this.name = "AuthenticationError";
+    }
+}
+
+// 403
+class PermissionError extends ApiError{
+    constructor(message, details) {
+      super(message, details);
+      this.name = "PermissionError";
+    }
+}
+
+// 404
+class NotFoundError extends ApiError{
+    constructor(message, details) {
+      super(message, details);
+      this.name = "NotFoundError";
+    }
+}
+
+// 409, e.g. a node with the same name already exists
+class ConflictError extends ApiError{
+    constructor(message, details) {
+      super(message, details);
+      this.name = "ConflictError";
+    }
+}
+
+// 5xx, 408 and 429: the server may do better later
+class ServerError extends ApiError{
+    constructor(message, details) {
+      super(message, details);
+      this.name = "ServerError";
+    }
+
+    get transient () {
+        return true;
+    }
+}
+
+// no answer from the server: refused, reset, timed out...
+class NetworkError extends ApiError{
+
+    /**
+     * @param {string} message
+     * @param {object} [details] - as for ApiError, plus code: the code of the system error, e.g. ECONNRESET
+     */
+    constructor(message, details) {
+      super(message, details);
+      this.name = "NetworkError";
+      this.code = ( details && details.code ) || null;
+    }
+
+    get transient () {
+        return true;
+    }
+}
+
+
+ApiError.AuthenticationError = AuthenticationError;
+ApiError.PermissionError = PermissionError;
+ApiError.NotFoundError = NotFoundError;
+ApiError.ConflictError = ConflictError;
+ApiError.ServerError = ServerError;
+ApiError.NetworkError = NetworkError;
+
+module.exports = ApiError;
@@ -2,9 +2,14 @@
 
 class ConfigurationError extends Error{
 
-    constructor(message) {
+    /**
+     * @param {string} message
+     * @param {string} [path] - the path of the field in conf.json, e.g. "alfresco.url"
+     */
+    constructor(message, path) {
       super(message);
       this.name = "ConfigurationError";
+      this.path = path;
     }
 }
 
@@ -0,0 +1,17 @@
+'use strict';
+
+class ExtractionError extends Error{
+
+    /**
+     * @param {string} message
+     * @param {string} code - UNSAFE_PATH, NAME_COLLISION or ARCHIVE_TOO_LARGE
+     */
+    constructor(message, code) {
+      super(message);
+      this.name = "ExtractionError";
+      this.code = code;
+    }
+}
+
+
+module.exports = ExtractionError;
@@ -0,0 +1,12 @@
+'use strict';
+
+class MalformedMessageError extends Error{
+
+    constructor(message) {
+      super(message);
+      this.name = "MalformedMessageError";
+    }
+}
+
+
+module.exports = MalformedMessageError;
@@ -1,65 +1,130 @@
 'use strict';
 
 const Fs = require('fs');
+const Crypto = require('crypto');
 const Axios = require('axios');
 const util = require('util');
 const setTimeoutPromise = util.promisify(setTimeout);
 
 const logger = require('./logger');
+const retry = require('./retry');
+const Metrics = require('./metrics');
+const AbortedError = require('./AbortedError');
+const ApiError = require('./ApiError');
+const CancellationToken = require('./cancellation');
 
 
 // this is in milliseconds
 const POLLING_PERIOD = 10000;
+// a download still not ready after 1 hour is considered failed
+const DOWNLOAD_DEADLINE = 3600 * 1000;
 // use chunks of 8MB
 const CHUNK_SIZE = 8 * 1024 * 1024;
+// what is kept of the answer of a failed request
+const MAX_ERROR_BODY = 64 * 1024;
 
-function alfrescoApiErrorHandler ( error ) {
+function isStream ( data ) {
+    return !!data && typeof data.pipe === 'function';
+}
 
-    //console.log( error.config );
+function readBody ( data ) {
+    if ( !isStream( data ) ) {
+        return Promise.resolve( data );
+    }
+    // the body of a failed streamed request is still to be read, it's short anyway
+    return new Promise( (resolve) => {
+        const chunks = [];
+        var size = 0;
+        data.on('data', (chunk) => {
+            if ( size < MAX_ERROR_BODY ) {
+                chunks.push( chunk );
+                size += chunk.length;
+            }
+        });
+        data.on('error', () => resolve( Buffer.concat( chunks ).toString() ));
+        data.on('end', () => {
+            const text = Buffer.concat( chunks ).toString();
+            try {
+                resolve( JSON.parse( text ) );
+            } catch (e) {
+                resolve( text );
+            }
+        });
+    });
+}
 
+/**
+ * Turns a failure of axios into an ApiError with the status, the URL and the answer of the server
+ * @return {Promise<Error>} the ApiError, or the error itself if the request could not even be sent
+ */
+function toApiError ( error ) {
+    const config = error.config;
+    if ( error instanceof ApiError || !config ) {
+        return Promise.resolve( error );
+    }
+    const url = /^https?:/.test( config.url ) ? config.url : ( config.baseURL || "" ).replace( /\/$/, "" ) + config.url;
+    const details = { method: ( config.method || "get" ).toUpperCase(), url: url };
+    const where = details.method + " " + url;
     if ( error.response ) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        var response = error.response;
-
-        console.log( response.status );
-        console.log( response.headers );
-        console.log( response.data );
-        console.dir( error.request );
-
-        // alfresco's API is expected to return only one of the following errors:
-        // 400 Invalid parameter
-        // 401 Authentication failed
-        // 403 Permission denied
-        // default unexpected error
-        //console.dir(response);
-        switch ( response.status ) {
-        case 400:
-            throw new Error("Invalid parameter");
-        case 401:
-            throw new Error("Authentication failed");
-        case 403:
-            throw new Error("Permission denied");
-        default:
-            throw new Error("Unexected error (code: " + response.status + ")" );
-        }
-
-    } else if ( error.isAxiosError ) {
-        console.error( "Internal error:", error.message, error.stack );
-        throw new Error( error.message );
+        const response = error.response;
+        return readBody( response.data ).then( (body) => {
+            // alfresco explains the errors in briefSummary, the web scripts of arendel in message
+            const reason = body && typeof body === 'object' && ( ( body.error && body.error.briefSummary ) || body.message );
+            details.body = body;
+            return ApiError.fromStatus( response.status, where + ": " + response.status + " " + ( response.statusText || "" ) +
+                ( reason ? " (" + reason + ")" : "" ), details );
+        });
+    }
+    if ( error.request ) {
+        details.code = error.code;
+        return Promise.resolve( new ApiError.NetworkError( where + ": no answer from the server (" + error.message + ")", details ) );
+    }
+    return Promise.resolve( error );
+}
 
-    } else if ( error.request ) {
-        // The request was made but no response was received
-        // `error.request` is an instance of XMLHttpRequest in the browser and an instance of
-        // http.ClientRequest in node.js
-        console.dir( error.request );
-        throw new Error("No answer from server");
+// the methods of the requests that can be sent twice without doing twice what they do
+const IDEMPOTENT_METHODS = [ 'get', 'head', 'put', 'delete', 'options' ];
 
-    } else {
-        // Something happened in setting up the request that triggered an Error
-        console.log('Error', error.message);
-        throw new Error("Client internal error" );
+/**
+ * Retries a request that failed with a transient error, with the policy. The first attempt may have been
+ * handled although it failed, e.g. a POST that created a document whose retry creates "name-1.ext": only
+ * the requests of the idempotent methods are retried, and those made with { retry: true }. A request made
+ * with { retry: false } is not, e.g. because it's retried at a higher level. A stream sent as the body has
+ * been consumed by the first attempt, the caller has to open it again.
+ * @param {ApiError} err - the failure of the first attempt
+ * @param {object} request - the config of the request
+ */
+function retryTransient ( conn, err, request, policy ) {
+    if ( !err.transient || !request || isStream( request.data ) ) {
+        return Promise.reject( err );
+    }
+    const retryable = request.retry != null ? request.retry : IDEMPOTENT_METHODS.indexOf( ( request.method || 'get' ).toLowerCase() ) >= 0;
+    if ( !retryable ) {
+        return Promise.reject( err );
     }
+    // the first attempt has already failed, retry() only makes the next ones
+    var first = true;
+    return retry( () => {
+        if ( first ) {
+            first = false;
+            throw err;
+        }
+        return conn.request( Object.assign( {}, request, { retry: false } ) );
+    }, Object.assign( { name: err.method + " " + request.url }, policy, { retryOnError: isTransient } ) );
+}
+
+// network errors and server errors are worth retrying, other errors mean the request itself is wrong
+function isTransient ( error ) {
+    return error instanceof ApiError && error.transient;
+}
+
+function checksum ( stream ) {
+    return new Promise( (resolve, reject) => {
+        const hash = Crypto.createHash( 'sha256' );
+        stream.on('error', reject);
+        stream.on('data', (data) => hash.update( data ));
+        stream.on('end', () => resolve( hash.digest( 'hex' ) ));
+    });
 }
 
 
@@ -71,20 +136,54 @@ function alfrescoApiErrorHandler ( error ) {
 
 const URI_ALFRESCO_API = '/alfresco/api/-default-/public/alfresco/versions/1';
 const URI_CMIS11_API = '/alfresco/api/-default-/public/cmis/versions/1.1';
+const URI_AUTHENTICATION_API = '/alfresco/api/-default-/public/authentication/versions/1';
 
 const NODEREF_REGEXP = /SpacesStore\/(.+)$/;
 
+// where the documents are created in a study, unless told otherwise
+const RESULTS_PATH = "cfd_simulations_data_root";
+
+// the number of children asked for at once
+const PAGE_SIZE = 100;
+
+// the id of a node, from its nodeRef or its id
+function toNodeId ( nodeRef ) {
+    // the CMIS ids end with the version, e.g. "<id>;1.0" or "<id>;pwc"
+    return ( ( nodeRef.match( NODEREF_REGEXP ) || [] )[1] || nodeRef ).split( ";" )[0];
+}
+
+/**
+ * A download of a folder as a zip file: alfresco builds the zip in the background, we poll the status of
+ * the download until it's ready and then fetch its content.
+ *
+ * Options (defaults come from the "download" entry of the alfresco section of conf.json):
+ *   pollingPeriod: time between two polls, in milliseconds
+ *   deadline:      the download fails if it's not complete after this amount of time, in milliseconds,
+ *                  the transfer of the zip file included
+ *   onProgress:    called with { status, filesAdded, totalFiles, bytesAdded, totalBytes } after each poll
+ *   token:         a CancellationToken, the download is cancelled along with it
+ * The download is deleted on the server when it fails, times out or is cancelled.
+ */
 class Download {
 
-    constructor ( conn, folderNodeId, filename ) {
+    constructor ( conn, folderNodeId, filename, options ) {
         this.conn = conn;
         this.filename = filename;
         this.nodeId = null;
+        this.options = Object.assign( { pollingPeriod: POLLING_PERIOD, deadline: DOWNLOAD_DEADLINE }, options );
+        this.startTime = Date.now();
+        this.cancelled = false;
+        this.timer = null;
+        this.wakeUp = null;
+        this.stream = null;
+        // resolved once the download is deleted on the server
+        this.deleted = null;
 
         var self = this;
-
         logger.debug("Creating the download object");
-        this.promise = this.conn.post( URI_ALFRESCO_API + "/downloads", { nodeIds: [ folderNodeId ] } ).then( (response) => {
+        this.created = this.conn.post( URI_ALFRESCO_API + "/downloads", { nodeIds: [ folderNodeId ] } );
+        const unsubscribe = this.options.token ? this.options.token.onCancel( () => this.cancel() ) : () => {};
+        this.promise = this.created.then( (response) => {
                 /* example of response.data:
                  * {
                  *   "entry": {
@@ -100,21 +199,97 @@ class Download {
                 self.nodeId = response.data.entry.id;
                 self.status = response.data.entry.status;
                 logger.debug("download nodeId:", self.nodeId );
+                if ( self.cancelled ) {
+                    // cancelled while we were creating it
+                    return self.deleteNode().then( () => self.waitUntilReady() );
+                }
                 return self.waitUntilReady();
 
-            }, alfrescoApiErrorHandler )
+            })
             .catch( function( error ) {
-                throw new Error("Download failed, reason: " + error.message );
-            });
+                if ( !( error instanceof AbortedError || error instanceof ApiError ) ) {
+                    error = new Error("Download failed, reason: " + error.message );
+                }
+                // whatever went wrong, the download is of no use anymore
+                return self.nodeId ? self.deleteNode().then( () => { throw error; } ) : Promise.reject( error );
+            })
+            .finally( unsubscribe );
+    }
+
+    /**
+     * Cancels the download: stops polling or fetching the content and deletes the download on the server
+     * @return {Promise} resolved once the server-side download is deleted
+     */
+    cancel () {
+        if ( this.cancelled ) {
+            return this.deleted || Promise.resolve();
+        }
+        logger.info("Cancelling download", this.nodeId || "" );
+        this.cancelled = true;
+        if ( this.wakeUp ) {
+            clearTimeout( this.timer );
+            this.wakeUp();
+        }
+        if ( this.stream ) {
+            this.stream.destroy( new Error("cancelled") );
+        }
+        if ( this.nodeId ) {
+            return this.deleteNode();
+        }
+        // it's deleted as soon as it's created
+        return this.created.then( () => this.deleteNode(), () => {} );
+    }
+
+    abortedError () {
+        const token = this.options.token;
+        return new AbortedError( "download cancelled", token && token.requestedBy );
+    }
+
+    deleteNode () {
+        if ( !this.deleted ) {
+            // cancel the download if it's still being built, then delete the zip file
+            this.deleted = this.conn.delete( URI_ALFRESCO_API + "/downloads/" + this.nodeId )
+                .catch( (err) => logger.debug("failed to cancel download", this.nodeId, err.message ) )
+                .then( () => this.conn.delete( URI_ALFRESCO_API + "/nodes/" + this.nodeId, { params: { permanent: true } } ) )
+                .catch( (err) => logger.warn("failed to delete download node", this.nodeId, err.message ) );
+        }
+        return this.deleted;
+    }
+
+    // the time left before the deadline, in milliseconds
+    remainingTime () {
+        return this.options.deadline - ( Date.now() - this.startTime );
+    }
+
+    timeoutError ( what ) {
+        return new Error("download not " + what + " after " + Math.round( this.options.deadline / 1000 ) + "s");
+    }
+
+    sleep ( ms ) {
+        return new Promise( (resolve) => {
+            this.wakeUp = resolve;
+            this.timer = setTimeout( resolve, ms );
+        }).then( () => { this.wakeUp = null; } );
     }
 
     waitUntilReady () {
         var self = this;
+        if ( this.cancelled ) {
+            return Promise.reject( this.abortedError() );
+        }
         switch( this.status ) {
         case 'PENDING':
         case 'IN_PROGRESS':
+            if ( this.remainingTime() < 0 ) {
+                return this.deleteNode().then( () => {
+                    throw this.timeoutError( "ready" );
+                });
+            }
             // these are equivalent because they both mean we need to wait for while and try again
-            return setTimeoutPromise( POLLING_PERIOD ).then( () => {
+            return this.sleep( this.options.pollingPeriod ).then( () => {
+                if ( self.cancelled ) {
+                    return self.waitUntilReady();
+                }
                 logger.debug("polling status of nodeId:", self.nodeId );
                 return self.conn.get( URI_ALFRESCO_API + "/downloads/" + self.nodeId ).then( function(response) {
                     /*
@@ -130,68 +305,139 @@ class Download {
                      *   }
                      * }
                      */
-                    self.status = response.data.entry.status;
-                    return self.waitUntilReady();
+                    const entry = response.data.entry;
+                    self.status = entry.status;
+                    if ( self.options.onProgress ) {
+                        self.options.onProgress({
+                            status:     entry.status,
+                            filesAdded: entry.filesAdded,
+                            totalFiles: entry.totalFiles,
+                            bytesAdded: entry.bytesAdded,
+                            totalBytes: entry.totalBytes
+                        });
+                    }
 
-                }, alfrescoApiErrorHandler )
+                })
                 .catch( function( error ) {
+                    if ( error instanceof ApiError ) {
+                        throw error;
+                    }
                     throw new Error("Failed to check download status, reason: " + error.message );
-                });
+                })
+                .then( () => self.waitUntilReady() );
             });
 
-        case 'DONE':
+        case 'DONE': {
             // ok, the download is ready so we can proceeed
-            const writer = Fs.createWriteStream( this.filename );
-
             logger.debug("starting download of nodeId:", this.nodeId );
+            var timedOut = false;
 
-            return this.conn.get( URI_ALFRESCO_API + "/nodes/" + this.nodeId + "/content?attachment=true", { responseType: 'stream' } ).then( (response) => {
+            return this.conn.get( URI_ALFRESCO_API + "/nodes/" + this.nodeId + "/content?attachment=true", {
+                    responseType:   'stream',
+                    timeout:        Math.max( this.remainingTime(), 1 ),
+                }).then( (response) => {
+                    if ( self.cancelled ) {
+                        response.data.destroy();
+                        throw self.abortedError();
+                    }
                     // write the received zip file somewhere
+                    const writer = Fs.createWriteStream( self.filename );
+                    self.stream = response.data;
+                    // the deadline applies to the transfer too
+                    const timer = setTimeout( () => {
+                        timedOut = true;
+                        response.data.destroy( new Error("timeout") );
+                    }, Math.max( self.remainingTime(), 0 ) );
+                    response.data.on('data', (chunk) => Metrics.inc( 'download_bytes_total', null, chunk.length ) );
                     response.data.pipe( writer );
                     return new Promise((resolve, reject) => {
+                        response.data.on('error', reject);
                         writer.on('finish', resolve)
                         writer.on('error', reject)
 
+                    }).finally( () => {
+                        clearTimeout( timer );
+                        self.stream = null;
                     }).then( () => {
                         logger.debug("Completed download of nodeId:", self.nodeId );
                         // return the study
                         return self.study;
 
                     }, (err) => {
+                        writer.destroy();
+                        // don't leave a truncated zip file behind
+                        if ( Fs.existsSync( self.filename ) ) {
+                            Fs.unlinkSync( self.filename );
+                        }
+                        if ( self.cancelled ) {
+                            throw self.abortedError();
+                        }
+                        if ( timedOut ) {
+                            throw self.timeoutError( "complete" );
+                        }
                         logger.error( err );
                         throw new Error("Failed to download zip file");
                     });
 
-                }, alfrescoApiErrorHandler )
+                })
                 .catch( function( error ) {
-                    throw new Error("Failed to download zip file, reason: " + error.message );
+                    if ( !( error instanceof AbortedError ) && self.remainingTime() < 0 ) {
+                        error = self.timeoutError( "complete" );
+                    } else if ( !( error instanceof AbortedError || error instanceof ApiError ) ) {
+                        error = new Error("Failed to download zip file, reason: " + error.message );
+                    }
+                    throw error;
                 });
+        }
 
         case 'CANCELLED':
             // the user stopped the download somehow. It should never happen because we created this download request, not the user
-            break;
+            return Promise.reject( new Error("download cancelled on the server") );
 
         case 'MAX_CONTENT_SIZE_EXCEEDED':
             // this is a blocking error, we cannot continue
-            break;
+            return this.deleteNode().then( () => {
+                throw new Error("the folder exceeds the maximum content size of a download");
+            });
 
         default:
             // this is an internal error, it should never happen accordingly to alfresco's API documentation
-            break;
+            return this.deleteNode().then( () => {
+                throw new Error("unexpected download status: " + this.status);
+            });
         }
     }
 
 }
 
 
+/*
+ * The client of the REST API of Alfresco, configured by the alfresco section of conf.json:
+ *   {
+ *     "url":          "http://alfresco:8080",
+ *     "username":     "worker",
+ *     "password":     "...",              // or "passwordFile": "/run/secrets/alfresco", see config.js
+ *     "auth":         "basic",            // "basic" sends the credentials with every request, "ticket" logs
+ *                                         // in once and sends the ticket, a new one is asked for on a 401
+ *                                         // and the request is sent again, unless its body is a stream: the
+ *                                         // AuthenticationError then has ticketRenewed set
+ *     "retry":        { ... }             // the policy for transient failures, see retry.js: only the
+ *                                         // requests that can be sent twice are retried
+ *   }
+ * The errors are ApiErrors.
+ */
 class Alfresco {
 
     constructor ( config ) {
 
+        this.config = config;
+        // the promise of the ticket, and the ticket once it's known
+        this.ticket = null;
+        this.ticketId = null;
         this.conn = Axios.create({
             baseURL:    config.url,
             timeout:    30000,
-            auth:       {
+            auth:       config.auth === 'ticket' ? undefined : {
                 username:   config.username,
                 password:   config.password,
             },
@@ -200,32 +446,268 @@ class Alfresco {
             maxContentLength: Infinity,
             maxBodyLength: Infinity
         });
+        if ( config.auth === 'ticket' ) {
+            this.conn.interceptors.request.use( (request) => this.authenticate( request ) );
+        }
+        this.conn.interceptors.response.use( null, (error) => toApiError( error ).then( (err) => {
+            if ( err instanceof ApiError.AuthenticationError && this.renewTicket( error.config ) ) {
+                // the stream of the body is consumed, it's up to the caller to open it again and retry
+                if ( isStream( error.config.data ) ) {
+                    err.ticketRenewed = true;
+                    return Promise.reject( err );
+                }
+                return this.conn.request( Object.assign( {}, error.config, { renewed: true } ) );
+            }
+            return retryTransient( this.conn, err, error.config, config.retry );
+        }));
 
     }
 
-    download ( folderNodeId, filename ) {
-        return new Download( this.conn, folderNodeId, filename );
+    /**
+     * Logs in with the authentication API
+     * @return {Promise<string>} the ticket, the same one as long as it's valid
+     */
+    getTicket () {
+        if ( !this.ticket ) {
+            logger.debug("Asking for a ticket for", this.config.username );
+            // a POST, but logging in twice does no harm
+            this.ticket = this.conn.post( URI_AUTHENTICATION_API + "/tickets", {
+                userId:     this.config.username,
+                password:   this.config.password,
+            }, { authenticate: false, retry: true } )
+                .then( (response) => this.ticketId = response.data.entry.id );
+            // the next request asks again
+            this.ticket.catch( () => this.ticket = null );
+        }
+        return this.ticket;
     }
 
+    // adds the ticket to a request
+    authenticate ( request ) {
+        if ( request.authenticate === false ) {
+            return request;
+        }
+        return this.getTicket().then( (ticket) => {
+            request.params = Object.assign( {}, request.params, { alf_ticket: ticket } );
+            return request;
+        });
+    }
+
+    /**
+     * @param {object} request - the config of a request that failed with a 401
+     * @return {boolean} whether the request is to be sent again with a new ticket
+     */
+    renewTicket ( request ) {
+        if ( this.config.auth !== 'ticket' || !request || request.authenticate === false || request.renewed ) {
+            return false;
+        }
+        // another request may have renewed it already
+        if ( this.ticketId && this.ticketId === ( request.params && request.params.alf_ticket ) ) {
+            logger.info("The ticket of", this.config.username, "expired, asking for a new one");
+            this.ticket = null;
+            this.ticketId = null;
+        }
+        return true;
+    }
+
+    /**
+     * @return {Promise} resolved if the repository answers
+     */
+    ping ( timeout ) {
+        return this.conn.get( URI_ALFRESCO_API + "/nodes/-root-", { timeout: timeout || 5000, retry: false } )
+            .then( () => true );
+    }
+
+    /**
+     * Downloads a folder as a zip file
+     * @param {object} [options] - see Download
+     * @return {Download} the download, its promise is resolved once the zip file is written
+     */
+    download ( folderNodeId, filename, options ) {
+        return new Download( this.conn, folderNodeId, filename, Object.assign( {}, this.config && this.config.download, options ) );
+    }
+
+    /**
+     * Iterates over the children of a node, page after page:
+     *   for await ( const child of alfresco.children( nodeRef, { where: "(isFolder=true)" } ) ) { ... }
+     * @param {string} nodeRef - the nodeRef (or the id) of the node
+     * @param {object} [options]
+     * @param {string} [options.where] - e.g. "(nodeType='cfd:inputs')"
+     * @param {string} [options.include] - e.g. "properties"
+     * @param {string} [options.orderBy] - e.g. "name ASC"
+     * @param {number} [options.pageSize] - the number of children asked for at once, 100 by default
+     * @return {AsyncIterator<object>} the entries of the children
+     */
+    async * children ( nodeRef, options ) {
+        const opts = options || {};
+        const params = {
+            skipCount:  0,
+            maxItems:   opts.pageSize || PAGE_SIZE,
+            where:      opts.where,
+            include:    opts.include,
+            orderBy:    opts.orderBy,
+        };
+        while ( true ) {
+            const list = await this.getChildrenPage( nodeRef, params );
+            for ( const e of list.entries ) {
+                yield e.entry;
+            }
+            if ( !list.pagination || !list.pagination.hasMoreItems || !list.entries.length ) {
+                return;
+            }
+            params.skipCount += list.entries.length;
+        }
+    }
+
+    /**
+     * @return {Promise<object[]>} one page of the children of a node, see children() to get them all
+     */
     getChildren ( nodeRef, where, options ) {
-        var nodeId = (nodeRef.match( NODEREF_REGEXP ) || [])[1];
-        //  /nodes/${nodeId}/children
-        // { skipCount: 0, maxItems: 100, where: "(nodeType='cfd:inputs')" }
         var opts = options || {};
-        var params = {
+        return this.getChildrenPage( nodeRef, {
                 skipCount:  opts.skipCount || 0,
-                maxItems:   opts.maxItems  || 100,
+                maxItems:   opts.maxItems  || PAGE_SIZE,
                 where:      where
-            };
-        return this.conn.get( URI_ALFRESCO_API + "/nodes/" + nodeId + "/children", { params: params }).then( (response) => {
+            }).then( (list) => list.entries );
+    }
+
+    getChildrenPage ( nodeRef, params ) {
+        //  /nodes/${nodeId}/children
+        return this.conn.get( URI_ALFRESCO_API + "/nodes/" + toNodeId( nodeRef ) + "/children", { params: params }).then( (response) => {
             if ( response.data.error ) {
-                var err = response.data.error;
-                throw new Error( err.errorKey + "\n" + err.briefSummary );
+                const err = response.data.error;
+                throw ApiError.fromStatus( err.statusCode, err.errorKey + ": " + err.briefSummary, { method: "GET", url: response.config.url, body: response.data } );
             }
-            return response.data.list.entries;
+            return response.data.list;
         });
     }
 
+    /**
+     * @param {string} nodeRef - the nodeRef (or the id) of the node
+     * @param {object} [options]
+     * @param {string} [options.relativePath] - the node is the one at this path from nodeRef
+     * @param {string} [options.include] - what to add to the entry, "properties" by default
+     * @return {Promise<object>} the node's entry
+     * @throws {NotFoundError}
+     */
+    getNode ( nodeRef, options ) {
+        const opts = options || {};
+        return this.conn.get( URI_ALFRESCO_API + "/nodes/" + toNodeId( nodeRef ), { params: {
+                relativePath:   opts.relativePath,
+                include:        opts.include || "properties",
+            } })
+            .then( (response) => response.data.entry );
+    }
+
+    /**
+     * @param {string} nodeRef - the nodeRef (or the id) of the node
+     * @return {Promise<object>} the properties of the node, e.g. { "cm:title": "...", "cfd:np_mesh": 20 }
+     */
+    getProperties ( nodeRef ) {
+        return this.getNode( nodeRef ).then( (node) => node.properties || {} );
+    }
+
+    /**
+     * @param {object} changes - e.g. { name, properties: { "cm:title": "..." } }, the other properties are kept
+     * @return {Promise<object>} the updated entry
+     */
+    updateNode ( nodeRef, changes ) {
+        return this.conn.put( URI_ALFRESCO_API + "/nodes/" + toNodeId( nodeRef ), changes, { params: { include: "properties" } })
+            .then( (response) => response.data.entry );
+    }
+
+    updateProperties ( nodeRef, properties ) {
+        return this.updateNode( nodeRef, { properties: properties } );
+    }
+
+    /**
+     * Looks for a node from its path, relative to another node
+     * @param {string} nodeId - the id (or the nodeRef) of the node the path starts from
+     * @param {string} relativePath - e.g. "cfd_artifacts/xxx-meshing.7z"
+     * @return {Promise<object>} the node's entry, or null if there is no such node
+     */
+    findNode ( nodeId, relativePath ) {
+        return this.getNode( nodeId, { relativePath: relativePath } )
+            .catch( (err) => {
+                if ( err instanceof ApiError.NotFoundError ) {
+                    return null;
+                }
+                throw err;
+            });
+    }
+
+    /**
+     * @return {Promise<string>} the id of the node at a path, relative to another node
+     * @throws {NotFoundError}
+     */
+    resolvePath ( nodeRef, relativePath ) {
+        return this.getNode( nodeRef, { relativePath: relativePath, include: "path" } ).then( (node) => node.id );
+    }
+
+    deleteNode ( nodeId, permanent ) {
+        return this.conn.delete( URI_ALFRESCO_API + "/nodes/" + toNodeId( nodeId ), { params: { permanent: !!permanent } })
+            .then( () => null );
+    }
+
+    /**
+     * @param {string} targetParentId - the folder the node goes to
+     * @param {string} [name] - the new name of the node, it's kept otherwise
+     * @return {Promise<object>} the moved entry
+     * @throws {ConflictError} if the folder has a node with the same name
+     */
+    moveNode ( nodeRef, targetParentId, name ) {
+        return this.conn.post( URI_ALFRESCO_API + "/nodes/" + toNodeId( nodeRef ) + "/move", { targetParentId: toNodeId( targetParentId ), name: name } )
+            .then( (response) => response.data.entry );
+    }
+
+    /**
+     * @return {Promise<object>} the entry of the copy, see moveNode
+     */
+    copyNode ( nodeRef, targetParentId, name ) {
+        return this.conn.post( URI_ALFRESCO_API + "/nodes/" + toNodeId( nodeRef ) + "/copy", { targetParentId: toNodeId( targetParentId ), name: name } )
+            .then( (response) => response.data.entry );
+    }
+
+    /**
+     * Downloads the content of a document
+     * @param {string} nodeId - the document's id
+     * @param {string} filename - where to write the content
+     * @param {object} [options]
+     * @param {CancellationToken} [options.token] - stops the download, the partial file is removed
+     */
+    downloadContent ( nodeId, filename, options ) {
+        const token = ( options && options.token ) || CancellationToken.NONE;
+        var unsubscribe = () => {};
+        return Promise.resolve()
+            .then( () => token.throwIfCancelled() )
+            .then( () => this.conn.get( URI_ALFRESCO_API + "/nodes/" + nodeId + "/content", { params: { attachment: true }, responseType: 'stream' } ) )
+            .then( (response) => new Promise( (resolve, reject) => {
+                const writer = Fs.createWriteStream( filename );
+                unsubscribe = token.onCancel( () => {
+                    response.data.destroy();
+                    writer.destroy();
+                    reject( token.error() );
+                });
+                response.data.on('data', (chunk) => Metrics.inc( 'download_bytes_total', null, chunk.length ) );
+                response.data.on('error', reject);
+                writer.on('error', reject);
+                writer.on('finish', resolve);
+                response.data.pipe( writer );
+            }))
+            .then( () => logger.debug("Completed download of nodeId:", nodeId ), (err) => {
+                if ( err instanceof AbortedError && Fs.existsSync( filename ) ) {
+                    Fs.unlinkSync( filename );
+                }
+                throw err;
+            })
+            .finally( () => unsubscribe() );
+    }
+
+    /**
+     * @param {object} [options] - name, type, relativePath, title, description, plus:
+     * @param {object} [options.properties] - the other properties of the document
+     * @param {boolean} [options.autoRename] - false to fail with a ConflictError if the name is taken, true by default
+     */
     createDocument ( studyNodeId, options ) {
 
         var opts = options || {};
@@ -233,93 +715,343 @@ class Alfresco {
         return this.conn.post( URI_ALFRESCO_API + "/nodes/" + studyNodeId + "/children", {
             name:           opts.name    || "results.7z",
             nodeType:       opts.type    || "cm:content",
-            relativePath:   opts.relativePath || "cfd_simulations_data_root",
-            properties:     {
+            relativePath:   opts.relativePath || RESULTS_PATH,
+            properties:     Object.assign( {
                 "cm:title":         opts.title       || "Simulation results",
                 "cm:description":   opts.description || "Simulation results"
-            }
-        }, { params: { overwrite: true, autoRename: true } })
+            }, opts.properties )
+        }, { params: { overwrite: opts.autoRename !== false, autoRename: opts.autoRename !== false } })
             .then( (response) => {
-                console.log("created new document:", response.data.entry );
+                logger.debug("created new document:", response.data.entry.id, response.data.entry.name );
                 return response.data.entry;
-            })
-            .catch( alfrescoApiErrorHandler );
+            });
     }
 
-    upload ( studyNodeId, name, filename, relativePath, type ) {
-        var self = this;
-        return new Promise( ( resolve, reject ) => {
-            try {
-                var fileSize = Fs.statSync( filename ).size;
-                var numChunks = Math.floor( fileSize / CHUNK_SIZE ) + ( fileSize % CHUNK_SIZE !== 0 ? 1 : 0 );
-                logger.log("File:", filename, "size:", fileSize, "chunks:", numChunks);
-                var counter = 0;
-                var buffer = Buffer.allocUnsafe( CHUNK_SIZE );
-                var uploadId = null;
-
-                function uploadChunk ( fd ) {
-                    Fs.read( fd, buffer, 0, CHUNK_SIZE, null, (err, bytesRead, buffer) => {
-                        if ( err ) {
-                            Fs.closeSync(fd);
-                            reject( err );
-                            return;
-                        }
-                        console.log("read", bytesRead, "bytes from file for chunk:", counter);
-                        // just to be sure...
-                        var chunk = buffer.slice(0, bytesRead);
-                        var isLastChunk = ( counter >= numChunks );
-                        logger.log("uploading chunk:", counter, "isLastChunk:", isLastChunk);
-                        // append the chunk to the existing upload
-                        self.conn.put( URI_CMIS11_API + '/atom/content', chunk, {
-                            params: {
-                                id:          uploadId,
-                                append:      true,
-                                isLastChunk: isLastChunk
-                            },
-                            headers: {
-                                "Content-Type": "application/octet-stream",
-                            }
-                        })
-                        .then( (response) => {
-                            counter++;
-                            logger.log("chunk", counter, "uploaded successfully");
-                            if ( isLastChunk ) {
-                                Fs.closeSync(fd);
-                                resolve();
-                                return;
-                            }
-                            uploadChunk(fd);
-                        })
-                        .catch( alfrescoApiErrorHandler )
-                        .catch( (error) => {
-                            Fs.closeSync(fd);
-                            reject( error );
-                        });
-                    });
+    /**
+     * @return {Promise<number>} the size of the content of a document
+     */
+    getContentSize ( nodeId ) {
+        return this.conn.get( URI_ALFRESCO_API + "/nodes/" + nodeId )
+            .then( (response) => ( response.data.entry.content || {} ).sizeInBytes || 0 );
+    }
+
+    /**
+     * @return {Promise<string>} the sha256 of the content of a document
+     */
+    getContentChecksum ( nodeId ) {
+        return this.conn.get( URI_ALFRESCO_API + "/nodes/" + nodeId + "/content", { responseType: 'stream' } )
+            .then( (response) => checksum( response.data ) );
+    }
+
+    /**
+     * Uploads a file as a new document of the study. The file is sent in chunks through the CMIS append
+     * API, each chunk being retried on transient failures.
+     *
+     * If the upload fails anyway, the error has an uploadId and an offset: passing the uploadId back in
+     * the options resumes the upload where the server stopped.
+     *
+     * @param {string} studyNodeId - the id of the study
+     * @param {string} name - the name of the document
+     * @param {string} filename - the file to upload
+     * @param {string} [relativePath] - where to create the document in the study
+     * @param {string} [type] - the type of the document
+     * @param {object} [options]
+     * @param {number} [options.chunkSize] - the size of the chunks, defaults to upload.chunkSize in the config, or 8MB
+     * @param {string} [options.uploadId] - the id of a document whose upload is to be resumed
+     * @param {string} [options.verify] - "size" (default), "checksum" or "none": how to check the document once uploaded
+     * @param {function} [options.onProgress] - called after each chunk with { bytesSent, totalBytes }
+     * @param {CancellationToken} [options.token] - stops the upload between two chunks, the partial document is deleted
+     * @param {object} [options.properties] - the properties of the new document
+     * @param {boolean} [options.autoRename] - see createDocument
+     * @param {object} [options.version] - { comment }: the file is a new version of the document with the same
+     *   name, if any, see uploadVersion
+     * @return {Promise<object>} the document: { id, size }
+     */
+    async upload ( studyNodeId, name, filename, relativePath, type, options ) {
+        if ( options && options.version ) {
+            return this.uploadVersion( studyNodeId, name, filename, relativePath, type, options );
+        }
+        const cfg = Object.assign( {}, this.config && this.config.upload, options );
+        const token = cfg.token || CancellationToken.NONE;
+        token.throwIfCancelled();
+        const fileSize = Fs.statSync( filename ).size;
+
+        var uploadId = cfg.uploadId;
+        var offset = 0;
+        if ( uploadId ) {
+            offset = await this.resumeOffset( uploadId, filename, fileSize );
+        } else {
+            // we need to create an empty document first
+            const doc = await this.createDocument( studyNodeId, { name: name, relativePath: relativePath, type: type, properties: cfg.properties, autoRename: cfg.autoRename });
+            uploadId = doc.id;
+        }
+
+        try {
+            await this.sendFile( uploadId, filename, fileSize, offset, cfg );
+        } catch (err) {
+            if ( err instanceof AbortedError ) {
+                // nobody is going to resume it
+                await this.deleteNode( uploadId, true ).catch( (e) => logger.warn("Failed to delete aborted upload", uploadId, e.message ) );
+            }
+            throw err;
+        }
+
+        await this.verifyUpload( uploadId, filename, fileSize, cfg.verify || 'size' );
+        logger.log("Upload of", filename, "successful");
+        return { id: uploadId, size: fileSize };
+    }
+
+    /**
+     * Uploads a file as a new major version of a document of the study, the document is created if it
+     * doesn't exist. The document is checked out, the file is sent to the working copy in chunks like
+     * upload(), with its properties, and the working copy is checked in: the current version doesn't
+     * change until the new one is complete.
+     *
+     * If the upload fails or is cancelled, the check out is cancelled: the document is left as it was, and
+     * the next upload starts over with a new working copy.
+     *
+     * @param {object} [options] - as for upload(), except uploadId, plus version: { comment }
+     * @return {Promise<object>} the document: { id, size, version }
+     */
+    async uploadVersion ( studyNodeId, name, filename, relativePath, type, options ) {
+        const cfg = Object.assign( {}, this.config && this.config.upload, options );
+        const token = cfg.token || CancellationToken.NONE;
+        token.throwIfCancelled();
+        const fileSize = Fs.statSync( filename ).size;
+
+        const node = await this.findNode( studyNodeId, ( relativePath || RESULTS_PATH ) + "/" + name );
+        if ( !node ) {
+            // the first version
+            const doc = await this.upload( studyNodeId, name, filename, relativePath, type, Object.assign( {}, options, { version: null, autoRename: false } ) );
+            const properties = await this.getProperties( doc.id );
+            return Object.assign( doc, { version: properties[ "cm:versionLabel" ] || null } );
+        }
+
+        var workingCopyId = null;
+        var version;
+        try {
+            workingCopyId = await this.checkOut( node.id );
+            logger.log("File:", filename, "size:", fileSize, "new version of", node.id, "in the working copy", workingCopyId );
+            if ( cfg.properties ) {
+                await this.updateProperties( workingCopyId, cfg.properties );
+            }
+            // the working copy starts with the content of the current version
+            await this.conn.put( URI_CMIS11_API + '/atom/content', Buffer.alloc( 0 ), {
+                params:     { id: workingCopyId },
+                headers:    { "Content-Type": "application/octet-stream" }
+            });
+            // only what was there at the start, e.g. for a log file that is still written
+            await this.sendFile( workingCopyId, filename, fileSize, 0, cfg );
+            await this.verifyUpload( workingCopyId, filename, fileSize, cfg.verify || 'size' );
+            version = await this.checkIn( workingCopyId, cfg.version.comment );
+        } catch (err) {
+            // a document that stays checked out could not get any other version
+            if ( workingCopyId ) {
+                await this.cancelCheckOut( workingCopyId ).catch( (e) => logger.warn("Failed to cancel the check out of", workingCopyId, e.message ) );
+            }
+            // the working copy is gone, the upload cannot be resumed
+            delete err.uploadId;
+            delete err.offset;
+            throw err;
+        }
+        logger.log("Upload of", filename, "successful (version " + version.label + ")");
+        return { id: version.id, size: fileSize, version: version.label };
+    }
+
+    /**
+     * @return {Promise<number>} where to resume the upload of a file: what the server already has
+     */
+    async resumeOffset ( uploadId, filename, fileSize ) {
+        const offset = await this.getContentSize( uploadId );
+        if ( offset > fileSize ) {
+            throw new Error("Cannot resume upload of " + filename + ": the document is larger than the file");
+        }
+        logger.log("Resuming upload", uploadId, "at offset", offset);
+        return offset;
+    }
+
+    /**
+     * Sends the first fileSize bytes of a file to a document in chunks, from an offset
+     * @param {object} cfg - the options of upload()
+     * @throws {Error} with the uploadId and the offset reached, to resume the upload
+     */
+    async sendFile ( uploadId, filename, fileSize, offset, cfg ) {
+        const chunkSize = cfg.chunkSize || CHUNK_SIZE;
+        const token = cfg.token || CancellationToken.NONE;
+        logger.log("File:", filename, "size:", fileSize, "chunks:", Math.ceil( fileSize / chunkSize ) );
+        const fd = await Fs.promises.open( filename, 'r' );
+        const buffer = Buffer.allocUnsafe( chunkSize );
+        try {
+            while ( offset < fileSize ) {
+                token.throwIfCancelled();
+                const { bytesRead } = await fd.read( buffer, 0, Math.min( chunkSize, fileSize - offset ), offset );
+                const chunk = buffer.slice( 0, bytesRead );
+                const isLastChunk = ( offset + bytesRead >= fileSize );
+                logger.debug("uploading chunk at offset:", offset, "size:", bytesRead, "isLastChunk:", isLastChunk);
+                offset = await this.uploadChunk( uploadId, chunk, offset, isLastChunk, cfg.retry );
+                if ( cfg.onProgress ) {
+                    cfg.onProgress({ bytesSent: offset, totalBytes: fileSize });
                 }
+            }
+        } catch (err) {
+            err.uploadId = uploadId;
+            err.offset = offset;
+            throw err;
+        } finally {
+            await fd.close();
+        }
+    }
 
-                // try to open the file
-                Fs.open( filename, (err, fd) => {
-                    if ( err ) { return reject( err ); }
-
-                    // we need to create an empty document first
-                    self.createDocument( studyNodeId, { name: name, relativePath: relativePath, type: type }).then( (upload) => {
-                        // start the upload
-                        uploadId = upload.id;
-                        uploadChunk( fd );
-                    })
-                    .catch( alfrescoApiErrorHandler )
-                    .catch( (error) => {
-                        Fs.closeSync(fd);
-                        reject( error );
-                    });
-                });
+    /**
+     * Checks a document out with the CMIS API
+     * @return {Promise<string>} the id of the working copy
+     */
+    checkOut ( nodeId ) {
+        return this.cmisAction( "checkOut", nodeId ).then( (object) => toNodeId( object[ "cmis:objectId" ] ) );
+    }
 
-            } catch (e) {
-                reject(e);
+    /**
+     * Checks a working copy in as a major version
+     * @return {Promise<object>} the new version: { id, label }
+     */
+    checkIn ( workingCopyId, comment ) {
+        return this.cmisAction( "checkIn", workingCopyId, { major: true, checkinComment: comment || "" } )
+            .then( (object) => ({ id: toNodeId( object[ "cmis:objectId" ] ), label: object[ "cmis:versionLabel" ] || null }) );
+    }
+
+    cancelCheckOut ( workingCopyId ) {
+        return this.cmisAction( "cancelCheckOut", workingCopyId ).then( () => null );
+    }
+
+    // an action of the CMIS browser binding, it resolves with the properties of the object
+    cmisAction ( action, nodeId, params ) {
+        const form = new URLSearchParams( Object.assign( { cmisaction: action, objectId: nodeId, succinct: true }, params ) );
+        return this.conn.post( URI_CMIS11_API + '/browser/root', form.toString(), {
+            headers:    { "Content-Type": "application/x-www-form-urlencoded" },
+            // checking in or out twice is not the same as once
+            retry:      false
+        }).then( (response) => ( response.data && response.data.succinctProperties ) || {} );
+    }
+
+    /**
+     * Uploads a stream as a new document of the study, e.g. an archive while it's being produced. It's sent
+     * in chunks like upload(), the current chunk is kept in memory so that it can be retried, but an upload
+     * from a stream cannot be resumed: the partial document is deleted if it fails.
+     *
+     * @param {Readable} stream - the content
+     * @param {object} [options] - as for upload(), except uploadId; "checksum" is computed while sending
+     * @return {Promise<object>} the document: { id, size }
+     */
+    async uploadStream ( studyNodeId, name, stream, relativePath, type, options ) {
+        const cfg = Object.assign( {}, this.config && this.config.upload, options );
+        const chunkSize = cfg.chunkSize || CHUNK_SIZE;
+        const token = cfg.token || CancellationToken.NONE;
+        token.throwIfCancelled();
+
+        const doc = await this.createDocument( studyNodeId, { name: name, relativePath: relativePath, type: type });
+        const uploadId = doc.id;
+        const hash = Crypto.createHash( 'sha256' );
+        var pending = [];
+        var pendingSize = 0;
+        var offset = 0;
+        try {
+            for await ( const data of stream ) {
+                token.throwIfCancelled();
+                hash.update( data );
+                pending.push( data );
+                pendingSize += data.length;
+                // a chunk is sent once more data follows it, the last one is only known at the end
+                while ( pendingSize > chunkSize ) {
+                    const all = Buffer.concat( pending );
+                    const chunk = all.subarray( 0, chunkSize );
+                    logger.debug("uploading chunk at offset:", offset, "size:", chunk.length);
+                    offset = await this.uploadChunk( uploadId, chunk, offset, false, cfg.retry );
+                    pending = [ all.subarray( chunkSize ) ];
+                    pendingSize = pending[0].length;
+                    if ( cfg.onProgress ) {
+                        cfg.onProgress({ bytesSent: offset, totalBytes: null });
+                    }
+                }
+            }
+            token.throwIfCancelled();
+            offset = await this.uploadChunk( uploadId, Buffer.concat( pending ), offset, true, cfg.retry );
+            if ( cfg.onProgress ) {
+                cfg.onProgress({ bytesSent: offset, totalBytes: offset });
             }
 
-        });
+            const mode = cfg.verify || 'size';
+            if ( mode !== 'none' ) {
+                const size = await this.getContentSize( uploadId );
+                if ( size !== offset ) {
+                    throw new Error("Upload of " + name + " is incomplete: " + size + " bytes on the server, " + offset + " expected");
+                }
+            }
+            if ( mode === 'checksum' && hash.digest( 'hex' ) !== await this.getContentChecksum( uploadId ) ) {
+                throw new Error("Upload of " + name + " is corrupted: checksum mismatch");
+            }
+        } catch (err) {
+            stream.destroy();
+            await this.deleteNode( uploadId, true ).catch( (e) => logger.warn("Failed to delete partial upload", uploadId, e.message ) );
+            throw err;
+        }
+        logger.log("Upload of", name, "successful");
+        return { id: uploadId, size: offset };
+    }
+
+    /**
+     * Appends a chunk to a document, with retries
+     * @return {Promise<number>} the offset of the next chunk
+     */
+    uploadChunk ( uploadId, chunk, offset, isLastChunk, policy ) {
+        var attempt = 0;
+        return retry( () => {
+            attempt++;
+            // after a failure the chunk may have been appended anyway, check where the server is
+            const where = attempt === 1 ? Promise.resolve( offset ) : this.getContentSize( uploadId );
+            return where.then( (size) => {
+                if ( size === offset + chunk.length ) {
+                    return size;
+                }
+                if ( size !== offset ) {
+                    throw new Error("Upload " + uploadId + " is corrupted: expected " + offset + " bytes on the server, found " + size);
+                }
+                return this.conn.put( URI_CMIS11_API + '/atom/content', chunk, {
+                    params: {
+                        id:          uploadId,
+                        append:      true,
+                        isLastChunk: isLastChunk
+                    },
+                    headers: {
+                        "Content-Type": "application/octet-stream",
+                    },
+                    // an append is not idempotent, it's retried here once the offset is checked
+                    retry:  false
+                })
+                .then( () => {
+                    Metrics.inc( 'upload_bytes_total', null, chunk.length );
+                    return offset + chunk.length;
+                });
+            });
+        }, Object.assign( { name: "upload chunk at " + offset, deadline: 300000 }, policy, { retryOnError: isTransient } ) );
+    }
+
+    async verifyUpload ( uploadId, filename, fileSize, mode ) {
+        if ( mode === 'none' ) {
+            return;
+        }
+        const size = await this.getContentSize( uploadId );
+        if ( size !== fileSize ) {
+            throw new Error("Upload of " + filename + " is incomplete: " + size + " bytes on the server, " + fileSize + " expected");
+        }
+        if ( mode === 'checksum' ) {
+            const [ local, remote ] = await Promise.all([
+                checksum( Fs.createReadStream( filename ) ),
+                this.getContentChecksum( uploadId )
+            ]);
+            if ( local !== remote ) {
+                throw new Error("Upload of " + filename + " is corrupted: checksum mismatch");
+            }
+        }
     }
 }
 
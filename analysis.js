@@ -0,0 +1,356 @@
+'use strict';
+
+const Config = require('./config');
+const Logger = require('./logger');
+const ConfigurationError = require("./ConfigurationError");
+
+
+/*
+ * The output and the exit status of each program are analyzed with a set of rules, to decide whether
+ * the program succeeded and to tell the users what went wrong in plain words.
+ *
+ * The rules of a program look like:
+ *   {
+ *     errors: [
+ *       {
+ *         code:     "SOLVER_DIVERGED",             // the failure code reported to alfresco
+ *         pattern:  "a divergé",                   // regular expression, and/or
+ *         exitCode: 3,                             // a status code, a list of them, or "nonzero"
+ *         streams:  [ "stdout" ],                  // defaults to both stdout and stderr
+ *         flags:    "m",                           // flags of the regular expression
+ *         capture:  { time: "^Time = (\\S+)" },    // values looked for before the match: the last one wins
+ *         message:  "solver diverged at t={time}", // the message reported to alfresco
+ *         onMatch:  "fail"                         // "abort" (default) stops the pipeline, "fail" marks the task as failed but goes on
+ *       }
+ *     ],
+ *     warnings: [
+ *       { code: "FOAM_WARNING", pattern: "FOAM Warning", message: "..." }
+ *     ]
+ *   }
+ * A rule with both a pattern and an exitCode only applies when both match. The first error rule
+ * that applies wins, every warning rule that applies is reported. A non-zero exit status is a failure
+ * unless a warning rule with an exitCode says otherwise.
+ *
+ * The message may contain placeholders: {0} is the matched text, {1}, {2}... and {name} are the groups
+ * of the pattern or the values of "capture", {line} is the whole line of the match, and {program},
+ * {exitCode} and {signal} speak for themselves.
+ *
+ * The default rules below can be replaced program by program with the "rules" entry of the
+ * airetd section of conf.json, e.g. { "airetd": { "rules": { "simulation": { "errors": [ ... ] } } } }
+ *
+ * Only the tail of the output is kept in memory (see output.js), so the patterns are looked for while
+ * the program runs, with watch(): an error printed at the beginning of a long output is still found.
+ * A match can span several lines, as long as they fit in SCAN_OVERLAP.
+ */
+const PYTHON_ERRORS = [
+    { code: "PYTHON_EXCEPTION", pattern: "^(\\w+(?:\\.\\w+)*(?:Error|Exception|Interrupt)): ?(.*)$", flags: "m", streams: [ "stderr" ],
+      message: "{program} failed with {1}: {2}" },
+];
+const PYTHON_WARNINGS = [
+    { code: "PYTHON_WARNING", pattern: "^\\S*:\\d+: (\\w*Warning: .*)$", flags: "m", streams: [ "stderr" ], message: "{program}: {1}" },
+];
+
+const DEFAULT_RULES = {
+    preproc: {
+        errors:     PYTHON_ERRORS,
+        warnings:   PYTHON_WARNINGS,
+    },
+    simulation: {
+        errors: [
+            { code: "FOAM_FATAL_ERROR", pattern: "FOAM FATAL (?:IO )?ERROR:?\\s*(.*)", onMatch: "fail",
+              message: "OpenFOAM fatal error: {1}" },
+            // the messages of the simulation script are in french
+            { code: "SOLVER_DIVERGED", pattern: "a divergé", capture: { time: "^\\s*Time = (\\S+)" }, onMatch: "fail",
+              message: "solver diverged at t={time}" },
+            // "commande introuvable" means there is an internal error in the script
+            { code: "SCRIPT_ERROR", pattern: "commande introuvable", onMatch: "fail",
+              message: "internal error in the simulation script: {line}" },
+        ],
+        warnings: [
+            { code: "FOAM_WARNING", pattern: "FOAM Warning\\s*:?\\s*(.*)", message: "OpenFOAM warning: {1}" },
+        ],
+    },
+    emiCalc: {
+        errors: [
+            { code: "EMICALC_FAILED", pattern: "IndexError:", streams: [ "stderr" ], message: "emicalc failed: {line}" },
+        ].concat( PYTHON_ERRORS ),
+        warnings:   PYTHON_WARNINGS,
+    },
+    meanAndConcat: {
+        errors:     PYTHON_ERRORS,
+        warnings:   PYTHON_WARNINGS,
+    },
+    probesMeanYear: {
+        errors:     PYTHON_ERRORS,
+        warnings:   PYTHON_WARNINGS,
+    },
+    polluant: {
+        errors:     PYTHON_ERRORS,
+        warnings:   PYTHON_WARNINGS,
+    },
+};
+
+const STREAMS = [ 'stdout', 'stderr' ];
+
+// the output is scanned by pieces of SCAN_SIZE characters, the end of a piece is scanned again with the
+// next one so that a match across the two isn't missed
+const SCAN_SIZE = 64 * 1024;
+const SCAN_OVERLAP = 4 * 1024;
+
+
+function compile ( pattern, flags, where ) {
+    try {
+        return new RegExp( pattern, flags );
+    } catch (e) {
+        throw new ConfigurationError( where + "invalid pattern " + pattern + ": " + e.message );
+    }
+}
+
+function matchesExitCode ( rule, result ) {
+    if ( rule.exitCode == null ) {
+        return true;
+    }
+    if ( rule.exitCode === 'nonzero' ) {
+        return !!result.code;
+    }
+    return [].concat( rule.exitCode ).indexOf( result.code ) >= 0;
+}
+
+// the last value of each "capture" expression found in the text before the match
+function captures ( rule, text, index ) {
+    const values = {};
+    Object.keys( rule.capture || {} ).forEach( (name) => {
+        const regexp = new RegExp( rule.capture[ name ], 'gm' );
+        const before = text.slice( 0, index );
+        var m;
+        while ( ( m = regexp.exec( before ) ) ) {
+            values[ name ] = m[1] != null ? m[1] : m[0];
+            if ( !m[0].length ) {
+                regexp.lastIndex++;
+            }
+        }
+    });
+    return values;
+}
+
+/**
+ * Looks for the pattern of a rule in a text
+ * @param {object} [captured] - the values of "capture" found in the text before this one
+ * @param {number} [limit] - a match must start before this position
+ * @return {object} the values of the placeholders of the message, or null if there is no match
+ */
+function search ( rule, text, captured, limit ) {
+    const m = new RegExp( rule.pattern, rule.flags ).exec( text );
+    if ( !m || m.index >= ( limit != null ? limit : text.length + 1 ) ) {
+        return null;
+    }
+    const start = text.lastIndexOf( "\n", m.index ) + 1;
+    var end = text.indexOf( "\n", m.index + m[0].length );
+    if ( end < 0 ) {
+        end = text.length;
+    }
+    const values = Object.assign( {}, captured, captures( rule, text, m.index ), m.groups, { line: text.slice( start, end ).trim() } );
+    m.forEach( (g, i) => values[ i ] = g );
+    return values;
+}
+
+/**
+ * Looks for a rule in the output of a program
+ * @param {object} [found] - the matches of the rule found by watch(), by stream
+ * @return {object} the values of the placeholders of the message, or null if the rule doesn't apply
+ */
+function apply ( rule, result, found ) {
+    if ( !matchesExitCode( rule, result ) ) {
+        return null;
+    }
+    if ( !rule.pattern ) {
+        return {};
+    }
+    for ( const stream of rule.streams || STREAMS ) {
+        const values = ( found && found[ stream ] ) || ( found ? null : search( rule, result[ stream ] || "" ) );
+        if ( values ) {
+            return values;
+        }
+    }
+    return null;
+}
+
+function format ( message, values ) {
+    return message.replace( /\{(\w+)\}/g, (placeholder, name) => values[ name ] != null ? String( values[ name ] ).trim() : "unknown" );
+}
+
+
+class Analysis {
+
+    /**
+     * @param {string} program - the name of the program, used in the messages
+     * @param {object} rules - { errors: [...], warnings: [...] }
+     */
+    constructor ( program, rules ) {
+        this.program = program;
+        this.errors = rules.errors || [];
+        this.warnings = rules.warnings || [];
+        Analysis.validate( program, rules );
+        // what watch() has not scanned yet, and what it found, by rule and by stream
+        this.pending = null;
+        this.found = new Map();
+        this.captured = new Map();
+    }
+
+    /**
+     * Builds the analysis of a program from the configuration, or from the defaults
+     * @param {string} program - the name of the program, as in the "programs" entry of conf.json
+     * @param {object} [extra] - rules applied before those of the program, e.g. the checks of a pipeline
+     */
+    static load ( program, extra ) {
+        const cfg = Config.getAiretdConfig() || {};
+        const rules = ( cfg.rules && cfg.rules[ program ] ) || DEFAULT_RULES[ program ] || {};
+        if ( !extra ) {
+            return new Analysis( program, rules );
+        }
+        return new Analysis( program, {
+            errors:     ( extra.errors || [] ).concat( rules.errors || [] ),
+            warnings:   ( extra.warnings || [] ).concat( rules.warnings || [] ),
+        });
+    }
+
+    static validate ( program, rules ) {
+        const check = (kind) => {
+            if ( rules[ kind ] == null ) {
+                return;
+            }
+            if ( !Array.isArray( rules[ kind ] ) ) {
+                throw new ConfigurationError("wrong configuration of the rules of " + program + ": a list of " + kind + " is expected");
+            }
+            rules[ kind ].forEach( (r, i) => {
+                const where = "wrong configuration of the rules of " + program + " (" + kind + " #" + i + "): ";
+                if ( !r || ( !r.pattern && r.exitCode == null ) ) {
+                    throw new ConfigurationError( where + "a pattern or an exitCode is expected" );
+                }
+                if ( !r.code ) {
+                    throw new ConfigurationError( where + "missing code" );
+                }
+                if ( r.pattern ) {
+                    compile( r.pattern, r.flags, where );
+                }
+                Object.keys( r.capture || {} ).forEach( (name) => compile( r.capture[ name ], 'gm', where ) );
+                if ( r.onMatch && r.onMatch !== 'abort' && r.onMatch !== 'fail' ) {
+                    throw new ConfigurationError( where + "invalid onMatch value " + r.onMatch );
+                }
+            });
+        };
+        check('errors');
+        check('warnings');
+    }
+
+    /**
+     * Looks for the patterns in the output of the program while it runs, the matches are kept for analyze()
+     * @param {string} stream - stdout or stderr
+     * @param {string} data
+     */
+    watch ( stream, data ) {
+        this.pending = this.pending || { stdout: "", stderr: "" };
+        const text = this.pending[ stream ] + data;
+        if ( text.length < SCAN_SIZE ) {
+            this.pending[ stream ] = text;
+            return;
+        }
+        // whole lines, unless there are hardly any ends of line (e.g. progress bars)
+        var end = text.lastIndexOf( "\n" ) + 1;
+        if ( end <= SCAN_OVERLAP ) {
+            end = text.length;
+        }
+        const overlap = end > SCAN_OVERLAP ? text.indexOf( "\n", end - SCAN_OVERLAP ) + 1 || end : 0;
+        // a match in the overlap may go on in the next data, it's looked for again with it
+        this.scan( stream, text.slice( 0, end ), overlap );
+        this.pending[ stream ] = text.slice( overlap );
+    }
+
+    scan ( stream, text, limit ) {
+        this.errors.concat( this.warnings ).forEach( (rule) => {
+            if ( !rule.pattern || ( rule.streams || STREAMS ).indexOf( stream ) < 0 ) {
+                return;
+            }
+            const found = this.found.get( rule ) || {};
+            if ( found[ stream ] ) {
+                return;
+            }
+            const captured = this.captured.get( rule ) || {};
+            const values = search( rule, text, captured[ stream ], limit );
+            if ( values ) {
+                found[ stream ] = values;
+                this.found.set( rule, found );
+            } else if ( rule.capture ) {
+                captured[ stream ] = Object.assign( {}, captured[ stream ], captures( rule, text, limit != null ? limit : text.length ) );
+                this.captured.set( rule, captured );
+            }
+        });
+    }
+
+    /**
+     * Classifies the outcome of a run of the program
+     * @param {object} result - { code, signal, stdout, stderr }, the output is only searched if it wasn't watched
+     * @return {object} {
+     *   success:   false if the program failed,
+     *   onMatch:   "abort" or "fail", what to do with a failure,
+     *   code:      the failure code, null on success,
+     *   message:   a readable description of the failure,
+     *   warnings:  [ { code, message } ]
+     * }
+     */
+    analyze ( result ) {
+        if ( this.pending ) {
+            STREAMS.forEach( (stream) => this.scan( stream, this.pending[ stream ] ) );
+            this.pending = { stdout: "", stderr: "" };
+        }
+        const watched = (rule) => this.pending ? this.found.get( rule ) || {} : null;
+        const base = { program: this.program, exitCode: result.code, signal: result.signal };
+        const res = { success: true, onMatch: null, code: null, message: null, warnings: [] };
+        var tolerated = false;
+
+        this.warnings.forEach( (rule) => {
+            const values = apply( rule, result, watched( rule ) );
+            if ( values ) {
+                res.warnings.push({ code: rule.code, message: format( rule.message || rule.code, Object.assign( {}, base, values ) ) });
+                tolerated = tolerated || rule.exitCode != null;
+            }
+        });
+
+        for ( const rule of this.errors ) {
+            const values = apply( rule, result, watched( rule ) );
+            if ( values ) {
+                res.success = false;
+                res.onMatch = rule.onMatch || 'abort';
+                res.code = rule.code;
+                res.message = format( rule.message || rule.code, Object.assign( {}, base, values ) );
+                break;
+            }
+        }
+
+        if ( res.success && result.signal ) {
+            res.success = false;
+            res.onMatch = 'abort';
+            res.code = "KILLED";
+            res.message = format( "{program} was terminated by signal {signal}", base );
+        } else if ( res.success && result.code && !tolerated ) {
+            res.success = false;
+            res.onMatch = 'abort';
+            res.code = "EXIT_STATUS";
+            res.message = format( "{program} terminated with status code {exitCode}", base );
+        }
+        // a program that exits with an error status cannot go on, whatever its output says
+        if ( !res.success && ( result.code && !tolerated || result.signal ) ) {
+            res.onMatch = 'abort';
+        }
+
+        if ( !res.success ) {
+            Logger.info( this.program + " failed: " + res.code + " " + res.message );
+        }
+        res.warnings.forEach( (w) => Logger.warn( this.program + " warning: " + w.code + " " + w.message ) );
+        return res;
+    }
+}
+
+Analysis.DEFAULTS = DEFAULT_RULES;
+
+module.exports = Analysis;
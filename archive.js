@@ -0,0 +1,881 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+const Zlib = require('zlib');
+const Stream = require('stream');
+
+const Config = require('./config');
+const Logger = require('./logger');
+const ConfigurationError = require("./ConfigurationError");
+const CancellationToken = require('./cancellation');
+const ExtractionError = require("./ExtractionError");
+
+
+/*
+ * Writes and reads archives without external programs:
+ *   tar.zst   tar compressed with zstd, when node supports it (22.15 and later)
+ *   tar.gz    tar compressed with gzip, the default when zstd is not available
+ *   zip       what alfresco produces when downloading a folder, and what users open without tools
+ * 7z archives, the results of postproc and the artifacts of older versions of the worker, are recognized
+ * but they can only be written and read by the 7z program (see Study.compress and Study.uncompress).
+ *
+ * The archives are produced as streams, so that they can be uploaded while being written.
+ *
+ * It's configured with the "archive" entry of the airetd section of conf.json, and the actions of
+ * the pipelines that produce archives may override any of these:
+ *   {
+ *     "format":   "tar.zst",                  // tar.zst, tar.gz, zip, or 7z with the 7z program
+ *     "level":    3,                          // compression level, defaults to the one of the format
+ *     "threads":  4,                          // zstd only, 0 means no worker threads
+ *     "include":  [ "*.vtk", "postProcessing/**" ],
+ *     "exclude":  [ "processor*", "*.tmp" ]
+ *   }
+ * The default format is tar.zst where node can write zstd (22.15 and later) and tar.gz otherwise, e.g. on
+ * node 20: a worker on node 20 cannot read the tar.zst artifacts of a more recent one. Asking for tar.zst
+ * where node cannot write it is an error, it doesn't fall back to tar.gz.
+ *
+ * The patterns are matched against the paths relative to the archived directories, e.g.
+ * "constant/polyMesh/points", a pattern without a slash is matched against the name of each file or
+ * directory. "*" doesn't match slashes, "**" does. An excluded directory is skipped with all its
+ * content; when there are include patterns, only the files that match one of them are archived.
+ */
+const ZSTD = typeof Zlib.createZstdCompress === 'function';
+
+const DEFAULT_OPTIONS = {
+    format:     ZSTD ? 'tar.zst' : 'tar.gz',
+    level:      null,
+    threads:    0,
+    include:    [],
+    exclude:    [],
+};
+
+const EXTENSIONS = {
+    'tar.zst':  '.tar.zst',
+    'tar.gz':   '.tar.gz',
+    'zip':      '.zip',
+    '7z':       '.7z',
+};
+
+const BLOCK_SIZE = 512;
+// the largest size that fits in the size field of a tar header
+const MAX_OCTAL_SIZE = 0o77777777777;
+// zip64 is not supported when writing, we don't produce zip files that large
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+
+
+var crcTable = null;
+
+// the crc32 of a buffer, continuing from the crc of the previous buffers
+function crc32 ( buffer, crc ) {
+    if ( Zlib.crc32 ) {
+        return Zlib.crc32( buffer, crc || 0 );
+    }
+    if ( !crcTable ) {
+        crcTable = new Int32Array( 256 );
+        for ( var n = 0; n < 256; n++ ) {
+            var c = n;
+            for ( var k = 0; k < 8; k++ ) {
+                c = c & 1 ? 0xEDB88320 ^ ( c >>> 1 ) : c >>> 1;
+            }
+            crcTable[ n ] = c;
+        }
+    }
+    var r = ( crc || 0 ) ^ -1;
+    for ( var i = 0; i < buffer.length; i++ ) {
+        r = crcTable[ ( r ^ buffer[ i ] ) & 0xFF ] ^ ( r >>> 8 );
+    }
+    return ( r ^ -1 ) >>> 0;
+}
+
+function globToRegExp ( glob ) {
+    var re = "";
+    for ( var i = 0; i < glob.length; i++ ) {
+        const c = glob[ i ];
+        if ( c === '*' && glob[ i + 1 ] === '*' ) {
+            // "**/" also matches no directory at all
+            if ( glob[ i + 2 ] === '/' ) {
+                re += "(?:.*/)?";
+                i += 2;
+            } else {
+                re += ".*";
+                i++;
+            }
+        } else if ( c === '*' ) {
+            re += "[^/]*";
+        } else if ( c === '?' ) {
+            re += "[^/]";
+        } else {
+            re += c.replace( /[.+^${}()|[\]\\]/g, "\\$&" );
+        }
+    }
+    return new RegExp( "^" + re + "$" );
+}
+
+function compileFilters ( options ) {
+    const compile = (patterns) => [].concat( patterns || [] ).map( (p) => ({ regexp: globToRegExp( p ), basename: p.indexOf('/') < 0 }) );
+    const include = compile( options.include );
+    const exclude = compile( options.exclude );
+    const matches = (list, name) => list.some( (p) => p.regexp.test( p.basename ? Path.posix.basename( name ) : name ) );
+    return {
+        excluded: (name) => matches( exclude, name ),
+        included: (name) => !include.length || matches( include, name ),
+    };
+}
+
+/**
+ * Lists the content of a directory, depth first
+ * @param {string} rel - the path relative to the archived directory, that the patterns are matched against
+ * @return {AsyncIterator<object>} { path, name, stat }, name is the path inside the archive
+ */
+async function* walk ( path, name, rel, filters ) {
+    const stat = await Fs.promises.lstat( path );
+    if ( rel && filters.excluded( rel ) ) {
+        return;
+    }
+    if ( stat.isDirectory() ) {
+        yield { path: path, name: name, stat: stat };
+        const children = ( await Fs.promises.readdir( path ) ).sort();
+        for ( const child of children ) {
+            yield* walk( Path.join( path, child ), name + "/" + child, rel ? rel + "/" + child : child, filters );
+        }
+    } else if ( !rel || filters.included( rel ) ) {
+        yield { path: path, name: name, stat: stat };
+    }
+}
+
+async function* entries ( roots, options ) {
+    const filters = compileFilters( options );
+    for ( const root of roots ) {
+        yield* walk( Path.resolve( root ), Path.basename( Path.resolve( root ) ), "", filters );
+    }
+}
+
+// the content of a file, exactly size bytes even if it changed since it was listed
+async function* fileContent ( path, size, token ) {
+    var remaining = size;
+    for await ( const chunk of Fs.createReadStream( path ) ) {
+        token.throwIfCancelled();
+        if ( remaining <= 0 ) {
+            break;
+        }
+        const data = chunk.length > remaining ? chunk.subarray( 0, remaining ) : chunk;
+        remaining -= data.length;
+        yield data;
+    }
+    if ( remaining > 0 ) {
+        Logger.warn("File", path, "shrank while being archived");
+        yield Buffer.alloc( remaining );
+    }
+}
+
+
+/* ---------- tar ---------- */
+
+function writeString ( buffer, value, offset, length ) {
+    Buffer.from( value ).copy( buffer, offset, 0, length );
+}
+
+function writeOctal ( buffer, value, offset, length ) {
+    writeString( buffer, value.toString( 8 ).padStart( length - 1, '0' ) + "\0", offset, length );
+}
+
+// a pax record is "<length> <key>=<value>\n", the length counting itself
+function paxRecord ( key, value ) {
+    const rest = " " + key + "=" + value + "\n";
+    var length = Buffer.byteLength( rest );
+    while ( String( length ).length + Buffer.byteLength( rest ) !== length ) {
+        length = String( length ).length + Buffer.byteLength( rest );
+    }
+    return length + rest;
+}
+
+function tarHeader ( name, type, stat, size, linkname ) {
+    const header = Buffer.alloc( BLOCK_SIZE );
+    writeString( header, name, 0, 100 );
+    writeOctal( header, stat.mode & 0o7777, 100, 8 );
+    writeOctal( header, stat.uid || 0, 108, 8 );
+    writeOctal( header, stat.gid || 0, 116, 8 );
+    writeOctal( header, size > MAX_OCTAL_SIZE ? 0 : size, 124, 12 );
+    writeOctal( header, Math.floor( stat.mtimeMs / 1000 ), 136, 12 );
+    header.write( type, 156 );
+    writeString( header, linkname || "", 157, 100 );
+    header.write( "ustar\0" + "00", 257 );
+    // the checksum is computed with its own field filled with spaces
+    header.fill( 0x20, 148, 156 );
+    var sum = 0;
+    for ( var i = 0; i < BLOCK_SIZE; i++ ) {
+        sum += header[ i ];
+    }
+    writeString( header, sum.toString( 8 ).padStart( 6, '0' ) + "\0 ", 148, 8 );
+    return header;
+}
+
+function padding ( size ) {
+    const rest = size % BLOCK_SIZE;
+    return rest ? Buffer.alloc( BLOCK_SIZE - rest ) : null;
+}
+
+// the headers of an entry, with a pax header before it when the name or the size don't fit
+function tarHeaders ( name, type, stat, size, linkname ) {
+    var pax = "";
+    if ( Buffer.byteLength( name ) > 100 ) {
+        pax += paxRecord( "path", name );
+    }
+    if ( linkname && Buffer.byteLength( linkname ) > 100 ) {
+        pax += paxRecord( "linkpath", linkname );
+    }
+    if ( size > MAX_OCTAL_SIZE ) {
+        pax += paxRecord( "size", size );
+    }
+    const headers = [];
+    if ( pax ) {
+        const data = Buffer.from( pax );
+        headers.push( tarHeader( "PaxHeader/" + Path.posix.basename( name ).slice( 0, 80 ), 'x', stat, data.length ), data );
+        const pad = padding( data.length );
+        if ( pad ) {
+            headers.push( pad );
+        }
+    }
+    headers.push( tarHeader( name, type, stat, size, linkname ) );
+    return headers;
+}
+
+async function* tar ( roots, options, token ) {
+    for await ( const e of entries( roots, options ) ) {
+        token.throwIfCancelled();
+        if ( e.stat.isDirectory() ) {
+            yield* tarHeaders( e.name + "/", '5', e.stat, 0 );
+        } else if ( e.stat.isSymbolicLink() ) {
+            yield* tarHeaders( e.name, '2', e.stat, 0, await Fs.promises.readlink( e.path ) );
+        } else if ( e.stat.isFile() ) {
+            yield* tarHeaders( e.name, '0', e.stat, e.stat.size );
+            yield* fileContent( e.path, e.stat.size, token );
+            const pad = padding( e.stat.size );
+            if ( pad ) {
+                yield pad;
+            }
+        } else {
+            Logger.warn("Skipping special file", e.path );
+        }
+    }
+    // the end of the archive is marked by two empty blocks
+    yield Buffer.alloc( 2 * BLOCK_SIZE );
+}
+
+
+/* ---------- zip ---------- */
+
+function dosDateTime ( date ) {
+    return {
+        time:   ( date.getHours() << 11 ) | ( date.getMinutes() << 5 ) | ( date.getSeconds() >> 1 ),
+        date:   ( ( Math.max( date.getFullYear(), 1980 ) - 1980 ) << 9 ) | ( ( date.getMonth() + 1 ) << 5 ) | date.getDate(),
+    };
+}
+
+async function* zip ( roots, options, token ) {
+    const central = [];
+    var offset = 0;
+    const level = options.level != null ? options.level : Zlib.constants.Z_DEFAULT_COMPRESSION;
+
+    for await ( const e of entries( roots, options ) ) {
+        token.throwIfCancelled();
+        const isDir = e.stat.isDirectory();
+        if ( !isDir && !e.stat.isFile() ) {
+            Logger.warn("Skipping", e.path, ": only files and directories can be stored in a zip archive");
+            continue;
+        }
+        const name = Buffer.from( isDir ? e.name + "/" : e.name );
+        const dt = dosDateTime( e.stat.mtime );
+        const method = isDir ? 0 : 8;
+
+        // the sizes and the crc come after the data, in a data descriptor
+        const header = Buffer.alloc( 30 );
+        header.writeUInt32LE( 0x04034b50, 0 );
+        header.writeUInt16LE( 20, 4 );                  // version needed to extract
+        header.writeUInt16LE( 0x0808, 6 );              // utf-8 names, data descriptor
+        header.writeUInt16LE( method, 8 );
+        header.writeUInt16LE( dt.time, 10 );
+        header.writeUInt16LE( dt.date, 12 );
+        header.writeUInt16LE( name.length, 26 );
+        const start = offset;
+        yield header;
+        yield name;
+        offset += header.length + name.length;
+
+        var crc = 0, size = 0, compressedSize = 0;
+        if ( !isDir ) {
+            const deflate = Zlib.createDeflateRaw({ level: level });
+            const input = Stream.Readable.from( fileContent( e.path, e.stat.size, token ) );
+            input.on('data', (chunk) => {
+                crc = crc32( chunk, crc );
+                size += chunk.length;
+            });
+            Stream.pipeline( input, deflate, () => {} );
+            for await ( const chunk of deflate ) {
+                compressedSize += chunk.length;
+                yield chunk;
+            }
+            offset += compressedSize;
+            if ( size > MAX_ZIP_SIZE || offset > MAX_ZIP_SIZE ) {
+                throw new Error("Zip archives are limited to 4GB, use tar.zst or tar.gz for " + e.path );
+            }
+        }
+        const descriptor = Buffer.alloc( 16 );
+        descriptor.writeUInt32LE( 0x08074b50, 0 );
+        descriptor.writeUInt32LE( crc, 4 );
+        descriptor.writeUInt32LE( compressedSize, 8 );
+        descriptor.writeUInt32LE( size, 12 );
+        yield descriptor;
+        offset += descriptor.length;
+
+        const entry = Buffer.alloc( 46 );
+        entry.writeUInt32LE( 0x02014b50, 0 );
+        entry.writeUInt16LE( ( 3 << 8 ) | 20, 4 );      // made by unix, so that the permissions are kept
+        header.copy( entry, 6, 4, 16 );                 // version needed, flags, method, time and date
+        descriptor.copy( entry, 16, 4, 16 );            // crc and sizes
+        entry.writeUInt16LE( name.length, 28 );
+        entry.writeUInt32LE( ( ( ( e.stat.mode & 0xFFFF ) << 16 ) | ( isDir ? 0x10 : 0 ) ) >>> 0, 38 );
+        entry.writeUInt32LE( start, 42 );
+        central.push( entry, name );
+    }
+
+    const centralSize = central.reduce( (sum, b) => sum + b.length, 0 );
+    for ( const b of central ) {
+        yield b;
+    }
+    const end = Buffer.alloc( 22 );
+    end.writeUInt32LE( 0x06054b50, 0 );
+    end.writeUInt16LE( central.length / 2, 8 );
+    end.writeUInt16LE( central.length / 2, 10 );
+    end.writeUInt32LE( centralSize, 12 );
+    end.writeUInt32LE( offset, 16 );
+    yield end;
+}
+
+
+/* ---------- reading ---------- */
+
+// reads exact amounts of bytes from a stream
+class BlockReader {
+
+    constructor ( iterable ) {
+        this.iterator = iterable[ Symbol.asyncIterator ]();
+        this.buffer = Buffer.alloc( 0 );
+        this.done = false;
+    }
+
+    async fill ( n ) {
+        while ( this.buffer.length < n && !this.done ) {
+            const r = await this.iterator.next();
+            if ( r.done ) {
+                this.done = true;
+            } else {
+                this.buffer = this.buffer.length ? Buffer.concat([ this.buffer, r.value ]) : r.value;
+            }
+        }
+    }
+
+    // exactly n bytes, or null at the end of the stream
+    async read ( n ) {
+        await this.fill( n );
+        if ( this.buffer.length < n ) {
+            return null;
+        }
+        const b = this.buffer.subarray( 0, n );
+        this.buffer = this.buffer.subarray( n );
+        return b;
+    }
+
+    // n bytes, chunk by chunk
+    async* chunks ( n ) {
+        var remaining = n;
+        while ( remaining > 0 ) {
+            await this.fill( 1 );
+            if ( !this.buffer.length ) {
+                throw new Error("Unexpected end of archive");
+            }
+            const b = this.buffer.subarray( 0, Math.min( remaining, this.buffer.length ) );
+            this.buffer = this.buffer.subarray( b.length );
+            remaining -= b.length;
+            yield b;
+        }
+    }
+}
+
+function readString ( buffer, offset, length ) {
+    const b = buffer.subarray( offset, offset + length );
+    const end = b.indexOf( 0 );
+    return b.subarray( 0, end < 0 ? b.length : end ).toString();
+}
+
+function readNumber ( buffer, offset, length ) {
+    if ( buffer[ offset ] & 0x80 ) {
+        // base-256, for the values that don't fit in octal
+        var value = buffer[ offset ] & 0x7F;
+        for ( var i = 1; i < length; i++ ) {
+            value = value * 256 + buffer[ offset + i ];
+        }
+        return value;
+    }
+    return parseInt( readString( buffer, offset, length ).trim() || "0", 8 );
+}
+
+function parsePax ( data ) {
+    const records = {};
+    var pos = 0;
+    const text = data.toString();
+    while ( pos < text.length ) {
+        const space = text.indexOf( ' ', pos );
+        const length = parseInt( text.slice( pos, space ), 10 );
+        if ( !length ) {
+            break;
+        }
+        const record = Buffer.from( text.slice( pos ) ).subarray( 0, length ).toString();
+        const eq = record.indexOf( '=' );
+        records[ record.slice( record.indexOf( ' ' ) + 1, eq ) ] = record.slice( eq + 1, -1 );
+        pos += record.length;
+    }
+    return records;
+}
+
+async function writeFile ( target, chunks, mode, mtime ) {
+    await Fs.promises.mkdir( Path.dirname( target ), { recursive: true } );
+    const fh = await Fs.promises.open( target, 'w' );
+    try {
+        for await ( const chunk of chunks ) {
+            await fh.write( chunk );
+        }
+        if ( mode ) {
+            await fh.chmod( mode & 0o7777 );
+        }
+    } finally {
+        await fh.close();
+    }
+    if ( mtime ) {
+        await Fs.promises.utimes( target, mtime, mtime );
+    }
+}
+
+// where an entry goes: inside the destination directory, nowhere else
+function safeTarget ( dest, name ) {
+    const target = Path.resolve( dest, name );
+    if ( Path.isAbsolute( name ) || ( target !== dest && !target.startsWith( dest + Path.sep ) ) ) {
+        throw new ExtractionError( "Unsafe path in archive: " + name, 'UNSAFE_PATH' );
+    }
+    return target;
+}
+
+/**
+ * What the readers of both formats share: where the entries go, and the limits
+ * @param {object} options
+ * @param {function} [options.map] - (entry) => the path of an entry relative to the destination, or null to
+ *   skip it; entry is { index, name, type: "file", "directory", "symlink" or "other", size }
+ * @param {number} [options.maxFiles] - the number of entries that may be extracted
+ * @param {number} [options.maxSize] - the total size of the files that may be extracted, in bytes
+ */
+class Extractor {
+
+    constructor ( dest, options, token ) {
+        this.dest = dest;
+        this.options = options;
+        this.token = token;
+        this.index = 0;
+        this.count = 0;
+        this.size = 0;
+    }
+
+    // the absolute path where an entry goes, or null
+    async target ( entry ) {
+        entry.index = this.index++;
+        if ( entry.type === 'other' ) {
+            return null;
+        }
+        const name = this.options.map ? this.options.map( entry ) : entry.name;
+        if ( name == null ) {
+            return null;
+        }
+        const target = safeTarget( this.dest, name );
+        if ( ++this.count > this.options.maxFiles ) {
+            throw new ExtractionError( "The archive has more than " + this.options.maxFiles + " entries", 'ARCHIVE_TOO_LARGE' );
+        }
+        await this.checkParents( name, target );
+        return target;
+    }
+
+    /*
+     * The path of an entry is checked as text, but the links extracted before may lead elsewhere, e.g. "a -> .."
+     * then "a/b -> ../.." seem to stay inside: no entry may go through a link. A link in place of the entry
+     * itself is removed, so that a file doesn't overwrite what the link points to.
+     */
+    async checkParents ( name, target ) {
+        const lstat = (path) => Fs.promises.lstat( path ).catch( (err) => {
+            if ( err.code === 'ENOENT' ) {
+                return null;
+            }
+            throw err;
+        });
+        var path = this.dest;
+        for ( const part of Path.relative( this.dest, target ).split( Path.sep ).slice( 0, -1 ) ) {
+            path = Path.join( path, part );
+            const stat = await lstat( path );
+            if ( !stat ) {
+                return;
+            }
+            if ( stat.isSymbolicLink() ) {
+                throw new ExtractionError( "Unsafe path in archive: " + name + " goes through the link " + Path.relative( this.dest, path ), 'UNSAFE_PATH' );
+            }
+        }
+        const stat = await lstat( target );
+        if ( stat && stat.isSymbolicLink() ) {
+            await Fs.promises.unlink( target );
+        }
+    }
+
+    // the content of a file, within the size limit: the sizes announced by the archive are not trusted
+    async* content ( chunks ) {
+        for await ( const chunk of chunks ) {
+            this.size += chunk.length;
+            if ( this.size > this.options.maxSize ) {
+                throw new ExtractionError( "The content of the archive is larger than " + this.options.maxSize + " bytes", 'ARCHIVE_TOO_LARGE' );
+            }
+            yield chunk;
+        }
+    }
+}
+
+async function extractTar ( input, extractor ) {
+    const reader = new BlockReader( input );
+    const dest = extractor.dest;
+    var pax = {};
+    var longName = null, longLink = null;
+
+    for (;;) {
+        extractor.token.throwIfCancelled();
+        const header = await reader.read( BLOCK_SIZE );
+        if ( !header || header.every( (b) => b === 0 ) ) {
+            break;
+        }
+        const checksum = readNumber( header, 148, 8 );
+        var sum = 0;
+        for ( var i = 0; i < BLOCK_SIZE; i++ ) {
+            sum += ( i >= 148 && i < 156 ) ? 0x20 : header[ i ];
+        }
+        if ( sum !== checksum ) {
+            throw new Error("Invalid tar header");
+        }
+        const type = header[ 156 ] ? String.fromCharCode( header[ 156 ] ) : '0';
+        const prefix = readString( header, 345, 155 );
+        const name = pax.path || longName || ( prefix ? prefix + "/" : "" ) + readString( header, 0, 100 );
+        const size = pax.size != null ? parseInt( pax.size, 10 ) : readNumber( header, 124, 12 );
+        const linkname = pax.linkpath || longLink || readString( header, 157, 100 );
+        const mode = readNumber( header, 100, 8 );
+        const mtime = readNumber( header, 136, 12 );
+        const skip = async (n) => {
+            for await ( const chunk of reader.chunks( n ) ) { // eslint-disable-line no-unused-vars
+            }
+        };
+        const readAll = async (n) => {
+            const chunks = [];
+            for await ( const chunk of reader.chunks( n ) ) {
+                chunks.push( chunk );
+            }
+            return Buffer.concat( chunks );
+        };
+        const pad = ( BLOCK_SIZE - size % BLOCK_SIZE ) % BLOCK_SIZE;
+
+        if ( type === 'x' || type === 'L' || type === 'K' || type === 'g' ) {
+            const data = await readAll( size );
+            await skip( pad );
+            if ( type === 'x' ) {
+                pax = parsePax( data );
+            } else if ( type === 'L' ) {
+                longName = readString( data, 0, data.length );
+            } else if ( type === 'K' ) {
+                longLink = readString( data, 0, data.length );
+            }
+            continue;
+        }
+        pax = {};
+        longName = longLink = null;
+
+        const entry = {
+            name:   name.replace( /\/$/, "" ),
+            type:   type === '5' ? 'directory' : type === '2' ? 'symlink' : ( type === '0' || type === '7' ) ? 'file' : 'other',
+            size:   size,
+        };
+        const target = await extractor.target( entry );
+        if ( !target ) {
+            await skip( size + pad );
+            continue;
+        }
+        if ( entry.type === 'directory' ) {
+            await Fs.promises.mkdir( target, { recursive: true } );
+        } else if ( entry.type === 'symlink' ) {
+            // a link must not lead out of the destination either
+            safeTarget( dest, Path.relative( dest, Path.resolve( Path.dirname( target ), linkname ) ) );
+            await Fs.promises.mkdir( Path.dirname( target ), { recursive: true } );
+            await Fs.promises.rm( target, { force: true } );
+            await Fs.promises.symlink( linkname, target );
+        } else {
+            await writeFile( target, extractor.content( reader.chunks( size ) ), mode, mtime );
+        }
+        await skip( entry.type === 'file' ? pad : size + pad );
+    }
+    return extractor.count;
+}
+
+async function extractZip ( filename, extractor ) {
+    const fh = await Fs.promises.open( filename, 'r' );
+    try {
+        const read = async (position, length) => {
+            const b = Buffer.alloc( length );
+            const { bytesRead } = await fh.read( b, 0, length, position );
+            return b.subarray( 0, bytesRead );
+        };
+        const size = ( await fh.stat() ).size;
+        // the end of central directory record is at the end, followed by a comment of at most 64KB
+        const tailStart = Math.max( 0, size - 65557 );
+        const tail = await read( tailStart, size - tailStart );
+        var pos = tail.length - 22;
+        while ( pos >= 0 && tail.readUInt32LE( pos ) !== 0x06054b50 ) {
+            pos--;
+        }
+        if ( pos < 0 ) {
+            throw new Error("Invalid zip archive " + filename );
+        }
+        var entriesCount = tail.readUInt16LE( pos + 10 );
+        var cdSize = tail.readUInt32LE( pos + 12 );
+        var cdOffset = tail.readUInt32LE( pos + 16 );
+        if ( cdOffset === 0xFFFFFFFF || entriesCount === 0xFFFF ) {
+            // zip64: the locator is right before the end record
+            const locator = await read( tailStart + pos - 20, 20 );
+            const record = await read( Number( locator.readBigUInt64LE( 8 ) ), 56 );
+            entriesCount = Number( record.readBigUInt64LE( 32 ) );
+            cdSize = Number( record.readBigUInt64LE( 40 ) );
+            cdOffset = Number( record.readBigUInt64LE( 48 ) );
+        }
+        const cd = await read( cdOffset, cdSize );
+
+        pos = 0;
+        for ( var n = 0; n < entriesCount; n++ ) {
+            extractor.token.throwIfCancelled();
+            if ( cd.readUInt32LE( pos ) !== 0x02014b50 ) {
+                throw new Error("Invalid zip archive " + filename );
+            }
+            const method = cd.readUInt16LE( pos + 10 );
+            const crc = cd.readUInt32LE( pos + 16 );
+            var compressedSize = cd.readUInt32LE( pos + 20 );
+            var uncompressedSize = cd.readUInt32LE( pos + 24 );
+            const nameLength = cd.readUInt16LE( pos + 28 );
+            const extraLength = cd.readUInt16LE( pos + 30 );
+            const commentLength = cd.readUInt16LE( pos + 32 );
+            const attributes = cd.readUInt32LE( pos + 38 );
+            var offset = cd.readUInt32LE( pos + 42 );
+            const name = cd.subarray( pos + 46, pos + 46 + nameLength ).toString();
+            // the zip64 extra field holds the values that don't fit, in this order
+            const extra = cd.subarray( pos + 46 + nameLength, pos + 46 + nameLength + extraLength );
+            for ( var e = 0; e + 4 <= extra.length; e += 4 + extra.readUInt16LE( e + 2 ) ) {
+                if ( extra.readUInt16LE( e ) === 0x0001 ) {
+                    var field = e + 4;
+                    if ( uncompressedSize === 0xFFFFFFFF ) { uncompressedSize = Number( extra.readBigUInt64LE( field ) ); field += 8; }
+                    if ( compressedSize === 0xFFFFFFFF )   { compressedSize = Number( extra.readBigUInt64LE( field ) ); field += 8; }
+                    if ( offset === 0xFFFFFFFF )           { offset = Number( extra.readBigUInt64LE( field ) ); }
+                }
+            }
+            pos += 46 + nameLength + extraLength + commentLength;
+
+            const entry = {
+                name:   name.replace( /\/$/, "" ),
+                type:   name.endsWith('/') ? 'directory' : 'file',
+                size:   uncompressedSize,
+            };
+            const target = await extractor.target( entry );
+            if ( !target ) {
+                continue;
+            }
+            if ( entry.type === 'directory' ) {
+                await Fs.promises.mkdir( target, { recursive: true } );
+                continue;
+            }
+            if ( method !== 0 && method !== 8 ) {
+                throw new Error("Unsupported compression method " + method + " for " + name );
+            }
+            const local = await read( offset, 30 );
+            const start = offset + 30 + local.readUInt16LE( 26 ) + local.readUInt16LE( 28 );
+            const raw = Fs.createReadStream( null, { fd: fh.fd, autoClose: false, start: start, end: start + compressedSize - 1 } );
+            const data = method === 8 ? Stream.pipeline( raw, Zlib.createInflateRaw(), () => {} ) : raw;
+            var actual = 0, actualSize = 0;
+            await writeFile( target, extractor.content( ( async function* () {
+                if ( !compressedSize ) {
+                    return;
+                }
+                for await ( const chunk of data ) {
+                    actual = crc32( chunk, actual );
+                    actualSize += chunk.length;
+                    yield chunk;
+                }
+            })() ), ( attributes >>> 16 ) & 0o7777 );
+            if ( actual !== crc || actualSize !== uncompressedSize ) {
+                throw new Error("Corrupted zip entry " + name );
+            }
+        }
+    } finally {
+        await fh.close();
+    }
+    return extractor.count;
+}
+
+
+class Archive {
+
+    /**
+     * @param {object} [overrides] - options that replace the configured ones
+     * @return {object} the options, see DEFAULT_OPTIONS
+     */
+    static options ( overrides ) {
+        const cfg = ( Config.getAiretdConfig() || {} ).archive;
+        const options = Object.assign( {}, DEFAULT_OPTIONS, cfg, overrides );
+        if ( !EXTENSIONS[ options.format ] ) {
+            throw new ConfigurationError("wrong configuration of the archives: unknown format " + options.format );
+        }
+        if ( options.format === 'tar.zst' && !ZSTD ) {
+            throw new ConfigurationError("wrong configuration of the archives: this version of node cannot write zstd, use tar.gz");
+        }
+        return options;
+    }
+
+    static extension ( format ) {
+        return EXTENSIONS[ format ];
+    }
+
+    static get formats () {
+        return Object.keys( EXTENSIONS );
+    }
+
+    /**
+     * Recognizes the format of an archive from its first bytes
+     * @return {string} one of the formats, or null
+     */
+    static detect ( filename ) {
+        const b = Buffer.alloc( 263 );
+        const fd = Fs.openSync( filename, 'r' );
+        var n;
+        try {
+            n = Fs.readSync( fd, b, 0, b.length, 0 );
+        } finally {
+            Fs.closeSync( fd );
+        }
+        if ( n >= 4 && b.readUInt32LE( 0 ) === 0xFD2FB528 ) {
+            return 'tar.zst';
+        }
+        if ( n >= 2 && b[0] === 0x1F && b[1] === 0x8B ) {
+            return 'tar.gz';
+        }
+        if ( n >= 4 && ( b.readUInt32LE( 0 ) === 0x04034b50 || b.readUInt32LE( 0 ) === 0x06054b50 ) ) {
+            return 'zip';
+        }
+        if ( n >= 6 && b.subarray( 0, 6 ).equals( Buffer.from([ 0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C ]) ) ) {
+            return '7z';
+        }
+        if ( n >= 262 && b.toString( 'latin1', 257, 262 ) === 'ustar' ) {
+            return 'tar';
+        }
+        return null;
+    }
+
+    /**
+     * Archives files and directories, each one is stored under its own name
+     * @param {string[]} roots - the paths to archive
+     * @param {object} [options] - see Archive.options, plus token, a CancellationToken
+     * @return {Readable} the archive
+     */
+    static create ( roots, options ) {
+        const opts = Archive.options( options );
+        const token = opts.token || CancellationToken.NONE;
+        if ( opts.format === 'zip' ) {
+            return Stream.Readable.from( zip( roots, opts, token ) );
+        }
+        const source = Stream.Readable.from( tar( roots, opts, token ) );
+        var compressor;
+        if ( opts.format === 'tar.zst' ) {
+            const params = {};
+            if ( opts.level != null ) {
+                params[ Zlib.constants.ZSTD_c_compressionLevel ] = opts.level;
+            }
+            if ( opts.threads ) {
+                params[ Zlib.constants.ZSTD_c_nbWorkers ] = opts.threads;
+            }
+            compressor = Zlib.createZstdCompress({ params: params });
+        } else if ( opts.format === 'tar.gz' ) {
+            compressor = Zlib.createGzip( opts.level != null ? { level: opts.level } : {} );
+        } else {
+            throw new ConfigurationError("Cannot write " + opts.format + " archives");
+        }
+        return Stream.pipeline( source, compressor, () => {} );
+    }
+
+    /**
+     * Archives files and directories in a file, the file is removed if it fails
+     * @return {Promise<string>} the filename
+     */
+    static async write ( roots, filename, options ) {
+        try {
+            await Stream.promises.pipeline( Archive.create( roots, options ), Fs.createWriteStream( filename ) );
+        } catch (err) {
+            await Fs.promises.rm( filename, { force: true } );
+            throw err;
+        }
+        return filename;
+    }
+
+    /**
+     * Extracts an archive in a directory. The entries that would end up outside of it are rejected, and
+     * it resolves once all the files are written and closed.
+     * @param {string} filename
+     * @param {string} dest - the destination directory
+     * @param {object} [options] - see Extractor: map, maxFiles and maxSize
+     * @param {CancellationToken} [options.token]
+     * @return {Promise<number>} the number of entries extracted
+     */
+    static extract ( filename, dest, options ) {
+        const opts = options || {};
+        const extractor = new Extractor( Path.resolve( dest ), opts, opts.token || CancellationToken.NONE );
+        const format = Archive.detect( filename );
+        const decompressed = (decompressor) => Stream.pipeline( Fs.createReadStream( filename ), decompressor, () => {} );
+        switch ( format ) {
+        case 'zip':
+            return extractZip( filename, extractor );
+        case 'tar':
+            return extractTar( Fs.createReadStream( filename ), extractor );
+        case 'tar.gz':
+            return extractTar( decompressed( Zlib.createGunzip() ), extractor );
+        case 'tar.zst':
+            if ( !ZSTD ) {
+                return Promise.reject( new Error("This version of node cannot read zstd archives: " + filename ) );
+            }
+            return extractTar( decompressed( Zlib.createZstdDecompress() ), extractor );
+        default:
+            return Promise.reject( new Error("Unsupported archive " + filename + ( format ? " (" + format + ")" : "" ) ) );
+        }
+    }
+
+    /**
+     * Lists the entries of an archive without extracting anything
+     * @return {Promise<object[]>} the entries: { index, name, type, size }
+     */
+    static list ( filename, options ) {
+        const entries = [];
+        // nothing is written, the destination doesn't matter
+        return Archive.extract( filename, ".", Object.assign( {}, options, {
+            map: (entry) => {
+                entries.push( entry );
+                return null;
+            }
+        }) ).then( () => entries );
+    }
+}
+
+Archive.DEFAULTS = DEFAULT_OPTIONS;
+
+module.exports = Archive;
@@ -1,62 +1,450 @@
 'use strict';
 
 const Fs = require("fs");
+const Os = require("os");
 const Path = require("path");
+const Util = require("util");
 
 const Config = require('./config');
 const Logger = require('./logger');
 const Study = require('./study');
+const Pipeline = require('./pipeline');
+const Journal = require('./journal');
+const Usage = require('./resources');
+const Archive = require('./archive');
+const Artifacts = require('./artifacts');
 
-const Arendel = require('./arendel');
-const arendel = new Arendel( Config.getAlfrescoConfig() );
+const arendel = require('./backend')();
 
 process.title = 'arendel-cli';
 
-var command = process.argv[2];
-var studyId = process.argv[3];
-var stage = process.argv[4] || Study.STEPS.SIMULATION;
+const EXIT_USAGE = 1;
+const EXIT_FAILURE = 2;
 
-if ( !command || !studyId ) {
-    console.log("usage: arendel-cli <command> <studyId> [options]");
-    process.exit(1);
+// the properties of the nodes that hold the status of each step
+const STATUS_PROPERTIES = {
+    [Study.STEPS.MESHING]:      'cfd:meshing_status',
+    [Study.STEPS.SIMULATION]:   'cfd:simulation_status',
+    [Study.STEPS.POSTPROC]:     'cfd:postproc_status',
+};
+
+// the options every command accepts
+const COMMON_OPTIONS = {
+    'help':     { type: 'boolean', short: 'h', description: "show the help of the command" },
+    'json':     { type: 'boolean',             description: "print the result as JSON, the logs go to stderr" },
+    'dry-run':  { type: 'boolean', short: 'n', description: "show what would be done, without doing it" },
+};
+
+const SIMULATION_OPTION = {
+    'simulation': { type: 'string', short: 's', description: "the nodeRef of the simulation" },
+};
+
+
+function toNodeRef ( id ) {
+    return id.indexOf( 'SpacesStore/' ) >= 0 ? id : 'workspace://SpacesStore/' + id;
+}
+
+function age ( mtime ) {
+    return Math.round( ( Date.now() - mtime ) / 1000 );
+}
+
+function formatSize ( bytes ) {
+    const units = [ 'B', 'KB', 'MB', 'GB', 'TB' ];
+    var i = 0;
+    while ( bytes >= 1024 && i < units.length - 1 ) {
+        bytes /= 1024;
+        i++;
+    }
+    return ( i ? bytes.toFixed( 1 ) : bytes ) + units[i];
+}
+
+function formatAge ( seconds ) {
+    if ( seconds < 3600 ) {
+        return Math.round( seconds / 60 ) + "m";
+    }
+    if ( seconds < 86400 ) {
+        return Math.round( seconds / 3600 ) + "h";
+    }
+    return Math.round( seconds / 86400 ) + "d";
+}
+
+/**
+ * @return {Promise<object[]>} the study workspaces of the studies directory, with the archives and
+ * the report that go with them
+ */
+async function listWorkspaces () {
+    const dir = Config.getStudiesDir();
+    if ( !Fs.existsSync( dir ) ) {
+        return [];
+    }
+    const names = Fs.readdirSync( dir );
+    const running = Journal.list().map( (e) => e.nodeRef );
+    const workspaces = [];
+    for ( const name of names ) {
+        const path = Path.resolve( dir, name );
+        if ( name.startsWith('.') || !Fs.statSync( path ).isDirectory() ) {
+            continue;
+        }
+        const files = names.filter( (f) => f.startsWith( name + "-" ) ).map( (f) => Path.resolve( dir, f ) );
+        const mtime = [ path ].concat( files ).reduce( (max, f) => Math.max( max, Fs.statSync( f ).mtimeMs ), 0 );
+        var size = await Usage.diskUsage( path );
+        files.forEach( (f) => { size += Fs.statSync( f ).size; } );
+        workspaces.push({
+            nodeId:     name,
+            nodeRef:    toNodeRef( name ),
+            path:       path,
+            files:      files,
+            size:       size,
+            age:        age( mtime ),
+            running:    running.indexOf( toNodeRef( name ) ) >= 0,
+        });
+    }
+    return workspaces;
+}
+
+// logs go to stderr so that stdout only holds the result
+function redirectConsole () {
+    Logger.override({ stderr: true });
+    [ 'log', 'info', 'debug', 'dir' ].forEach( (level) => {
+        console[ level ] = (...args) => process.stderr.write( Util.format( ...args ) + "\n" );
+    });
+}
+
+function runStep ( step, start ) {
+    return (args, opts) => {
+        const study = new Study( toNodeRef( args[0] ) );
+        const taskNodeRef = step === Study.STEPS.SIMULATION ? toNodeRef( opts.simulation ) : study.nodeRef;
+        if ( opts['dry-run'] ) {
+            // at least make sure the pipeline is valid
+            const pipeline = Pipeline.load( step );
+            return Promise.resolve({ nodeRef: study.nodeRef, step: step, taskNodeRef: taskNodeRef, dryRun: true,
+                                     actions: pipeline.actions.map( (a) => a.stage || a.action ) });
+        }
+        return start( study, taskNodeRef )
+            .catch( (err) => Logger.error( err ) )
+            .then( () => ({
+                nodeRef:        study.nodeRef,
+                step:           step,
+                taskNodeRef:    taskNodeRef,
+                status:         study.task ? study.task.status : "NOT_CLAIMED",
+                classification: study.task ? study.task.classification : null,
+                resources:      study.task ? study.task.resources && study.task.resources.totals : null,
+            }));
+    };
+}
+
+function publish ( message ) {
+    const Stomp = require('stomp-client');
+    const cfg = Object.assign( { queue: '/queue/simulation' }, Config.getActiveMQConfig() );
+    return new Promise( (resolve, reject) => {
+        const client = new Stomp( cfg.host, cfg.port, cfg.username, cfg.password, '1.1' );
+        client.on('error', reject);
+        client.connect( () => {
+            client.publish( cfg.queue, JSON.stringify( message ) );
+            client.disconnect( () => resolve() );
+        }, reject );
+    });
 }
 
-Logger.info("root directory:", Config.getRootDir() );
-Logger.info("studies directory:", Config.getStudiesDir() );
 
-var study = new Study( studyId );
+const COMMANDS = {
+
+    mesh: {
+        usage:          "mesh <nodeRef>",
+        description:    "run the meshing of a study, without going through the queue",
+        args:           1,
+        run:            runStep( Study.STEPS.MESHING, (study) => study.startMeshing() ),
+        print:          (r) => r.dryRun ? r.step + " of " + r.nodeRef + ": " + r.actions.join(" > ") : r.step + " of " + r.nodeRef + ": " + r.status +
+                                          ( r.classification && r.classification.code ? " (" + r.classification.message + ")" : "" ),
+    },
+
+    simulate: {
+        usage:          "simulate <nodeRef> --simulation <simNodeRef>",
+        description:    "run a simulation of a study, without going through the queue",
+        args:           1,
+        options:        SIMULATION_OPTION,
+        required:       [ 'simulation' ],
+        run:            runStep( Study.STEPS.SIMULATION, (study, simNodeRef) => study.startSimulation( simNodeRef ) ),
+    },
+
+    postproc: {
+        usage:          "postproc <nodeRef>",
+        description:    "run the post-processing of a study, without going through the queue",
+        args:           1,
+        run:            runStep( Study.STEPS.POSTPROC, (study) => study.postproc() ),
+    },
+
+    abort: {
+        usage:          "abort <step> <nodeRef> [--simulation <simNodeRef>] [--requested-by <name>]",
+        description:    "ask the workers to stop a step of a study (meshing, simulation or postproc)",
+        args:           2,
+        options:        Object.assign( {
+            'requested-by': { type: 'string', description: "who asks for the abort, defaults to the current user" },
+        }, SIMULATION_OPTION ),
+        run:            (args, opts) => {
+            const step = args[0];
+            const cmd = { [Study.STEPS.MESHING]: 'abort-meshing', [Study.STEPS.SIMULATION]: 'abort-simulation', [Study.STEPS.POSTPROC]: 'abort-postproc' }[ step ];
+            if ( !cmd ) {
+                throw new UsageError("unknown step " + step );
+            }
+            if ( step === Study.STEPS.SIMULATION && !opts.simulation ) {
+                throw new UsageError("--simulation is required to abort a simulation");
+            }
+            const message = {
+                cmd:            cmd,
+                nodeRef:        toNodeRef( args[1] ),
+                simNodeRef:     opts.simulation ? toNodeRef( opts.simulation ) : undefined,
+                requestedBy:    opts['requested-by'] || Os.userInfo().username,
+            };
+            if ( opts['dry-run'] ) {
+                return { message: message, dryRun: true };
+            }
+            return publish( message ).then( () => ({ message: message, sent: true }) );
+        },
+        print:          (r) => ( r.dryRun ? "would send " : "sent " ) + JSON.stringify( r.message ),
+    },
+
+    status: {
+        usage:          "status <nodeRef> [--simulation <simNodeRef>]",
+        description:    "show the status of the tasks of a study in alfresco",
+        args:           1,
+        options:        SIMULATION_OPTION,
+        run:            (args, opts) => {
+            const nodeRef = toNodeRef( args[0] );
+            const nodes = { [Study.STEPS.MESHING]: nodeRef, [Study.STEPS.POSTPROC]: nodeRef };
+            if ( opts.simulation ) {
+                nodes[ Study.STEPS.SIMULATION ] = toNodeRef( opts.simulation );
+            }
+            if ( opts['dry-run'] ) {
+                return { nodeRef: nodeRef, dryRun: true, nodes: nodes };
+            }
+            const local = Journal.list().find( (e) => e.nodeRef === nodeRef ) || null;
+            const steps = {};
+            return Promise.all( Object.keys( nodes ).map( (step) => arendel.getProperties( nodes[ step ] ).then( (props) => {
+                steps[ step ] = { nodeRef: nodes[ step ], status: props[ STATUS_PROPERTIES[ step ] ] || null };
+            }))).then( () => ({ nodeRef: nodeRef, steps: steps, runningHere: local }) );
+        },
+        print:          (r) => r.dryRun ? "would read the status of " + JSON.stringify( r.nodes ) :
+                                Object.keys( r.steps ).map( (s) => s + ": " + r.steps[ s ].status ).join("\n") +
+                                ( r.runningHere ? "\nrunning on this host: " + r.runningHere.step + ", stage " + r.runningHere.stage : "" ),
+    },
 
-switch ( command ) {
-case "compress":
-    study.compress( stage ).then(function(filename) {
-        console.log("Successfully created file:", filename);
-        process.exit(0);
-    }, console.log.bind(console) )
-    break;
+    list: {
+        usage:          "list",
+        description:    "list the local study workspaces with their size and age",
+        args:           0,
+        run:            () => listWorkspaces(),
+        print:          (r) => r.map( (w) => w.nodeId + "\t" + formatSize( w.size ) + "\t" + formatAge( w.age ) + ( w.running ? "\trunning" : "" ) ).join("\n"),
+    },
 
-case "uncompress":
-    study.uncompress( stage ).then(function() {
-        console.log("Extraction successful");
-        process.exit(0);
-    }, console.log.bind(console) )
-    break;
+    clean: {
+        usage:          "clean [<nodeRef>...] [--all] [--older-than <days>] [--force]",
+        description:    "remove local study workspaces and their archives",
+        args:           0,
+        options:        {
+            'all':          { type: 'boolean', description: "remove all the workspaces" },
+            'older-than':   { type: 'string',  description: "only the workspaces not modified for this number of days" },
+            'force':        { type: 'boolean', description: "also remove the workspaces of the studies running on this host" },
+        },
+        run:            async (args, opts) => {
+            if ( !args.length && !opts.all && !opts['older-than'] ) {
+                throw new UsageError("give the studies to remove, or --all, or --older-than");
+            }
+            const ids = args.map( (a) => toNodeRef( a ) );
+            const maxAge = opts['older-than'] != null ? parseFloat( opts['older-than'] ) * 86400 : null;
+            if ( maxAge != null && isNaN( maxAge ) ) {
+                throw new UsageError("invalid --older-than value " + opts['older-than'] );
+            }
+            const workspaces = ( await listWorkspaces() ).filter( (w) =>
+                ( !ids.length || ids.indexOf( w.nodeRef ) >= 0 ) && ( maxAge == null || w.age >= maxAge ) );
+            const removed = [], skipped = [];
+            workspaces.forEach( (w) => {
+                if ( w.running && !opts.force ) {
+                    skipped.push( w.nodeId );
+                    return;
+                }
+                if ( !opts['dry-run'] ) {
+                    Fs.rmSync( w.path, { recursive: true, force: true } );
+                    w.files.forEach( (f) => Fs.rmSync( f, { force: true } ) );
+                }
+                removed.push({ nodeId: w.nodeId, size: w.size });
+            });
+            return { removed: removed, skipped: skipped, freed: removed.reduce( (sum, w) => sum + w.size, 0 ), dryRun: !!opts['dry-run'] };
+        },
+        print:          (r) => r.removed.map( (w) => ( r.dryRun ? "would remove " : "removed " ) + w.nodeId + " (" + formatSize( w.size ) + ")" )
+                                .concat( r.skipped.map( (id) => "skipped " + id + ": running on this host" ) )
+                                .concat([ ( r.dryRun ? "would free " : "freed " ) + formatSize( r.freed ) ]).join("\n"),
+    },
 
-case "upload":
-    var filename = Path.resolve( Config.getStudiesDir(), `${study.nodeId}-${stage}.7z` );
-    if ( !Fs.existsSync( filename ) ) {
-        console.error("File", filename, "not found, aborting.");
-        process.exit(1);
+    compress: {
+        usage:          "compress <nodeRef> [--stage <stage>] [--format <format>] [--level <n>] [--threads <n>] [--include <pattern>]... [--exclude <pattern>]...",
+        description:    "archive the workspace of a study into <nodeId>-<stage>.<format>",
+        args:           1,
+        options:        {
+            'stage':    { type: 'string', description: "defaults to simulation" },
+            'format':   { type: 'string', description: Archive.formats.join(", ") + ", defaults to the configured one" },
+            'level':    { type: 'string', description: "the compression level" },
+            'threads':  { type: 'string', description: "the number of compression threads (zstd)" },
+            'include':  { type: 'string', multiple: true, description: "only archive the files matching this pattern" },
+            'exclude':  { type: 'string', multiple: true, description: "skip the files and directories matching this pattern" },
+        },
+        run:            (args, opts) => {
+            const study = new Study( toNodeRef( args[0] ) );
+            const stage = opts.stage || Study.STEPS.SIMULATION;
+            const options = {};
+            [ 'format', 'include', 'exclude' ].filter( (o) => opts[ o ] ).forEach( (o) => options[ o ] = opts[ o ] );
+            [ 'level', 'threads' ].filter( (o) => opts[ o ] ).forEach( (o) => {
+                options[ o ] = parseInt( opts[ o ], 10 );
+                if ( isNaN( options[ o ] ) ) {
+                    throw new UsageError("--" + o + " must be a number");
+                }
+            });
+            const format = Archive.options( options ).format;
+            if ( opts['dry-run'] ) {
+                return { dryRun: true, directory: study.path, archive: Artifacts.getFilename( study, stage, format ) };
+            }
+            return study.compress( stage, null, options ).then( (filename) => ({ archive: filename }) );
+        },
+        print:          (r) => r.dryRun ? "would compress " + r.directory + " into " + r.archive : "Successfully created file: " + r.archive,
+    },
+
+    uncompress: {
+        usage:          "uncompress <nodeRef> [--stage <stage>]",
+        description:    "extract the archive <nodeId>-<stage>.* in the studies directory",
+        args:           1,
+        options:        { 'stage': { type: 'string', description: "defaults to simulation" } },
+        run:            (args, opts) => {
+            const study = new Study( toNodeRef( args[0] ) );
+            const archive = Artifacts.findLocal( study, opts.stage || Study.STEPS.SIMULATION );
+            if ( !archive ) {
+                throw new Error("No archive of stage " + ( opts.stage || Study.STEPS.SIMULATION ) + " found for " + study.nodeId );
+            }
+            if ( opts['dry-run'] ) {
+                return { dryRun: true, archive: archive, format: Archive.detect( archive ) };
+            }
+            return study.uncompress( opts.stage || Study.STEPS.SIMULATION ).then( () => ({ archive: archive, extracted: true }) );
+        },
+        print:          (r) => ( r.dryRun ? "would extract " : "extracted " ) + r.archive,
+    },
+
+    upload: {
+        usage:          "upload <nodeRef> [--stage <stage>] [--name <name>] [--path <relativePath>] [--type <type>]",
+        description:    "upload the archive <nodeId>-<stage>.* to the study",
+        args:           1,
+        options:        {
+            'stage':    { type: 'string', description: "defaults to simulation" },
+            'name':     { type: 'string', description: "the name of the document, defaults to the name of the archive" },
+            'path':     { type: 'string', description: "the folder of the study where the document is created" },
+            'type':     { type: 'string', description: "the type of the document" },
+        },
+        run:            (args, opts) => {
+            const study = new Study( toNodeRef( args[0] ) );
+            const filename = Artifacts.findLocal( study, opts.stage || Study.STEPS.SIMULATION );
+            if ( !filename ) {
+                throw new Error("No archive of stage " + ( opts.stage || Study.STEPS.SIMULATION ) + " found for " + study.nodeId );
+            }
+            const name = opts.name || Path.basename( filename );
+            if ( opts['dry-run'] ) {
+                return { dryRun: true, file: filename, name: name, size: Fs.statSync( filename ).size };
+            }
+            return arendel.upload( study.nodeId, name, filename, opts.path, opts.type )
+                .then( (doc) => ({ file: filename, name: name, id: doc.id, size: doc.size }) );
+        },
+        print:          (r) => r.dryRun ? "would upload " + r.file + " as " + r.name : "Upload successful: " + r.name + " (" + r.id + ")",
+    },
+};
+COMMANDS.simulate.print = COMMANDS.mesh.print;
+COMMANDS.postproc.print = COMMANDS.mesh.print;
+
+
+class UsageError extends Error {
+
+    constructor(message) {
+      super(message);
+      this.name = "UsageError";
     }
-    arendel.upload( study.nodeId, "results-000000.7z", filename ).then(function() {
-        console.log("Upload successful");
-        process.exit(0);
+}
 
-    }, function(err) {
-        console.error(err);
-        process.exit(2);
+function help ( name ) {
+    const lines = [];
+    if ( !name ) {
+        lines.push( "usage: arendel-cli <command> [options]", "", "commands:" );
+        Object.keys( COMMANDS ).forEach( (c) => lines.push( "  " + c.padEnd( 12 ) + COMMANDS[ c ].description ) );
+        lines.push( "", "run arendel-cli <command> --help for the options of a command" );
+        return lines.join("\n");
+    }
+    const c = COMMANDS[ name ];
+    lines.push( "usage: arendel-cli " + c.usage, "", c.description, "", "options:" );
+    const options = Object.assign( {}, c.options, COMMON_OPTIONS );
+    Object.keys( options ).forEach( (o) => {
+        const flag = ( options[ o ].short ? "-" + options[ o ].short + ", " : "    " ) + "--" + o + ( options[ o ].type === 'string' ? " <value>" : "" );
+        lines.push( "  " + flag.padEnd( 28 ) + options[ o ].description );
     });
-    break;
+    return lines.join("\n");
+}
+
+function main ( argv ) {
+    const name = argv[0];
+    if ( !name || name === '--help' || name === '-h' || name === 'help' ) {
+        console.log( help() );
+        return Promise.resolve( name ? 0 : EXIT_USAGE );
+    }
+    const command = COMMANDS[ name ];
+    if ( !command ) {
+        console.error( "unknown command " + name + "\n\n" + help() );
+        return Promise.resolve( EXIT_USAGE );
+    }
+
+    var parsed;
+    try {
+        const options = {};
+        Object.entries( Object.assign( {}, command.options, COMMON_OPTIONS ) ).forEach( ([ o, def ]) => {
+            options[ o ] = { type: def.type };
+            if ( def.short ) {
+                options[ o ].short = def.short;
+            }
+            if ( def.multiple ) {
+                options[ o ].multiple = true;
+            }
+        });
+        parsed = Util.parseArgs({ args: argv.slice( 1 ), options: options, allowPositionals: true });
+    } catch (err) {
+        console.error( err.message + "\n\n" + help( name ) );
+        return Promise.resolve( EXIT_USAGE );
+    }
+    const opts = parsed.values;
+    const args = parsed.positionals;
+    if ( opts.help ) {
+        console.log( help( name ) );
+        return Promise.resolve( 0 );
+    }
+    if ( args.length < command.args || ( command.required || [] ).some( (o) => opts[ o ] == null ) ) {
+        console.error( "missing arguments\n\n" + help( name ) );
+        return Promise.resolve( EXIT_USAGE );
+    }
 
-default:
-    break;
+    const out = process.stdout;
+    if ( opts.json ) {
+        redirectConsole();
+    }
+    Logger.debug("studies directory:", Config.getStudiesDir() );
+
+    return Promise.resolve()
+        .then( () => command.run( args, opts ) )
+        .then( (result) => {
+            out.write( ( opts.json ? JSON.stringify( result, null, 2 ) : command.print( result ) ) + "\n" );
+            return result && result.status && result.status !== 'DONE' ? EXIT_FAILURE : 0;
+        }, (err) => {
+            if ( err instanceof UsageError ) {
+                console.error( err.message + "\n\n" + help( name ) );
+                return EXIT_USAGE;
+            }
+            Logger.error( err );
+            if ( opts.json ) {
+                out.write( JSON.stringify( { error: err.message }, null, 2 ) + "\n" );
+            }
+            return EXIT_FAILURE;
+        });
 }
+
+main( process.argv.slice( 2 ) ).then( (code) => { process.exitCode = code; } );
@@ -1,48 +1,13 @@
 'use strict';
 
 const Alfresco = require('./alfresco');
+const ApiError = require('./ApiError');
 const Logger = require('./logger');
+const retry = require('./retry');
 
 const URI_ARENDEL_API = '/alfresco/s/arendel';
 
-
-function axiosErrorHandler ( error ) {
-
-    console.log( error.config );
-
-    if ( error.response ) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        var response = error.response;
-
-        console.log( response.status );
-        console.log( response.headers );
-        console.log( response.data );
-
-        switch ( response.status ) {
-        case 400:
-            throw new Error("Invalid parameter");
-        case 401:
-            throw new Error("Authentication failed");
-        case 403:
-            throw new Error("Permission denied");
-        default:
-            throw new Error("Unexected error (code: " + response.status + ")" );
-        }
-
-    } else if ( error.request ) {
-        // The request was made but no response was received
-        // `error.request` is an instance of XMLHttpRequest in the browser and an instance of
-        // http.ClientRequest in node.js
-        console.log( error.request );
-        throw new Error("No answer from server" );
-
-    } else {
-        // Something happened in setting up the request that triggered an Error
-        console.log('Error', error.message);
-        throw new Error("Client internal error" );
-    }
-}
+const BG_TASK_STATUS_TODO = "TODO";
 
 
 function processArendelApiResponse ( response ) {
@@ -56,42 +21,69 @@ function processArendelApiResponse ( response ) {
      * 500 Server error
      */
     if ( scriptResponse.statusCodeValue !== 200 ) {
-        throw new Error("Arendel API error: " + scriptResponse.statusCode );
+        // the web script answered, but with the status of the operation in the body
+        const config = response.config;
+        throw ApiError.fromStatus( scriptResponse.statusCodeValue, "Arendel API error: " + scriptResponse.statusCode, {
+            method: ( config.method || "get" ).toUpperCase(),
+            url:    config.url,
+            body:   scriptResponse.body,
+        });
     }
     return scriptResponse.body;
 }
 
 
+/**
+ * Alfresco may be slow to create the node of a task or to update its status, so claims are retried
+ * as long as the node is not found or the task is still TODO. The policy is set by the "claim" entry
+ * of the alfresco section of conf.json, see retry.js
+ */
+function claimPolicy ( config, name, status ) {
+    return Object.assign( {}, config && config.claim, {
+        name:           name,
+        retryOnError:   (err) => err instanceof ApiError.NotFoundError,
+        retryOnResult:  (t) => t[ status ] === BG_TASK_STATUS_TODO,
+    });
+}
+
 class Arendel extends Alfresco {
 
+    /**
+     * The folder of a type in a study, there must be exactly one
+     * @param {string} type - e.g. cfd:inputs
+     * @param {string} description - used in the messages
+     * @return {Promise<string>} the id of the folder
+     */
+    async getFolder ( nodeRef, type, description ) {
+        const folders = [];
+        for await ( const node of this.children( nodeRef, { where: "(nodeType='" + type + "')" } ) ) {
+            folders.push( node );
+        }
+        if ( !folders.length ) {
+            throw new Error( description + " not found in " + nodeRef );
+        }
+        if ( folders.length > 1 ) {
+            throw new Error( "More than one " + description.toLowerCase() + " in " + nodeRef + ": " + folders.map( (f) => f.name + " (" + f.id + ")" ).join(", ") );
+        }
+        Logger.debug( description, "of", nodeRef + ":", folders[0].name, folders[0].id );
+        return folders[0].id;
+    }
+
     getInputFolder ( nodeRef ) {
-        return this.getChildren( nodeRef, "(nodeType='cfd:inputs')" ).then( (nodes) => {
-            if ( !nodes || !nodes.length ) {
-                throw new Error("Input folder not found");
-            }
-            var folder = nodes[0].entry;
-            console.dir( folder );
-            return folder.id;
-        });
+        return this.getFolder( nodeRef, "cfd:inputs", "Input folder" );
     }
 
     getPreliminaryStudyFolder ( nodeRef ) {
-        return this.getChildren( nodeRef, "(nodeType='cfd:preliminary_study')" ).then( (nodes) => {
-            if ( !nodes || !nodes.length ) {
-                throw new Error("Preliminary study not found");
-            }
-            var folder = nodes[0].entry;
-            console.dir( folder );
-            return folder.id;
-        });
+        return this.getFolder( nodeRef, "cfd:preliminary_study", "Preliminary study" );
     }
 
     /**
      * @params {string} nodeRef - the study's nodeRef
      */
     claimMeshingTask ( nodeRef ) {
-        return this.conn.get( URI_ARENDEL_API + '/meshing/claim', { params: { nodeRef: nodeRef } } )
-                        .then( processArendelApiResponse, axiosErrorHandler )
+        return retry( () => this.conn.get( URI_ARENDEL_API + '/meshing/claim', { params: { nodeRef: nodeRef } } )
+                                .then( processArendelApiResponse ),
+                      claimPolicy( this.config, "meshing claim", "cfd_meshing_status" ) )
                         .then( (m) => {
                             return { nodeRef: m.nodeRef, status: m.cfd_meshing_status };
                         });
@@ -99,16 +91,21 @@ class Arendel extends Alfresco {
 
     /**
      * @params {string} nodeRef - the study's nodeRef
+     * @params {object} [classification] - the failure code and message, and the warnings of the programs (see analysis.js)
+     * @params {object} [resources] - the resources used by the stages, sent with the final update (see resources.js)
      */
-    meshingTaskUpdate ( nodeRef, status, stage, stdout, stderr ) {
+    meshingTaskUpdate ( nodeRef, status, stage, stdout, stderr, classification, resources ) {
         const payload = {
             status:     status,
             stage:      stage,
             stdout:     stdout,
             stderr:     stderr,
+            classification: classification,
+            resources:  resources,
         };
-        return this.conn.post( URI_ARENDEL_API + '/meshing/update', payload, { params: { nodeRef: nodeRef } } )
-                        .then( processArendelApiResponse, axiosErrorHandler )
+        // the same update twice is the same as once
+        return this.conn.post( URI_ARENDEL_API + '/meshing/update', payload, { params: { nodeRef: nodeRef }, retry: true } )
+                        .then( processArendelApiResponse )
                         .then( (m) => {
                             return { nodeRef: m.nodeRef, status: m.cfd_meshing_status };
                         });
@@ -118,11 +115,13 @@ class Arendel extends Alfresco {
      * @params {string} nodeRef - the simulation's nodeRef
      */
     claimSimulationTask ( nodeRef ) {
-        const payload = {
-                cfd_start_ts:       (new Date()).valueOf()
-            };
-        return this.conn.post( URI_ARENDEL_API + '/simulation/claim', payload, { params: { nodeRef: nodeRef } } )
-                        .then( processArendelApiResponse, axiosErrorHandler )
+        return retry( () => {
+                            const payload = {
+                                cfd_start_ts:       (new Date()).valueOf()
+                            };
+                            return this.conn.post( URI_ARENDEL_API + '/simulation/claim', payload, { params: { nodeRef: nodeRef } } )
+                                .then( processArendelApiResponse );
+                        }, claimPolicy( this.config, "simulation claim", "cfd_simulation_status" ) )
                         .then( (s) => {
                             return {
                                 nodeRef:        s.nodeRef,
@@ -134,17 +133,21 @@ class Arendel extends Alfresco {
 
     /**
      * @params {string} nodeRef - the simulation's nodeRef
+     * @params {object} [classification] - the failure code and message, and the warnings of the programs (see analysis.js)
+     * @params {object} [resources] - the resources used by the stages, sent with the final update (see resources.js)
      */
-    simulationTaskUpdate ( nodeRef, status, stage, stdout, stderr ) {
+    simulationTaskUpdate ( nodeRef, status, stage, stdout, stderr, classification, resources ) {
         const payload = {
                 status:     status,
                 stage:      stage,
                 ts:         (new Date()).valueOf(),
                 stdout:     stdout,
-                stderr:     stderr
+                stderr:     stderr,
+                classification: classification,
+                resources:  resources
             };
-        return this.conn.post( URI_ARENDEL_API + '/simulation/update', payload, { params: { nodeRef: nodeRef } } )
-                        .then( processArendelApiResponse, axiosErrorHandler )
+        return this.conn.post( URI_ARENDEL_API + '/simulation/update', payload, { params: { nodeRef: nodeRef }, retry: true } )
+                        .then( processArendelApiResponse )
                         .then( (s) => {
                             return { nodeRef: nodeRef, status: s.cfd_simulation_status };
                         });
@@ -154,37 +157,35 @@ class Arendel extends Alfresco {
      * @params {string} nodeRef - the simulation's nodeRef
      */
     claimPostprocTask ( nodeRef ) {
-        return this.conn.get( URI_ARENDEL_API + '/postproc/claim', { params: { nodeRef: nodeRef } } )
-            .then( processArendelApiResponse, axiosErrorHandler )
+        return retry( () => this.conn.get( URI_ARENDEL_API + '/postproc/claim', { params: { nodeRef: nodeRef } } )
+                                .then( processArendelApiResponse ),
+                      claimPolicy( this.config, "postproc claim", "cfd_postproc_status" ) )
             .then( (pp) => {
                 return { nodeRef: pp.nodeRef, status: pp.cfd_postproc_status };
             });
     }
 
     getPostprocInputFolder ( nodeRef ) {
-        return this.getChildren( nodeRef, "(nodeType='cfd:postproc_inputs')" ).then( (nodes) => {
-            if ( !nodes || !nodes.length ) {
-                throw new Error("Postproc input folder not found");
-            }
-            var folder = nodes[0].entry;
-            console.dir( folder );
-            return folder.id;
-        });
+        return this.getFolder( nodeRef, "cfd:postproc_inputs", "Postproc input folder" );
     }
 
     /**
      * @params {string} nodeRef - the simulation's nodeRef
+     * @params {object} [classification] - the failure code and message, and the warnings of the programs (see analysis.js)
+     * @params {object} [resources] - the resources used by the stages, sent with the final update (see resources.js)
      */
-    postprocTaskUpdate ( nodeRef, status, stage, stdout, stderr ) {
+    postprocTaskUpdate ( nodeRef, status, stage, stdout, stderr, classification, resources ) {
         const payload = {
                 status:     status,
                 stage:      stage,
                 ts:         (new Date()).valueOf(),
                 stdout:     stdout,
-                stderr:     stderr
+                stderr:     stderr,
+                classification: classification,
+                resources:  resources
             };
-        return this.conn.post( URI_ARENDEL_API + '/postproc/update', payload, { params: { nodeRef: nodeRef } } )
-                        .then( processArendelApiResponse, axiosErrorHandler )
+        return this.conn.post( URI_ARENDEL_API + '/postproc/update', payload, { params: { nodeRef: nodeRef }, retry: true } )
+                        .then( processArendelApiResponse )
                         .then( (pp) => {
                             return { nodeRef: pp.nodeRef, status: pp.cfd_postproc_status };
                         });
@@ -0,0 +1,224 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+const Stream = require('stream');
+
+const Config = require('./config');
+const Logger = require('./logger');
+const Archive = require('./archive');
+
+
+/*
+ * The artifacts are the archives produced by a stage and used by the next one, e.g. <nodeId>-meshing.tar.zst
+ * They are stored in the study, in Alfresco, so that the stages of a study can run on different workers.
+ * The local copy in the studies directory is used as a cache: its modification time is set to the one of
+ * the artifact in the study, so that it's only used if it's the same size and was not modified since.
+ * A new artifact is uploaded under a temporary name, <name>.part, and replaces the previous one once it's
+ * complete.
+ * The extension follows the format of the archives (see archive.js), the artifacts of another format,
+ * e.g. the .7z of older versions, are still found.
+ *
+ * It's configured with the "artifacts" entry of the airetd section of conf.json:
+ *   {
+ *     "relativePath": "cfd_artifacts",     // the folder of the study where the artifacts are stored
+ *     "type":         "cm:content"         // the type of the documents
+ *   }
+ */
+const DEFAULT_OPTIONS = {
+    relativePath:   "cfd_artifacts",
+    type:           "cm:content",
+};
+
+
+class Artifacts {
+
+    /**
+     * @param {Arendel|LocalBackend} backend - where the artifacts are stored
+     */
+    constructor ( backend ) {
+        this.backend = backend;
+        this.options = Object.assign( {}, DEFAULT_OPTIONS, ( Config.getAiretdConfig() || {} ).artifacts );
+    }
+
+    /**
+     * @param {string} [format] - the format of the archive, defaults to the configured one
+     */
+    static getName ( study, stage, format ) {
+        return `${study.nodeId}-${stage}` + Archive.extension( format || Archive.options().format );
+    }
+
+    static getFilename ( study, stage, format ) {
+        return Path.resolve( Config.getStudiesDir(), Artifacts.getName( study, stage, format ) );
+    }
+
+    // the formats to look for, the configured one first
+    static formats () {
+        const format = Archive.options().format;
+        return [ format ].concat( Archive.formats.filter( (f) => f !== format ) );
+    }
+
+    /**
+     * @return {string} the local copy of the artifact of a stage, whatever its format, or null
+     */
+    static findLocal ( study, stage ) {
+        return Artifacts.formats().map( (f) => Artifacts.getFilename( study, stage, f ) ).find( (f) => Fs.existsSync( f ) ) || null;
+    }
+
+    // removes the local copies in other formats, so that they are not mistaken for the current one
+    static removeOthers ( study, stage, filename ) {
+        Archive.formats.map( (f) => Artifacts.getFilename( study, stage, f ) )
+            .filter( (f) => f !== filename && Fs.existsSync( f ) )
+            .forEach( (f) => Fs.unlinkSync( f ) );
+    }
+
+    // the local copy matches the artifact stored in the study
+    static isCached ( filename, node ) {
+        const local = Fs.existsSync( filename ) ? Fs.statSync( filename ) : null;
+        return !!local && !!node.content && node.content.sizeInBytes === local.size &&
+            !!node.modifiedAt && local.mtime.getTime() === Date.parse( node.modifiedAt );
+    }
+
+    static markCached ( filename, node ) {
+        if ( node.modifiedAt ) {
+            Fs.utimesSync( filename, new Date(), new Date( node.modifiedAt ) );
+        }
+    }
+
+    // deletes a document of the folder of the artifacts, if it exists
+    removeRemoteDocument ( study, name ) {
+        return this.backend.findNode( study.nodeId, this.options.relativePath + "/" + name )
+            .then( (node) => {
+                if ( node ) {
+                    Logger.info("Deleting", name, "of study", study.nodeRef );
+                    return this.backend.deleteNode( node.id, true );
+                }
+            });
+    }
+
+    // deletes the artifacts of a stage stored in the study, in any format
+    removeRemote ( study, stage ) {
+        return Archive.formats.reduce( (promise, format) => promise.then( () => this.removeRemoteDocument( study, Artifacts.getName( study, stage, format ) ) ),
+                                       Promise.resolve() );
+    }
+
+    /**
+     * Uploads the artifact of a stage to the study, it replaces the previous one if any
+     * @param {CancellationToken} [token]
+     * @param {object} [archive] - { stream, format }: the archive being produced, it's uploaded and written
+     *   to the local copy at the same time; otherwise the local copy is uploaded
+     * @return {Promise<string>} the local filename of the artifact
+     */
+    publish ( study, stage, token, archive ) {
+        const filename = archive ? Artifacts.getFilename( study, stage, archive.format ) : Artifacts.findLocal( study, stage );
+        if ( !filename ) {
+            return Promise.reject( new Error("Artifact " + Artifacts.getFilename( study, stage ) + " not found") );
+        }
+        const name = Path.basename( filename );
+        const partName = name + ".part";
+        const options = { token: token };
+        // the previous artifact is only deleted once the new one is complete
+        return this.removeRemoteDocument( study, partName )
+            .then( () => archive
+                ? this.publishStream( study, stage, filename, partName, archive.stream, options )
+                : this.backend.upload( study.nodeId, partName, filename, this.options.relativePath, this.options.type, options ) )
+            .then( (doc) => this.removeRemote( study, stage )
+                .then( () => this.backend.updateNode( doc.id, { name: name } ) ) )
+            .then( (node) => {
+                Artifacts.markCached( filename, node );
+                Logger.info("Published artifact", name );
+                return filename;
+            });
+    }
+
+    /**
+     * Uploads a stream while writing it in a local file, the slowest of the two sets the pace
+     * @param {string} name - the name of the document
+     * @return {Promise<object>} the document, see uploadStream
+     */
+    publishStream ( study, stage, filename, name, stream, options ) {
+        const tmp = filename + ".part";
+        const toFile = new Stream.PassThrough();
+        const toBackend = new Stream.PassThrough();
+        stream.on('error', (err) => {
+            toFile.destroy( err );
+            toBackend.destroy( err );
+        });
+        stream.pipe( toFile );
+        stream.pipe( toBackend );
+
+        const written = Stream.promises.pipeline( toFile, Fs.createWriteStream( tmp ) );
+        const uploaded = this.backend.uploadStream( study.nodeId, name, toBackend, this.options.relativePath, this.options.type, options )
+            .catch( (err) => {
+                // stop producing the archive
+                stream.destroy( err );
+                throw err;
+            });
+        // wait for both to end before removing the partial file
+        return Promise.allSettled([ written, uploaded ])
+            .then( (results) => {
+                const failed = results.find( (r) => r.status === 'rejected' );
+                if ( failed ) {
+                    Fs.rmSync( tmp, { force: true } );
+                    throw failed.reason;
+                }
+                Fs.renameSync( tmp, filename );
+                Artifacts.removeOthers( study, stage, filename );
+                return results[1].value;
+            });
+    }
+
+    /**
+     * Makes sure the artifact of a stage is available locally: the local copy is used if it's the same
+     * as the one stored in the study (see isCached), otherwise the artifact is downloaded
+     * @param {CancellationToken} [token]
+     * @return {Promise<string>} the local filename of the artifact
+     */
+    fetch ( study, stage, token ) {
+        // the artifact may have been produced in another format, by an older version or another configuration
+        const find = (formats) => {
+            if ( !formats.length ) {
+                return Promise.resolve( null );
+            }
+            return this.backend.findNode( study.nodeId, this.options.relativePath + "/" + Artifacts.getName( study, stage, formats[0] ) )
+                .then( (node) => node ? { node: node, format: formats[0] } : find( formats.slice( 1 ) ) );
+        };
+
+        return find( Artifacts.formats() )
+            .then( (found) => {
+                if ( !found ) {
+                    const local = Artifacts.findLocal( study, stage );
+                    if ( local ) {
+                        // it was probably produced before the artifacts were stored in alfresco
+                        Logger.warn("Artifact", Path.basename( local ), "not found in the study, using the local copy");
+                        return local;
+                    }
+                    throw new Error("Artifact " + Artifacts.getName( study, stage ) + " not found");
+                }
+                const node = found.node;
+                const name = Artifacts.getName( study, stage, found.format );
+                const filename = Artifacts.getFilename( study, stage, found.format );
+                Artifacts.removeOthers( study, stage, filename );
+                if ( Artifacts.isCached( filename, node ) ) {
+                    Logger.info("Using the cached artifact", filename );
+                    return filename;
+                }
+                Logger.info("Downloading artifact", name );
+                // download to a temporary file so that an interrupted download never looks like a valid archive
+                const tmp = filename + ".part";
+                return this.backend.downloadContent( node.id, tmp, { token: token } )
+                    .then( () => {
+                        Fs.renameSync( tmp, filename );
+                        Artifacts.markCached( filename, node );
+                    })
+                    .then( () => filename, (err) => {
+                        if ( Fs.existsSync( tmp ) ) {
+                            Fs.unlinkSync( tmp );
+                        }
+                        throw err;
+                    });
+            });
+    }
+}
+
+module.exports = Artifacts;
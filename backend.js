@@ -0,0 +1,29 @@
+'use strict';
+
+const Config = require('./config');
+const ConfigurationError = require("./ConfigurationError");
+
+
+/*
+ * Where the studies come from and where the results go, set by the "backend" section of conf.json:
+ *   { "type": "alfresco" }                         the default, see the alfresco section
+ *   { "type": "local", "dir": "/data/arendel" }    a local directory, see local.js
+ */
+function createBackend () {
+    const cfg = Config.getBackendConfig();
+    switch ( cfg.type || 'alfresco' ) {
+    case 'alfresco':
+        return new ( require('./arendel') )( Config.getAlfrescoConfig() );
+
+    case 'local':
+        if ( !cfg.dir ) {
+            throw new ConfigurationError("wrong configuration of the local backend: missing dir");
+        }
+        return new ( require('./local') )( cfg );
+
+    default:
+        throw new ConfigurationError("wrong configuration of the backend: unknown type " + cfg.type );
+    }
+}
+
+module.exports = createBackend;
@@ -0,0 +1,80 @@
+'use strict';
+
+const Logger = require('./logger');
+const AbortedError = require("./AbortedError");
+
+
+/**
+ * Passed along to whatever runs on behalf of a task, so that an abort can stop it: long operations
+ * either check the token between steps or register a listener that stops them.
+ */
+class CancellationToken {
+
+    constructor () {
+        this.cancelled = false;
+        this.requestedBy = null;
+        this.listeners = [];
+    }
+
+    /**
+     * @param {string} [requestedBy] - who asked for the abort
+     */
+    cancel ( requestedBy ) {
+        if ( this.cancelled ) {
+            return;
+        }
+        this.cancelled = true;
+        this.requestedBy = requestedBy || null;
+        const listeners = this.listeners;
+        this.listeners = [];
+        listeners.forEach( (fn) => {
+            try {
+                fn( this );
+            } catch (err) {
+                Logger.error( err );
+            }
+        });
+    }
+
+    /**
+     * Registers a function called on cancellation, right away if it's already cancelled
+     * @return {function} removes the listener
+     */
+    onCancel ( fn ) {
+        if ( this.cancelled ) {
+            fn( this );
+            return () => {};
+        }
+        this.listeners.push( fn );
+        return () => {
+            const idx = this.listeners.indexOf( fn );
+            if ( idx >= 0 ) {
+                this.listeners.splice( idx, 1 );
+            }
+        };
+    }
+
+    /**
+     * @return {AbortedError} the error that operations stopped by this token are rejected with
+     */
+    error () {
+        return new AbortedError( "aborted" + ( this.requestedBy ? " by " + this.requestedBy : "" ), this.requestedBy );
+    }
+
+    throwIfCancelled () {
+        if ( this.cancelled ) {
+            throw this.error();
+        }
+    }
+}
+
+// a token that is never cancelled, for the callers that don't care
+CancellationToken.NONE = Object.freeze({
+    cancelled:          false,
+    requestedBy:        null,
+    onCancel:           () => () => {},
+    error:              () => new AbortedError("aborted"),
+    throwIfCancelled:   () => {},
+});
+
+module.exports = CancellationToken;
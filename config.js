@@ -3,16 +3,335 @@
 const fs = require('fs');
 const path = require('path');
 
+const ConfigurationError = require("./ConfigurationError");
+
 // the root directory of the worker
 const rootDir = process.env.WORKER_ROOT_DIR    || path.dirname( __dirname );
 const cfgPath = process.env.WORKER_CONFIG_FILE || path.resolve( rootDir, 'conf.json' );
 
-// the config.json file is expected to be located in worker's root directory, ie. in the parent directory
-const cfg = JSON.parse( fs.readFileSync( cfgPath ) );
+
+/*
+ * The schema of conf.json. The configuration is checked when the worker starts, and every problem is
+ * reported with the path of the field, e.g. "airetd.programs.simulation.maxWallTime: a number is expected".
+ * The unknown fields are only warnings, logged by logger.js, so that an older worker accepts the
+ * configuration of a newer one.
+ * The defaults are set by the modules that use the fields, see their documentation.
+ *
+ * Every field can be overridden with an environment variable named after its path: WORKER_ followed by
+ * the path in upper case, with underscores between the words, e.g. WORKER_ALFRESCO_PASSWORD,
+ * WORKER_ACTIVEMQ_HOST or WORKER_AIRETD_ARCHIVE_LEVEL. Sections and lists take JSON, e.g.
+ * WORKER_AIRETD_PROGRAMS='{ "simulation": "simulation.sh" }', and the entries of the sections that are
+ * maps (programs, rules...) can only be overridden if they are in the file, or with the whole section.
+ *
+ * On SIGHUP, the file is read again: the programs of the airetd section and the logger section are
+ * replaced if the new configuration is valid. The new logger section applies right away, the new
+ * programs apply to the jobs that start afterwards: each job keeps the programs it started with (see
+ * study.js). The other sections need a restart.
+ */
+const STRING  = { type: 'string' };
+const NUMBER  = { type: 'number' };
+const INTEGER = { type: 'integer' };
+const BOOLEAN = { type: 'boolean' };
+const ANY     = { type: 'any' };
+const STRINGS = { type: 'array', items: STRING };
+
+function section ( properties, options ) {
+    return Object.assign( { type: 'object', properties: properties }, options );
+}
+
+function mapOf ( values, options ) {
+    return Object.assign( { type: 'object', values: values }, options );
+}
+
+function required ( schema ) {
+    return Object.assign( {}, schema, { required: true } );
+}
+
+function oneOf ( name, ...schemas ) {
+    return { oneOf: schemas, name: name };
+}
+
+const RETRY_POLICY = section({ delay: NUMBER, factor: NUMBER, maxDelay: NUMBER, deadline: NUMBER });
+
+const EXTRACTION = section({
+    layout:             { type: 'string', enum: [ "flat", "preserve" ] },
+    stripComponents:    INTEGER,
+    onCollision:        { type: 'string', enum: [ "fail", "keepFirst", "keepLast" ] },
+    maxFiles:           INTEGER,
+    maxSize:            NUMBER,
+});
+
+// alfresco is only needed when it's the backend
+const isAlfrescoBackend = (cfg) => !cfg.backend || !cfg.backend.type || cfg.backend.type === 'alfresco';
+
+const SCHEMA = section({
+    baseDir:    STRING,
+    backend:    section({
+        type:       { type: 'string', enum: [ "alfresco", "local" ] },
+        dir:        STRING,
+    }),
+    alfresco:   section({
+        url:        { type: 'string', required: isAlfrescoBackend },
+        username:   { type: 'string', required: isAlfrescoBackend },
+        password:   { type: 'string', required: isAlfrescoBackend },
+        usernameFile:   STRING,
+        passwordFile:   STRING,
+        auth:       { type: 'string', enum: [ "basic", "ticket" ] },
+        download:   section({ pollingPeriod: NUMBER, deadline: NUMBER }),
+        upload:     section({ chunkSize: INTEGER, verify: { type: 'string', enum: [ "size", "checksum", "none" ] }, retry: RETRY_POLICY }),
+        claim:      RETRY_POLICY,
+        retry:      RETRY_POLICY,
+    }, { required: isAlfrescoBackend }),
+    activemq:   required( section({
+        host:               required( STRING ),
+        port:               required( INTEGER ),
+        username:           STRING,
+        password:           STRING,
+        usernameFile:       STRING,
+        passwordFile:       STRING,
+        queue:              STRING,
+        deadLetterQueue:    STRING,
+        maxAttempts:        INTEGER,
+        retryDelay:         NUMBER,
+        reconnect:          section({ delay: NUMBER, maxDelay: NUMBER }),
+    }) ),
+    logger:     section({
+        level:      { type: 'string', enum: [ "trace", "debug", "info", "warn", "error", "fatal" ] },
+        format:     { type: 'string', enum: [ "text", "json" ] },
+        prefix:     STRING,
+        stderr:     BOOLEAN,
+    }),
+    worker:     section({
+        journal:    STRING,
+        recovery:   { type: 'string', enum: [ "fail", "requeue" ] },
+        scheduler:  section({ maxJobs: INTEGER, cores: INTEGER, steps: mapOf( INTEGER ) }),
+        http:       section({ port: required( INTEGER ), host: STRING, timeout: NUMBER }),
+    }),
+    airetd:     required( section({
+        path:       required( STRING ),
+        python:     STRING,
+        programs:   required( mapOf( oneOf( "a script or { script, version, maxWallTime, inactivityTimeout, killGrace }",
+            STRING,
+            section({ script: required( STRING ), version: STRING, maxWallTime: NUMBER, inactivityTimeout: NUMBER, killGrace: NUMBER })
+        ) ) ),
+        // the pipelines, the rules and the parameters are checked when they are used
+        pipelines:  mapOf( { type: 'array', items: ANY } ),
+        rules:      mapOf( ANY ),
+        parameters: mapOf( ANY ),
+        artifacts:  section({ relativePath: STRING, type: STRING }),
+        results:    section({
+            versioned:  BOOLEAN,
+            log:        BOOLEAN,
+            properties: section({ runId: STRING, step: STRING, hostname: STRING, startedAt: STRING, endedAt: STRING, programs: STRING, parameters: STRING }),
+        }),
+        logs:       section({ dir: STRING, updateInterval: NUMBER, tailSize: INTEGER, maxSize: INTEGER, maxFiles: INTEGER }),
+        resources:  section({ sampleInterval: NUMBER }),
+        archive:    section({
+            format:     { type: 'string', enum: [ "tar.zst", "tar.gz", "zip", "7z" ] },
+            level:      INTEGER,
+            threads:    INTEGER,
+            include:    STRINGS,
+            exclude:    STRINGS,
+        }),
+        extraction: section( Object.assign( {}, EXTRACTION.properties, {
+            inputs:             EXTRACTION,
+            postprocInputs:     EXTRACTION,
+            preliminaryStudy:   EXTRACTION,
+        }) ),
+    }) ),
+});
+
+/*
+ * The credentials can be read from files, e.g. mounted secrets, rather than written in conf.json:
+ * "passwordFile": "/run/secrets/alfresco-password" sets the password of the section, the trailing
+ * newline is ignored and relative paths start from the directory of conf.json. The variable of the field
+ * itself, e.g. WORKER_ALFRESCO_PASSWORD, comes first, then the file, then the value in conf.json.
+ */
+const SECRETS = [ [ 'alfresco', 'username' ], [ 'alfresco', 'password' ], [ 'activemq', 'username' ], [ 'activemq', 'password' ] ];
+
+// the sections that are replaced on SIGHUP
+const RELOADABLE = [ [ 'airetd', 'programs' ], [ 'logger' ] ];
+
+
+function envName ( keys ) {
+    return "WORKER_" + keys.map( (k) => String( k ).replace( /([a-z0-9])([A-Z])/g, "$1_$2" ).replace( /[^A-Za-z0-9]/g, "_" ).toUpperCase() ).join( "_" );
+}
+
+function typeName ( schema ) {
+    return schema.oneOf ? schema.name : schema.type === 'integer' ? "an integer" : ( /^[aeiou]/.test( schema.type ) ? "an " : "a " ) + schema.type;
+}
+
+// the value of an environment variable, converted to the type of the field
+function parseEnv ( schema, raw ) {
+    const type = schema.oneOf ? ( /^\s*[{[]/.test( raw ) ? 'object' : 'string' ) : schema.type;
+    switch ( type ) {
+    case 'string':
+        return raw;
+    case 'number':
+    case 'integer':
+        return raw.trim() !== '' && !isNaN( Number( raw ) ) ? Number( raw ) : raw;
+    case 'boolean':
+        return raw === 'true' || raw === '1' ? true : raw === 'false' || raw === '0' ? false : raw;
+    default:
+        return JSON.parse( raw );
+    }
+}
+
+/**
+ * Replaces the fields of the configuration that are set in the environment
+ * @param {string[]} sources - filled with "path (VARIABLE)" for each field that comes from the environment
+ */
+function applyEnv ( schema, value, keys, errors, sources ) {
+    const name = envName( keys );
+    if ( keys.length && process.env[ name ] !== undefined ) {
+        try {
+            value = parseEnv( schema, process.env[ name ] );
+            sources[ keys.join(".") ] = name;
+        } catch (e) {
+            errors.push( new ConfigurationError( keys.join(".") + ": invalid JSON in " + name + ": " + e.message, keys.join(".") ) );
+        }
+    }
+    if ( schema.type === 'object' && schema.properties ) {
+        Object.keys( schema.properties ).forEach( (k) => {
+            const v = applyEnv( schema.properties[ k ], value && value[ k ], keys.concat([ k ]), errors, sources );
+            if ( v !== undefined ) {
+                value = Object.assign( {}, value, { [k]: v } );
+            }
+        });
+    } else if ( schema.type === 'object' && schema.values && value && typeof value === 'object' ) {
+        Object.keys( value ).forEach( (k) => {
+            value[ k ] = applyEnv( schema.values, value[ k ], keys.concat([ k ]), errors, sources );
+        });
+    } else if ( schema.oneOf && value && typeof value === 'object' ) {
+        const objectSchema = schema.oneOf.find( (s) => s.type === 'object' );
+        Object.keys( objectSchema.properties ).forEach( (k) => {
+            const v = applyEnv( objectSchema.properties[ k ], value[ k ], keys.concat([ k ]), errors, sources );
+            if ( v !== undefined ) {
+                value[ k ] = v;
+            }
+        });
+    }
+    return value;
+}
+
+function readSecrets ( cfg, errors, sources ) {
+    SECRETS.forEach( ([ name, key ]) => {
+        const where = name + "." + key;
+        const section = cfg[ name ];
+        if ( !section || !section[ key + "File" ] || sources[ where ] ) {
+            return;
+        }
+        try {
+            section[ key ] = fs.readFileSync( path.resolve( path.dirname( cfgPath ), section[ key + "File" ] ), 'utf8' ).replace( /\r?\n$/, "" );
+        } catch (e) {
+            errors.push( new ConfigurationError( where + "File: cannot read the " + key + ": " + e.message, where + "File" ) );
+        }
+    });
+}
+
+function check ( schema, value, keys, root, errors, sources, warnings ) {
+    const where = keys.join(".");
+    const fail = (message) => {
+        const from = sources[ where ] ? " (from " + sources[ where ] + ")" : "";
+        errors.push( new ConfigurationError( where + ": " + message + from, where ) );
+    };
+    if ( value === undefined || value === null ) {
+        const isRequired = typeof schema.required === 'function' ? schema.required( root ) : schema.required;
+        if ( isRequired ) {
+            fail( "missing, set it in " + path.basename( cfgPath ) + " or with " + envName( keys ) );
+        }
+        return;
+    }
+    if ( schema.oneOf ) {
+        const attempts = schema.oneOf.map( (s) => {
+            const e = [], w = [];
+            check( s, value, keys, root, e, sources, w );
+            return { errors: e, warnings: w };
+        });
+        const valid = attempts.find( (a) => !a.errors.length );
+        if ( valid ) {
+            valid.warnings.forEach( (w) => warnings.push( w ) );
+            return;
+        }
+        // report the errors of the alternative of the same type, if any
+        const same = schema.oneOf.findIndex( (s) => s.type === ( Array.isArray( value ) ? 'array' : typeof value ) );
+        if ( same >= 0 ) {
+            attempts[ same ].errors.forEach( (e) => errors.push( e ) );
+        } else {
+            fail( typeName( schema ) + " is expected" );
+        }
+        return;
+    }
+    switch ( schema.type ) {
+    case 'any':
+        return;
+    case 'integer':
+        if ( !Number.isInteger( value ) ) {
+            return fail( "an integer is expected" );
+        }
+        break;
+    case 'array':
+        if ( !Array.isArray( value ) ) {
+            return fail( "a list is expected" );
+        }
+        value.forEach( (v, i) => check( schema.items, v, keys.concat([ i ]), root, errors, sources, warnings ) );
+        return;
+    case 'object':
+        if ( typeof value !== 'object' || Array.isArray( value ) ) {
+            return fail( "an object is expected" );
+        }
+        if ( schema.properties ) {
+            Object.keys( value ).filter( (k) => !schema.properties[ k ] ).forEach( (k) => {
+                warnings.push( keys.concat([ k ]).join(".") + ": unknown field, ignored" );
+            });
+            Object.keys( schema.properties ).forEach( (k) => check( schema.properties[ k ], value[ k ], keys.concat([ k ]), root, errors, sources, warnings ) );
+        } else {
+            Object.keys( value ).forEach( (k) => check( schema.values, value[ k ], keys.concat([ k ]), root, errors, sources, warnings ) );
+        }
+        return;
+    default:
+        if ( typeof value !== schema.type ) {
+            return fail( typeName( schema ) + " is expected" );
+        }
+    }
+    if ( schema.enum && schema.enum.indexOf( value ) < 0 ) {
+        fail( "must be one of " + schema.enum.join(", ") );
+    }
+}
+
+/**
+ * Reads conf.json, applies the environment and checks the result
+ * @param {string[]} warnings - filled with the problems that don't prevent the worker from running
+ * @throws {ConfigurationError} with all the problems in its errors
+ */
+function load ( warnings ) {
+    var content;
+    try {
+        content = JSON.parse( fs.readFileSync( cfgPath ) );
+    } catch (e) {
+        throw new ConfigurationError( "cannot read the configuration " + cfgPath + ": " + e.message );
+    }
+    const errors = [];
+    const sources = {};
+    const value = applyEnv( SCHEMA, content, [], errors, sources );
+    readSecrets( value, errors, sources );
+    check( SCHEMA, value, [], value, errors, sources, warnings );
+    if ( errors.length ) {
+        const err = new ConfigurationError( "invalid configuration " + cfgPath + ":\n  " + errors.map( (e) => e.message ).join( "\n  " ), errors[0].path );
+        err.errors = errors;
+        throw err;
+    }
+    return value;
+}
+
+
+const warnings = [];
+const cfg = load( warnings );
 const studiesDir = process.env.WORKER_STUDIES_DIR || path.resolve( ( cfg.baseDir || rootDir ), "studies" );
-//console.dir( config );
 const binDir = process.env.WORKER_BIN_DIR || path.resolve( rootDir, "bin" );
 
+const listeners = [];
+
 
 class Config {
 
@@ -44,8 +363,48 @@ class Config {
         return cfg.airetd;
     }
 
-}
+    static getWorkerConfig () {
+        return cfg.worker || {};
+    }
+
+    static getBackendConfig () {
+        return cfg.backend || { type: 'alfresco' };
+    }
 
+    /**
+     * @return {string[]} the problems of the configuration that don't prevent the worker from running,
+     *   e.g. the unknown fields
+     */
+    static getWarnings () {
+        return warnings;
+    }
+
+    /**
+     * Reads the configuration again and replaces the sections that can change while the worker runs.
+     * Nothing changes if the new configuration is invalid.
+     * @return {string[]} the sections that changed but need a restart to be taken into account
+     * @throws {ConfigurationError}
+     */
+    static reload () {
+        const found = [];
+        const next = load( found );
+        warnings.splice( 0, warnings.length, ...found );
+        RELOADABLE.forEach( (keys) => {
+            const parent = keys.slice( 0, -1 ).reduce( (o, k) => o[ k ], cfg );
+            parent[ keys[ keys.length - 1 ] ] = keys.reduce( (o, k) => o && o[ k ], next );
+        });
+        listeners.forEach( (fn) => fn() );
+        return Object.keys( SCHEMA.properties ).filter( (k) => JSON.stringify( cfg[ k ] ) !== JSON.stringify( next[ k ] ) );
+    }
+
+    /**
+     * @param {function} fn - called after each reload
+     */
+    static onReload ( fn ) {
+        listeners.push( fn );
+    }
+}
 
+Config.SCHEMA = SCHEMA;
 
 module.exports = Config;
@@ -0,0 +1,210 @@
+'use strict';
+
+const Stomp = require('stomp-client');
+
+const Logger = require('./logger');
+const MalformedMessageError = require("./MalformedMessageError");
+
+
+// the header used to count how many times a message has been handled
+const HEADER_ATTEMPTS = 'arendel-attempts';
+// the header that carries the last error of a dead-lettered message
+const HEADER_ERROR = 'arendel-error';
+
+const DEFAULT_OPTIONS = {
+    queue:              '/queue/simulation',
+    deadLetterQueue:    '/queue/simulation.DLQ',
+    maxAttempts:        3,
+    // delay before a failed message is redelivered, requires the scheduler support of the broker
+    retryDelay:         30000,
+    reconnect: {
+        delay:          1000,
+        maxDelay:       60000,
+    },
+};
+
+
+/**
+ * Consumes the messages of a queue with client-individual acknowledgements.
+ *
+ * The handler is called for every message and returns a promise. The message is acknowledged when the
+ * promise resolves. If it rejects, the message is sent again to the queue until it has been tried
+ * maxAttempts times, then it goes to the dead-letter queue with the error in its headers. A message
+ * rejected with a MalformedMessageError goes to the dead-letter queue right away.
+ *
+ * The connection to the broker is reopened with an exponential backoff whenever it's lost.
+ */
+class Consumer {
+
+    /**
+     * @param {object} options - the activemq section of conf.json
+     * @param {function} handler - (body, headers) => Promise
+     * @param {function} [createClient] - creates the STOMP client, mostly useful to test against a stand-in broker
+     */
+    constructor ( options, handler, createClient ) {
+        this.options = Object.assign( {}, DEFAULT_OPTIONS, options );
+        this.options.reconnect = Object.assign( {}, DEFAULT_OPTIONS.reconnect, options && options.reconnect );
+        this.handler = handler;
+        this.createClient = createClient || ((o) => new Stomp( o.host, o.port, o.username, o.password, '1.1' ));
+        this.client = null;
+        this.connected = false;
+        // incremented on each connection, acknowledgements are only valid on the connection the message came from
+        this.generation = 0;
+        this.retries = 0;
+        this.reconnectTimer = null;
+        this.stopped = false;
+        this.onConnect = null;
+    }
+
+    /**
+     * Connects to the broker and starts consuming the queue
+     * @param {function} [onConnect] - called each time the connection is (re)established, before subscribing
+     * @return {Promise} resolved when onConnect is done on the first connection
+     */
+    start ( onConnect ) {
+        this.onConnect = onConnect;
+        return new Promise( (resolve) => {
+            this.firstConnect = resolve;
+            this.connect();
+        });
+    }
+
+    stop () {
+        this.stopped = true;
+        clearTimeout( this.reconnectTimer );
+        if ( this.client ) {
+            this.client.disconnect();
+        }
+    }
+
+    connect () {
+        const client = this.createClient( this.options );
+        this.client = client;
+
+        client.on('connect', () => {
+            this.connected = true;
+            this.retries = 0;
+            this.generation++;
+            Logger.info("connected to queue");
+            Promise.resolve()
+                .then( () => this.onConnect && this.onConnect( this ) )
+                .catch( (err) => Logger.error( err ) )
+                .then( () => {
+                    this.subscribe( client );
+                    if ( this.firstConnect ) {
+                        this.firstConnect();
+                        this.firstConnect = null;
+                    }
+                });
+        });
+
+        client.on('error', (err) => {
+            if ( this.stopped ) {
+                return;
+            }
+            Logger.error("Broker connection error:", err && err.message );
+            this.disconnected( client );
+        });
+
+        client.connect();
+    }
+
+    disconnected ( client ) {
+        if ( client !== this.client ) {
+            // we have already given up on this one
+            return;
+        }
+        this.connected = false;
+        this.client = null;
+        client.removeAllListeners();
+        // the library emits errors on the client when it fails to write, keep a listener so they don't crash us
+        client.on('error', () => {});
+        if ( client.stream ) {
+            client.stream.destroy();
+        }
+        if ( this.stopped ) {
+            return;
+        }
+        const r = this.options.reconnect;
+        const delay = Math.min( r.delay * Math.pow( 2, this.retries++ ), r.maxDelay );
+        Logger.warn("Reconnecting to the broker in", delay, "ms");
+        this.reconnectTimer = setTimeout( () => this.connect(), delay );
+    }
+
+    subscribe ( client ) {
+        const headers = {
+            id:     'arendel-worker',
+            ack:    'client-individual',
+        };
+        if ( this.options.prefetch ) {
+            headers['activemq.prefetchSize'] = this.options.prefetch;
+        }
+        const generation = this.generation;
+        client.subscribe( this.options.queue, headers, (body, h) => this.receive( client, generation, body, h ) );
+    }
+
+    publish ( body, headers ) {
+        if ( !this.connected ) {
+            throw new Error("Not connected to the broker");
+        }
+        this.client.publish( this.options.queue, body, headers );
+    }
+
+    receive ( client, generation, body, headers ) {
+        const attempts = ( parseInt( headers[ HEADER_ATTEMPTS ], 10 ) || 0 ) + 1;
+        Logger.info("incoming message:", body, "attempt:", attempts );
+
+        Promise.resolve()
+            .then( () => this.handler( body, headers ) )
+            .then(
+                () => this.ack( client, generation, headers ),
+                (err) => {
+                    Logger.error("Failed to handle message:", err );
+                    if ( !this.isCurrent( client, generation ) ) {
+                        // the broker is going to redeliver it anyway
+                        return;
+                    }
+                    if ( err instanceof MalformedMessageError || attempts >= this.options.maxAttempts ) {
+                        this.deadLetter( body, headers, attempts, err );
+                    } else {
+                        this.retry( body, headers, attempts );
+                    }
+                    this.ack( client, generation, headers );
+                }
+            )
+            .catch( (err) => Logger.error( err ) );
+    }
+
+    isCurrent ( client, generation ) {
+        return this.connected && client === this.client && generation === this.generation;
+    }
+
+    ack ( client, generation, headers ) {
+        if ( !this.isCurrent( client, generation ) ) {
+            Logger.warn("Connection lost since message", headers['message-id'], "was received, it will be redelivered");
+            return;
+        }
+        client.ack( headers['message-id'], headers.subscription );
+    }
+
+    retry ( body, headers, attempts ) {
+        Logger.info("Requeuing message", headers['message-id'], "for attempt", attempts + 1 );
+        const h = { [ HEADER_ATTEMPTS ]: attempts };
+        if ( this.options.retryDelay ) {
+            h['AMQ_SCHEDULED_DELAY'] = this.options.retryDelay;
+        }
+        this.client.publish( this.options.queue, body, h );
+    }
+
+    deadLetter ( body, headers, attempts, err ) {
+        Logger.warn("Sending message", headers['message-id'], "to", this.options.deadLetterQueue );
+        this.client.publish( this.options.deadLetterQueue, body, {
+            [ HEADER_ATTEMPTS ]:    attempts,
+            // header values cannot span several lines
+            [ HEADER_ERROR ]:       String( err && err.message || err ).replace( /[\r\n]+/g, ' ' ),
+            'original-destination': this.options.queue,
+        });
+    }
+}
+
+module.exports = Consumer;
@@ -0,0 +1,142 @@
+'use strict';
+
+const Path = require('path');
+
+const Config = require('./config');
+const ConfigurationError = require("./ConfigurationError");
+const ExtractionError = require("./ExtractionError");
+
+
+/*
+ * How the archives of the input folders of a study are extracted in the study directory.
+ *
+ * It's configured with the "extraction" entry of the airetd section of conf.json. The values at the top
+ * apply to all the input folders, the entry of a folder (inputs, postprocInputs or preliminaryStudy)
+ * overrides them:
+ *   {
+ *     "maxFiles":     10000,               // the number of files and directories of an archive
+ *     "maxSize":      10737418240,         // the total size of the files of an archive, in bytes
+ *     "preliminaryStudy": {
+ *       "layout":          "preserve",     // "flat" puts all the files in the study directory, "preserve" keeps the folders
+ *       "stripComponents": 1,              // with "preserve", the leading folders removed: alfresco adds the name of the folder
+ *       "onCollision":     "keepLast"      // when two entries end up at the same place: "keepLast" as the old flat
+ *                                          // extraction did, "keepFirst", or "fail"
+ *     }
+ *   }
+ * An entry that would end up outside of the study directory always fails the extraction.
+ */
+const DEFAULT_OPTIONS = {
+    layout:             "flat",
+    stripComponents:    1,
+    onCollision:        "keepLast",
+    maxFiles:           10000,
+    maxSize:            10 * 1024 * 1024 * 1024,
+};
+
+const LAYOUTS = [ "flat", "preserve" ];
+const COLLISIONS = [ "fail", "keepFirst", "keepLast" ];
+
+// the number of collisions listed in the messages
+const MAX_REPORTED = 5;
+
+
+class Extraction {
+
+    constructor ( options ) {
+        this.options = options;
+    }
+
+    /**
+     * @param {string} [folder] - the kind of input folder, see Study.downloadFolder
+     */
+    static load ( folder ) {
+        const cfg = ( Config.getAiretdConfig() || {} ).extraction || {};
+        const common = {};
+        Object.keys( cfg ).filter( (k) => typeof cfg[ k ] !== 'object' ).forEach( (k) => common[ k ] = cfg[ k ] );
+        const options = Object.assign( {}, DEFAULT_OPTIONS, common, folder && cfg[ folder ] );
+        Extraction.validate( folder, options );
+        return new Extraction( options );
+    }
+
+    static validate ( folder, options ) {
+        const where = "wrong configuration of the extraction" + ( folder ? " of " + folder : "" ) + ": ";
+        if ( LAYOUTS.indexOf( options.layout ) < 0 ) {
+            throw new ConfigurationError( where + "layout must be one of " + LAYOUTS.join(", ") );
+        }
+        if ( COLLISIONS.indexOf( options.onCollision ) < 0 ) {
+            throw new ConfigurationError( where + "onCollision must be one of " + COLLISIONS.join(", ") );
+        }
+        [ 'stripComponents', 'maxFiles', 'maxSize' ].forEach( (k) => {
+            if ( typeof options[ k ] !== 'number' || options[ k ] < 0 ) {
+                throw new ConfigurationError( where + k + " must be a positive number" );
+            }
+        });
+    }
+
+    /**
+     * Where an entry goes according to the layout
+     * @return {string} the path relative to the study directory, or null if it's not extracted
+     */
+    place ( entry ) {
+        const normalized = Path.posix.normalize( entry.name );
+        if ( Path.posix.isAbsolute( entry.name ) || normalized === ".." || normalized.startsWith( "../" ) ) {
+            throw new ExtractionError( "Unsafe path in archive: " + entry.name, 'UNSAFE_PATH' );
+        }
+        const parts = normalized.split( "/" ).filter( (p) => p && p !== "." );
+        if ( this.options.layout === 'flat' ) {
+            // the folders are not kept, nor are the links
+            return entry.type === 'file' ? parts[ parts.length - 1 ] : null;
+        }
+        const rest = parts.slice( this.options.stripComponents );
+        return rest.length && ( entry.type === 'file' || entry.type === 'directory' ) ? rest.join( "/" ) : null;
+    }
+
+    /**
+     * Decides where each entry of an archive goes before anything is written, and checks the limits
+     * @param {object[]} entries - see Archive.list
+     * @return {object} { targets, warnings }, targets[ entry.index ] is where the entry goes, if anywhere;
+     *   the warnings report the collisions that were resolved
+     * @throws {ExtractionError}
+     */
+    plan ( entries ) {
+        const targets = [];
+        const byPath = new Map();
+        var files = 0, size = 0;
+        entries.forEach( (entry) => {
+            const target = this.place( entry );
+            if ( target == null ) {
+                return;
+            }
+            targets[ entry.index ] = target;
+            files++;
+            if ( entry.type === 'file' ) {
+                size += entry.size;
+                byPath.set( target, ( byPath.get( target ) || [] ).concat([ entry ]) );
+            }
+        });
+        if ( files > this.options.maxFiles ) {
+            throw new ExtractionError( "The archive has " + files + " entries, the limit is " + this.options.maxFiles, 'ARCHIVE_TOO_LARGE' );
+        }
+        if ( size > this.options.maxSize ) {
+            throw new ExtractionError( "The content of the archive is " + size + " bytes, the limit is " + this.options.maxSize, 'ARCHIVE_TOO_LARGE' );
+        }
+
+        const collisions = Array.from( byPath.entries() ).filter( ([ , list ]) => list.length > 1 );
+        const describe = ([ target, list ]) => target + " (" + list.map( (e) => e.name ).join(", ") + ")";
+        if ( collisions.length && this.options.onCollision === 'fail' ) {
+            throw new ExtractionError( collisions.length + " name collision(s) in the archive: " +
+                collisions.slice( 0, MAX_REPORTED ).map( describe ).join("; ") + ( collisions.length > MAX_REPORTED ? "; ..." : "" ), 'NAME_COLLISION' );
+        }
+        const warnings = collisions.map( (c) => {
+            const list = c[1];
+            const kept = this.options.onCollision === 'keepFirst' ? list[0] : list[ list.length - 1 ];
+            list.filter( (e) => e !== kept ).forEach( (e) => delete targets[ e.index ] );
+            return { code: "NAME_COLLISION", message: "kept " + kept.name + " for " + describe( c ) };
+        });
+        return { targets: targets, warnings: warnings };
+    }
+}
+
+Extraction.DEFAULTS = DEFAULT_OPTIONS;
+
+module.exports = Extraction;
@@ -1,12 +1,12 @@
 'use strict';
 
-const Stomp = require('stomp-client');
-const util = require('util');
-const setTimeoutPromise = util.promisify(setTimeout);
-
 const Config = require('./config');
 const Logger = require('./logger');
 const Study = require('./study');
+const Scheduler = require('./scheduler');
+const Consumer = require('./consumer');
+const StatusServer = require('./status');
+const MalformedMessageError = require("./MalformedMessageError");
 
 const queueSimulation = '/queue/simulation';
 
@@ -22,64 +22,123 @@ const CMD_ABORT_SIMULATION = 'abort-simulation';
 const CMD_START_POSTPROC= 'start-postproc';
 const CMD_ABORT_POSTPROC= 'abort-postproc';
 
+const scheduler = Scheduler.fromConfig();
+
+
+/**
+ * Schedules the start of a step
+ * @return {Promise} settled once the task has been claimed or rejected, ie. when the message can be acknowledged
+ */
+function schedule ( study, step, taskNodeRef, start, label ) {
+    return new Promise( (settle, fail) => {
+        scheduler.submit({
+            id:         study.nodeRef,
+            step:       step,
+            // the claim waits for alfresco to be ready, see Arendel
+            run:        () => {
+                const done = start();
+                study.claimed.then( settle, fail );
+                return done;
+            },
+            onQueued:   (position) => study.reportPending( step, taskNodeRef, position ),
+        })
+        .then(
+            ()    => Logger.info( label + " done" ),
+            (err) => Logger.error( err )
+        )
+        // a job that was cancelled or refused by the scheduler is rejected, not failed
+        .then( () => settle() );
+    });
+}
 
+function abort ( study, step, abortStep, label ) {
+    // a job still waiting in the queue just needs to be removed from it
+    if ( scheduler.cancel( study.nodeRef, step ) ) {
+        Logger.info("Removed waiting job of study", study.nodeRef, "from the queue");
+    }
+    return abortStep().then( () => Logger.info( label + " aborted" ) );
+}
+
+/**
+ * Handles a message of the queue
+ * @return {Promise} resolved when the message can be acknowledged
+ */
 function parseMessage ( rawMsg ) {
+    var msg;
     try {
-        var msg = JSON.parse( rawMsg );
-
-        var study = new Study( msg.nodeRef );
-
-        switch ( msg.cmd ) {
-        case CMD_START_MESHING:
-            // we need to wait a couple of seconds because alfresco may be slow to update the meshing status
-            setTimeoutPromise( 2000 )
-                .then( () => study.startMeshing() )
-                .then(
-                    ()    => Logger.info("Meshing done"),
-                    (err) => Logger.error( err )
-                );
-            break;
-
-        case CMD_ABORT_MESHING:
-            study.abortMeshing().then( () => Logger.info("Meshing aborted"), (err) => Logger.error( err ) );
-            break;
-
-        case CMD_START_SIMULATION:
-            // we need to wait a couple of seconds because alfresco may be slow to create the simulation node
-            setTimeoutPromise( 2000 )
-                .then( () => study.startSimulation( msg.simNodeRef ) )
-                .then( () => Logger.info("Simulation done"), (err) => Logger.error( err ) );
-            break;
-
-        case CMD_ABORT_SIMULATION:
-            study.abortSimulation( msg.simNodeRef ).then( () => Logger.info("Simulation aborted"), (err) => Logger.error( err ) );
-            break;
-
-        case CMD_START_POSTPROC:
-            // we need to wait a couple of seconds because alfresco may be slow to create the simulation node
-            setTimeoutPromise( 2000 )
-                .then( () => study.postproc( msg.simNodeRef ) )
-                .then( () => Logger.info("Post-processing done"), (err) => Logger.error( err ) );
-            break;
-
-        case CMD_ABORT_POSTPROC:
-            study.abortPostproc().then( () => Logger.info("Postprocessing aborted"), (err) => Logger.error( err ) );
-            break;
-        }
+        msg = JSON.parse( rawMsg );
     } catch (e) {
-        Logger.error( e );
+        return Promise.reject( new MalformedMessageError("Invalid JSON: " + e.message) );
+    }
+    if ( !msg || typeof msg.nodeRef !== 'string' || !/SpacesStore\/.+$/.test( msg.nodeRef ) ) {
+        return Promise.reject( new MalformedMessageError("Missing or invalid nodeRef") );
+    }
+    if ( ( msg.cmd === CMD_START_SIMULATION || msg.cmd === CMD_ABORT_SIMULATION ) && typeof msg.simNodeRef !== 'string' ) {
+        return Promise.reject( new MalformedMessageError("Missing simNodeRef") );
     }
-}
 
-const activemq = Config.getActiveMQConfig();
-const client = new Stomp( activemq.host, activemq.port, activemq.username, activemq.password );
-client.connect( (sessionId) => {
+    var study = new Study( msg.nodeRef );
 
-    Logger.info("connected to queue");
-    client.subscribe( queueSimulation, (body, headers) => {
-        console.log('incoming message:', body);
-        parseMessage( body );
-    });
+    switch ( msg.cmd ) {
+    case CMD_START_MESHING:
+        return schedule( study, Study.STEPS.MESHING, msg.nodeRef, () => study.startMeshing(), "Meshing" );
+
+    case CMD_ABORT_MESHING:
+        return abort( study, Study.STEPS.MESHING, () => study.abortMeshing( msg.requestedBy ), "Meshing" );
+
+    case CMD_START_SIMULATION:
+        return schedule( study, Study.STEPS.SIMULATION, msg.simNodeRef, () => study.startSimulation( msg.simNodeRef ), "Simulation" );
 
+    case CMD_ABORT_SIMULATION:
+        return abort( study, Study.STEPS.SIMULATION, () => study.abortSimulation( msg.simNodeRef, msg.requestedBy ), "Simulation" );
+
+    case CMD_START_POSTPROC:
+        return schedule( study, Study.STEPS.POSTPROC, msg.nodeRef, () => study.postproc( msg.simNodeRef ), "Post-processing" );
+
+    case CMD_ABORT_POSTPROC:
+        return abort( study, Study.STEPS.POSTPROC, () => study.abortPostproc( msg.requestedBy ), "Postprocessing" );
+
+    default:
+        return Promise.reject( new MalformedMessageError("Unknown command: " + msg.cmd) );
+    }
+}
+
+var recovered = false;
+const consumer = new Consumer( Object.assign( { queue: queueSimulation }, Config.getActiveMQConfig() ), parseMessage );
+consumer.start( () => {
+    if ( recovered ) {
+        return;
+    }
+    recovered = true;
+    // take care of the tasks that were running when the worker stopped before accepting new ones
+    return Study.recover()
+        .then( (commands) => commands.forEach( (cmd) => {
+            Logger.info("requeuing", cmd.cmd, "of study", cmd.nodeRef );
+            consumer.publish( JSON.stringify( cmd ) );
+        }), (err) => Logger.error( err ) );
 });
 
+const httpConfig = Config.getWorkerConfig().http;
+if ( httpConfig ) {
+    new StatusServer( httpConfig, {
+        broker:     () => consumer.connected,
+        alfresco:   () => Study.ping(),
+        jobs:       () => ({
+            running:    Study.jobs(),
+            queued:     scheduler.queue.map( (j) => ({ nodeRef: j.id, step: j.step, position: j.position }) ),
+        }),
+    }).start().catch( (err) => Logger.error("Failed to start the status server:", err ) );
+}
+
+// the programs and the logger can be changed without stopping the running jobs
+process.on('SIGHUP', () => {
+    try {
+        const restart = Config.reload();
+        Logger.info("Configuration reloaded");
+        if ( restart.length ) {
+            Logger.warn("The changes of", restart.join(", "), "need a restart of the worker");
+        }
+    } catch (err) {
+        Logger.error("Failed to reload the configuration, keeping the current one:", err.message );
+    }
+});
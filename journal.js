@@ -0,0 +1,190 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+
+const Config = require('./config');
+const Logger = require('./logger');
+
+
+/*
+ * The journal keeps track, on disk, of the tasks claimed by this worker so that they can be
+ * recovered if the worker is restarted while they are running.
+ * It's a JSON file (by default .journal.json in the studies directory) that looks like:
+ *   {
+ *     "workspace://SpacesStore/xxx": {
+ *       "step":        "simulation",
+ *       "taskNodeRef": "workspace://SpacesStore/yyy",
+ *       "stage":       "simulation",
+ *       "pid":         1234,
+ *       "program":     "/srv/airetd/simulation.sh",
+ *       "startTime":   1607436000000
+ *     }
+ *   }
+ */
+
+// a lock older than this was left by a process that died while holding it
+const STALE_LOCK = 10000;
+
+function getPath () {
+    return Config.getWorkerConfig().journal || Path.resolve( Config.getStudiesDir(), ".journal.json" );
+}
+
+function load ( path ) {
+    if ( !Fs.existsSync( path ) ) {
+        return {};
+    }
+    try {
+        return JSON.parse( Fs.readFileSync( path ) ) || {};
+    } catch (e) {
+        Logger.error("Corrupted journal " + path + ", ignoring it:", e.message );
+        return {};
+    }
+}
+
+function sleep ( ms ) {
+    Atomics.wait( new Int32Array( new SharedArrayBuffer( 4 ) ), 0, 0, ms );
+}
+
+// the worker and the CLI both write the journal: the lock keeps one from losing the entries of the other
+function lock ( path ) {
+    const lockPath = path + ".lock";
+    for (;;) {
+        try {
+            Fs.closeSync( Fs.openSync( lockPath, 'wx' ) );
+            return lockPath;
+        } catch (e) {
+            if ( e.code !== 'EEXIST' ) {
+                throw e;
+            }
+        }
+        try {
+            if ( Date.now() - Fs.statSync( lockPath ).mtimeMs > STALE_LOCK ) {
+                Logger.warn("Removing stale journal lock", lockPath );
+                Fs.unlinkSync( lockPath );
+                continue;
+            }
+        } catch (e) {
+            if ( e.code !== 'ENOENT' ) {
+                throw e;
+            }
+            continue;
+        }
+        sleep( 10 );
+    }
+}
+
+/**
+ * Applies a change to the entries as they are on disk, under the lock, and writes them back if the
+ * change returns true
+ */
+function modify ( change ) {
+    const path = getPath();
+    const tmp = path + ".tmp";
+    var lockPath = null;
+    try {
+        Fs.mkdirSync( Path.dirname( path ), { recursive: true } );
+        lockPath = lock( path );
+        const entries = load( path );
+        if ( change( entries ) ) {
+            // write a temporary file first so that a crash never leaves a truncated journal
+            Fs.writeFileSync( tmp, JSON.stringify( entries, null, 2 ) );
+            Fs.renameSync( tmp, path );
+        }
+    } catch (e) {
+        Logger.error("Failed to write journal " + path + ":", e.message );
+    } finally {
+        if ( lockPath ) {
+            Fs.rmSync( lockPath, { force: true } );
+        }
+    }
+}
+
+
+class Journal {
+
+    /**
+     * Records a newly claimed task
+     * @param {string} nodeRef - the study's nodeRef
+     * @param {object} entry - step, taskNodeRef, ...
+     */
+    static record ( nodeRef, entry ) {
+        modify( (entries) => {
+            entries[ nodeRef ] = Object.assign( { startTime: Date.now() }, entry );
+            return true;
+        });
+    }
+
+    /**
+     * Updates some fields of the entry of a study, if it exists
+     */
+    static update ( nodeRef, fields ) {
+        modify( (entries) => {
+            if ( !entries[ nodeRef ] ) {
+                return false;
+            }
+            Object.assign( entries[ nodeRef ], fields );
+            return true;
+        });
+    }
+
+    static remove ( nodeRef ) {
+        modify( (entries) => nodeRef in entries && delete entries[ nodeRef ] );
+    }
+
+    /**
+     * @return {object[]} the entries of the journal, with their nodeRef
+     */
+    static list () {
+        const e = load( getPath() );
+        return Object.keys( e ).map( (nodeRef) => Object.assign( { nodeRef: nodeRef }, e[ nodeRef ] ) );
+    }
+
+    /**
+     * Checks whether the process group recorded in an entry is still alive, and still the one we started
+     * (the pid may have been reused since). The program leads its own group (see Study.execute), the
+     * processes it started may outlive it, e.g. the solvers of the simulation script.
+     */
+    static isAlive ( entry ) {
+        if ( !entry.pid ) {
+            return false;
+        }
+        try {
+            process.kill( -entry.pid, 0 );
+        } catch (e) {
+            return e.code === 'EPERM';
+        }
+        // a pid is not reused while its group exists, if the leader is there it must be our program
+        const cmdline = Path.join( '/proc', String( entry.pid ), 'cmdline' );
+        if ( entry.program && Fs.existsSync( cmdline ) ) {
+            return Fs.readFileSync( cmdline ).toString().split( '\0' ).some( (arg) => arg === entry.program );
+        }
+        return true;
+    }
+
+    /**
+     * Kills the process group of an entry: SIGTERM first, then SIGKILL if it's still there after a while
+     * @return {Promise}
+     */
+    static kill ( entry, gracePeriod ) {
+        if ( !Journal.isAlive( entry ) ) {
+            return Promise.resolve( false );
+        }
+        Logger.info("Killing orphaned process group", entry.pid, "of study", entry.nodeRef );
+        try {
+            process.kill( -entry.pid, 'SIGTERM' );
+        } catch (e) {
+            Logger.warn("Failed to send SIGTERM to", entry.pid, e.message );
+        }
+        return new Promise( (resolve) => setTimeout( resolve, gracePeriod != null ? gracePeriod : 5000 ) ).then( () => {
+            try {
+                process.kill( -entry.pid, 'SIGKILL' );
+            } catch (e) {
+                // already gone
+            }
+            return true;
+        });
+    }
+}
+
+module.exports = Journal;
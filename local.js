@@ -0,0 +1,294 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+const Stream = require('stream');
+
+const Logger = require('./logger');
+const Archive = require('./archive');
+const CancellationToken = require('./cancellation');
+
+
+const BG_TASK_STATUS_RUNNING = "RUNNING";
+
+const NODEREF_REGEXP = /SpacesStore\/(.+)$/;
+
+// the folders of a study, in place of the children of the study node with the given type
+const INPUT_FOLDERS = {
+    inputs:             "inputs",
+    postprocInputs:     "postproc_inputs",
+    preliminaryStudy:   "preliminary_study",
+};
+
+// the property of the task node that holds the status of each step, as in alfresco
+const STATUS_PROPERTIES = {
+    meshing:    "cfd:meshing_status",
+    simulation: "cfd:simulation_status",
+    postproc:   "cfd:postproc_status",
+};
+
+
+/**
+ * A backend that stores everything in a local directory instead of alfresco, with the same interface
+ * as Arendel, so that pipelines can run without a server. Each node is a directory:
+ *   <dir>/<studyId>/properties.json        the properties of the study, e.g. { "cfd:np_mesh": 4 }
+ *   <dir>/<studyId>/inputs/                the input folders: inputs, postproc_inputs, preliminary_study
+ *   <dir>/<studyId>/tasks/<step>.json      the last update of the task of each step
+ *   <dir>/<studyId>/<relativePath>/<name>  the uploaded documents
+ *   <dir>/<simulationId>/properties.json   the properties of a simulation
+ * The id of a document or a folder is its path relative to <dir>.
+ *
+ * A task can be claimed unless it's already running: there is nobody to set it to TODO.
+ *
+ * It's selected with the "backend" section of conf.json: { "type": "local", "dir": "/data/arendel" }
+ */
+class LocalBackend {
+
+    constructor ( config ) {
+        if ( !config || !config.dir ) {
+            throw new Error("The local backend needs a directory");
+        }
+        this.config = config;
+        this.dir = Path.resolve( config.dir );
+    }
+
+    // the path of a node, from its nodeRef or its id, which cannot leave the directory
+    resolve ( nodeRefOrId ) {
+        const id = ( nodeRefOrId.match( NODEREF_REGEXP ) || [] )[1] || nodeRefOrId;
+        const p = Path.resolve( this.dir, id );
+        if ( p !== this.dir && !p.startsWith( this.dir + Path.sep ) ) {
+            throw new Error("Invalid node " + nodeRefOrId );
+        }
+        return p;
+    }
+
+    id ( path ) {
+        return Path.relative( this.dir, path ).split( Path.sep ).join( "/" );
+    }
+
+    readProperties ( nodeRef ) {
+        const filename = Path.join( this.resolve( nodeRef ), "properties.json" );
+        return Fs.existsSync( filename ) ? JSON.parse( Fs.readFileSync( filename ) ) : {};
+    }
+
+    writeProperties ( nodeRef, properties ) {
+        const dir = this.resolve( nodeRef );
+        Fs.mkdirSync( dir, { recursive: true } );
+        const tmp = Path.join( dir, "properties.json.tmp" );
+        Fs.writeFileSync( tmp, JSON.stringify( properties, null, 2 ) );
+        Fs.renameSync( tmp, Path.join( dir, "properties.json" ) );
+    }
+
+    getProperties ( nodeRef ) {
+        return Promise.resolve().then( () => this.readProperties( nodeRef ) );
+    }
+
+    ping () {
+        return Fs.existsSync( this.dir ) ? Promise.resolve( true ) : Promise.reject( new Error( this.dir + " not found" ) );
+    }
+
+    claimTask ( step, nodeRef ) {
+        return Promise.resolve().then( () => {
+            const properties = this.readProperties( nodeRef );
+            const property = STATUS_PROPERTIES[ step ];
+            if ( properties[ property ] === BG_TASK_STATUS_RUNNING ) {
+                // somebody else has it
+                return { nodeRef: nodeRef, status: "LOCKED" };
+            }
+            properties[ property ] = BG_TASK_STATUS_RUNNING;
+            const runId = Date.now().toString( 36 );
+            if ( step === 'simulation' ) {
+                properties['cfd:runid'] = runId;
+                properties['cfd:start_ts'] = Date.now();
+            }
+            this.writeProperties( nodeRef, properties );
+            return { nodeRef: nodeRef, status: BG_TASK_STATUS_RUNNING, runId: step === 'simulation' ? runId : undefined };
+        });
+    }
+
+    updateTask ( step, nodeRef, update ) {
+        return Promise.resolve().then( () => {
+            const properties = this.readProperties( nodeRef );
+            properties[ STATUS_PROPERTIES[ step ] ] = update.status;
+            this.writeProperties( nodeRef, properties );
+            const dir = Path.join( this.resolve( nodeRef ), "tasks" );
+            Fs.mkdirSync( dir, { recursive: true } );
+            Fs.writeFileSync( Path.join( dir, step + ".json" ), JSON.stringify( Object.assign( { ts: Date.now() }, update ), null, 2 ) );
+            return { nodeRef: nodeRef, status: update.status };
+        });
+    }
+
+    claimMeshingTask ( nodeRef ) {
+        return this.claimTask( 'meshing', nodeRef );
+    }
+
+    meshingTaskUpdate ( nodeRef, status, stage, stdout, stderr, classification, resources ) {
+        return this.updateTask( 'meshing', nodeRef, { status, stage, stdout, stderr, classification, resources } );
+    }
+
+    claimSimulationTask ( nodeRef ) {
+        return this.claimTask( 'simulation', nodeRef );
+    }
+
+    simulationTaskUpdate ( nodeRef, status, stage, stdout, stderr, classification, resources ) {
+        return this.updateTask( 'simulation', nodeRef, { status, stage, stdout, stderr, classification, resources } );
+    }
+
+    claimPostprocTask ( nodeRef ) {
+        return this.claimTask( 'postproc', nodeRef );
+    }
+
+    postprocTaskUpdate ( nodeRef, status, stage, stdout, stderr, classification, resources ) {
+        return this.updateTask( 'postproc', nodeRef, { status, stage, stdout, stderr, classification, resources } );
+    }
+
+    getFolder ( nodeRef, folder, description ) {
+        return Promise.resolve().then( () => {
+            const dir = Path.join( this.resolve( nodeRef ), INPUT_FOLDERS[ folder ] );
+            if ( !Fs.existsSync( dir ) ) {
+                throw new Error( description + " not found" );
+            }
+            return this.id( dir );
+        });
+    }
+
+    getInputFolder ( nodeRef ) {
+        return this.getFolder( nodeRef, 'inputs', "Input folder" );
+    }
+
+    getPostprocInputFolder ( nodeRef ) {
+        return this.getFolder( nodeRef, 'postprocInputs', "Postproc input folder" );
+    }
+
+    getPreliminaryStudyFolder ( nodeRef ) {
+        return this.getFolder( nodeRef, 'preliminaryStudy', "Preliminary study" );
+    }
+
+    /**
+     * Zips a folder, like Alfresco.download
+     * @param {object} [options] - only token is used
+     * @return {object} { promise, cancel }
+     */
+    download ( folderNodeId, filename, options ) {
+        const token = ( options && options.token ) || CancellationToken.NONE;
+        Logger.debug("zipping local folder", folderNodeId );
+        // the entries are prefixed with the name of the folder, the way alfresco does
+        const promise = Promise.resolve().then( () => Archive.write( [ this.resolve( folderNodeId ) ], filename, { format: 'zip', include: [], exclude: [], token: token } ) );
+        return { promise: promise, cancel: () => Promise.resolve() };
+    }
+
+    findNode ( nodeId, relativePath ) {
+        return Promise.resolve().then( () => {
+            const p = this.resolve( nodeId + "/" + relativePath );
+            if ( !Fs.existsSync( p ) ) {
+                return null;
+            }
+            const stat = Fs.statSync( p );
+            return {
+                id:         this.id( p ),
+                name:       Path.basename( p ),
+                isFolder:   stat.isDirectory(),
+                content:    stat.isFile() ? { sizeInBytes: stat.size } : undefined,
+                modifiedAt: stat.mtime.toISOString(),
+            };
+        });
+    }
+
+    /**
+     * Renames a document, like Alfresco.updateNode, the other changes are not supported
+     * @return {Promise<object>} the entry of the renamed node, see findNode
+     */
+    updateNode ( nodeId, changes ) {
+        return Promise.resolve().then( () => {
+            const p = this.resolve( nodeId );
+            const target = changes.name ? Path.join( Path.dirname( p ), changes.name ) : p;
+            Fs.renameSync( p, target );
+            return this.findNode( this.id( Path.dirname( target ) ), Path.basename( target ) );
+        });
+    }
+
+    deleteNode ( nodeId ) {
+        return Promise.resolve().then( () => {
+            Fs.rmSync( this.resolve( nodeId ), { recursive: true, force: true } );
+            return null;
+        });
+    }
+
+    downloadContent ( nodeId, filename, options ) {
+        const token = ( options && options.token ) || CancellationToken.NONE;
+        return Promise.resolve().then( () => {
+            token.throwIfCancelled();
+            Fs.copyFileSync( this.resolve( nodeId ), filename );
+        });
+    }
+
+    /**
+     * Copies a file in the folder of a study, like Alfresco.upload. The properties of a document are kept
+     * in <name>.properties.json, and its previous versions in .versions/<name>/<label>
+     * @return {Promise<object>} the document: { id, size, version }
+     */
+    upload ( studyNodeId, name, filename, relativePath, type, options ) {
+        const opts = options || {};
+        const token = opts.token || CancellationToken.NONE;
+        return Promise.resolve().then( () => {
+            token.throwIfCancelled();
+            const dir = this.resolve( studyNodeId + "/" + ( relativePath || "cfd_simulations_data_root" ) );
+            Fs.mkdirSync( dir, { recursive: true } );
+            const target = Path.join( dir, name );
+            const version = opts.version ? this.keepVersion( target ) : null;
+            Fs.copyFileSync( filename, target );
+            if ( opts.properties || version ) {
+                const properties = Object.assign( {}, opts.properties, version && { "cm:versionLabel": version, "cm:versionComment": opts.version.comment } );
+                Fs.writeFileSync( target + ".properties.json", JSON.stringify( properties, null, 2 ) );
+            }
+            const size = Fs.statSync( target ).size;
+            if ( opts.onProgress ) {
+                opts.onProgress({ bytesSent: size, totalBytes: size });
+            }
+            Logger.info("Stored", filename, "as", target + ( version ? " (version " + version + ")" : "" ) );
+            return { id: this.id( target ), size: size, version: version };
+        });
+    }
+
+    // moves the current version of a document aside, if any, and returns the label of the next one
+    keepVersion ( target ) {
+        const versions = Path.join( Path.dirname( target ), ".versions", Path.basename( target ) );
+        const count = Fs.existsSync( versions ) ? Fs.readdirSync( versions ).filter( (f) => !f.endsWith( ".properties.json" ) ).length : 0;
+        const label = ( count + 1 ) + ".0";
+        if ( !Fs.existsSync( target ) ) {
+            return label;
+        }
+        Fs.mkdirSync( versions, { recursive: true } );
+        Fs.renameSync( target, Path.join( versions, label ) );
+        if ( Fs.existsSync( target + ".properties.json" ) ) {
+            Fs.renameSync( target + ".properties.json", Path.join( versions, label + ".properties.json" ) );
+        }
+        return ( count + 2 ) + ".0";
+    }
+
+    /**
+     * Writes a stream in the folder of a study, like Alfresco.uploadStream
+     * @return {Promise<object>} the document: { id, size }
+     */
+    async uploadStream ( studyNodeId, name, stream, relativePath, type, options ) {
+        const token = ( options && options.token ) || CancellationToken.NONE;
+        token.throwIfCancelled();
+        const dir = this.resolve( studyNodeId + "/" + ( relativePath || "cfd_simulations_data_root" ) );
+        Fs.mkdirSync( dir, { recursive: true } );
+        const target = Path.join( dir, name );
+        try {
+            await Stream.promises.pipeline( stream, Fs.createWriteStream( target ) );
+        } catch (err) {
+            Fs.rmSync( target, { force: true } );
+            throw err;
+        }
+        const size = Fs.statSync( target ).size;
+        if ( options && options.onProgress ) {
+            options.onProgress({ bytesSent: size, totalBytes: size });
+        }
+        Logger.info("Stored", name, "as", target );
+        return { id: this.id( target ), size: size };
+    }
+}
+
+module.exports = LocalBackend;
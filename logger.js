@@ -1,6 +1,199 @@
 'use strict';
 
+const Fs = require('fs');
+const Path = require('path');
+const Util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
 const Config = require('./config');
-const logger = require('console-log-level')( Config.getLoggerConfig() || { level: 'info' });
-logger.log = logger.info;
+
+
+/*
+ * The logger of the worker, configured by the logger section of conf.json:
+ *   {
+ *     "level":    "info",         // trace, debug, info, warn, error or fatal
+ *     "format":   "text",         // "json" writes one object per line: { time, level, msg, nodeRef, step, stage, runId, err }
+ *     "prefix":   "worker",       // text only, at the start of each line
+ *     "stderr":   false           // everything on stderr, otherwise only warn and above
+ *   }
+ *
+ * What is logged on behalf of a job, see Logger.job(), carries its nodeRef, step, stage and runId, and is
+ * also written to the log file of the job. The credentials are redacted: the fields that look like
+ * passwords, tickets or authorization headers, and the passwords of the configuration wherever they are.
+ */
+const DEFAULT_OPTIONS = {
+    level:      "info",
+    format:     "text",
+    prefix:     null,
+    stderr:     false,
+};
+
+const LEVELS = [ "trace", "debug", "info", "warn", "error", "fatal" ];
+
+const REDACTED = "[REDACTED]";
+const SECRET_KEY = /^auth$|pass(wd|word)?$|secret|token|ticket|authorization|cookie|credential/i;
+const SECRET_TEXT = [
+    [ /(alf_ticket=)[^&\s"':]+/g,                   "$1" + REDACTED ],
+    [ /\b(Basic|Bearer) [A-Za-z0-9+/=._~-]+/g,      "$1 " + REDACTED ],
+    [ /\bTICKET_[0-9a-f]+/g,                        REDACTED ],
+];
+// how deep the objects are looked into
+const MAX_DEPTH = 6;
+
+// the job the current code runs for, if any
+const jobs = new AsyncLocalStorage();
+
+// the same object is kept when the configuration is reloaded, the modules hold a reference to it
+const logger = {};
+var options = DEFAULT_OPTIONS;
+// set by the program itself, see override()
+var overrides = {};
+var secrets = [];
+
+
+function redactText ( text ) {
+    var s = SECRET_TEXT.reduce( (t, [ pattern, replacement ]) => t.replace( pattern, replacement ), text );
+    secrets.forEach( (secret) => { s = s.split( secret ).join( REDACTED ); } );
+    return s;
+}
+
+/**
+ * @return {*} a copy of a value without the credentials
+ */
+function redact ( value, depth, seen ) {
+    if ( typeof value === 'string' ) {
+        return redactText( value );
+    }
+    if ( value === null || typeof value !== 'object' ) {
+        return value;
+    }
+    seen = seen || new WeakSet();
+    depth = depth || 0;
+    if ( seen.has( value ) || depth > MAX_DEPTH ) {
+        return "[...]";
+    }
+    seen.add( value );
+    if ( Buffer.isBuffer( value ) || value instanceof Date ) {
+        return value;
+    }
+    if ( Array.isArray( value ) ) {
+        return value.map( (v) => redact( v, depth + 1, seen ) );
+    }
+    var copy = {};
+    if ( value instanceof Error ) {
+        // the message and the stack are not enumerable
+        copy = Object.setPrototypeOf( new Error( redactText( value.message ) ), Object.getPrototypeOf( value ) );
+        copy.stack = redactText( value.stack || "" );
+    }
+    Object.keys( value ).forEach( (k) => {
+        copy[ k ] = SECRET_KEY.test( k ) && value[ k ] != null ? REDACTED : redact( value[ k ], depth + 1, seen );
+    });
+    return copy;
+}
+
+function errorFields ( err ) {
+    const fields = { name: err.name, message: err.message, stack: err.stack };
+    [ 'code', 'status', 'method', 'url' ].filter( (k) => err[ k ] != null ).forEach( (k) => fields[ k ] = err[ k ] );
+    return fields;
+}
+
+function format ( level, args, job ) {
+    const safe = args.map( (a) => redact( a ) );
+    if ( options.format === 'json' ) {
+        const err = safe.find( (a) => a instanceof Error );
+        const line = {
+            time:   new Date().toISOString(),
+            level:  level,
+            msg:    safe.map( (a) => a instanceof Error ? a.message : typeof a === 'string' ? a : Util.inspect( a, { depth: 4, breakLength: Infinity } ) ).join( " " ),
+        };
+        if ( job ) {
+            Object.assign( line, { nodeRef: job.nodeRef, step: job.step, stage: job.stage, runId: job.runId } );
+        }
+        if ( err ) {
+            line.err = errorFields( err );
+        }
+        return JSON.stringify( line );
+    }
+    const where = job ? "[" + [ job.nodeRef, job.step, job.stage, job.runId ].filter( (v) => v ).join( " " ) + "] " : "";
+    return ( options.prefix ? options.prefix + " " : "" ) + level.toUpperCase() + " " + where + Util.format( ...safe );
+}
+
+function write ( level, args ) {
+    const job = jobs.getStore();
+    const line = format( level, args, job ) + "\n";
+    ( options.stderr || LEVELS.indexOf( level ) >= LEVELS.indexOf( "warn" ) ? process.stderr : process.stdout ).write( line );
+    if ( job && job.logFile ) {
+        writeJobLog( job, line );
+    }
+}
+
+function writeJobLog ( job, line ) {
+    try {
+        if ( job.fd == null ) {
+            Fs.mkdirSync( Path.dirname( job.logFile ), { recursive: true } );
+            job.fd = Fs.openSync( job.logFile, 'w' );
+        }
+        Fs.writeSync( job.fd, line );
+    } catch (err) {
+        // keep running without the file
+        job.logFile = null;
+        process.stderr.write( "Failed to write the log file of " + job.nodeRef + ": " + err.message + "\n" );
+    }
+}
+
+function configure () {
+    options = Object.assign( {}, DEFAULT_OPTIONS, Config.getLoggerConfig(), overrides );
+    const threshold = LEVELS.indexOf( options.level );
+    LEVELS.forEach( (level, i) => {
+        logger[ level ] = i >= threshold ? (...args) => write( level, args ) : () => {};
+    });
+    logger.log = logger.info;
+    // the passwords of the configuration are redacted wherever they show up
+    secrets = [ Config.getAlfrescoConfig(), Config.getActiveMQConfig() ]
+        .map( (c) => c && c.password )
+        .filter( (p) => typeof p === 'string' && p.length >= 4 );
+}
+
+/**
+ * Runs fn on behalf of a job: what is logged meanwhile, even asynchronously, carries the context of the job
+ * @param {object} job - { nodeRef, step, stage, runId, logFile }, they can change afterwards, e.g. the stage;
+ *   the log file is created when the first line is written, see endJob()
+ * @return {*} what fn returns
+ */
+logger.job = function ( job, fn ) {
+    return jobs.run( job, fn );
+};
+
+// closes the log file of a job, what is logged afterwards only goes to the console
+logger.endJob = function ( job ) {
+    if ( job.fd != null ) {
+        Fs.closeSync( job.fd );
+        job.fd = null;
+    }
+    job.logFile = null;
+};
+
+/**
+ * Changes the options of the configuration, they are kept when it's reloaded
+ * @param {object} o - e.g. { stderr: true } for the commands whose result is on stdout
+ */
+logger.override = function ( o ) {
+    Object.assign( overrides, o );
+    configure();
+};
+
+logger.redact = redact;
+
+// the configuration cannot log its own warnings, the logger depends on it
+function warnConfiguration () {
+    Config.getWarnings().forEach( (w) => logger.warn( "configuration: " + w ) );
+}
+
+configure();
+warnConfiguration();
+Config.onReload( () => {
+    configure();
+    warnConfiguration();
+});
+
 module.exports = logger;
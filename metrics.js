@@ -0,0 +1,100 @@
+'use strict';
+
+
+/*
+ * The metrics of the worker, exposed in the Prometheus text format by the status server (see status.js).
+ * Only counters and summaries (a sum and a count) are needed, the values are kept in memory and start
+ * from zero when the worker starts.
+ */
+const METRICS = {
+    jobs_started_total:     { type: 'counter', help: "Jobs claimed and started, per step" },
+    jobs_succeeded_total:   { type: 'counter', help: "Jobs that ended with the DONE status, per step" },
+    jobs_failed_total:      { type: 'counter', help: "Jobs that ended with the FAILED status, per step" },
+    jobs_aborted_total:     { type: 'counter', help: "Jobs that ended with the ABORTED status, per step" },
+    stage_duration_seconds: { type: 'summary', help: "Duration of the stages of the pipelines" },
+    upload_bytes_total:     { type: 'counter', help: "Bytes uploaded to alfresco" },
+    download_bytes_total:   { type: 'counter', help: "Bytes downloaded from alfresco" },
+};
+
+const PREFIX = 'arendel_worker_';
+
+// name -> { labels (serialized) -> value, or { sum, count } for summaries }
+const values = {};
+
+
+function serialize ( labels ) {
+    const keys = Object.keys( labels || {} ).sort();
+    if ( !keys.length ) {
+        return "";
+    }
+    // label values must escape backslashes, double quotes and line feeds
+    return "{" + keys.map( (k) => k + '="' + String( labels[ k ] ).replace( /\\/g, "\\\\" ).replace( /"/g, '\\"' ).replace( /\n/g, "\\n" ) + '"' ).join(",") + "}";
+}
+
+function get ( name ) {
+    if ( !METRICS[ name ] ) {
+        throw new Error("Unknown metric " + name);
+    }
+    return values[ name ] || ( values[ name ] = {} );
+}
+
+
+class Metrics {
+
+    /**
+     * Increments a counter
+     * @param {string} name - one of the keys of METRICS
+     * @param {object} [labels] - e.g. { step: "meshing" }
+     * @param {number} [value] - defaults to 1
+     */
+    static inc ( name, labels, value ) {
+        const series = get( name );
+        const key = serialize( labels );
+        series[ key ] = ( series[ key ] || 0 ) + ( value == null ? 1 : value );
+    }
+
+    /**
+     * Records an observation of a summary
+     */
+    static observe ( name, labels, value ) {
+        const series = get( name );
+        const key = serialize( labels );
+        const s = series[ key ] || ( series[ key ] = { sum: 0, count: 0 } );
+        s.sum += value;
+        s.count++;
+    }
+
+    /**
+     * @param {object[]} [gauges] - values computed at the time of the scrape: { name, help, value, labels }
+     * @return {string} all the metrics in the Prometheus text format
+     */
+    static render ( gauges ) {
+        const lines = [];
+        Object.keys( METRICS ).forEach( (name) => {
+            const m = METRICS[ name ];
+            const series = values[ name ] || {};
+            lines.push( "# HELP " + PREFIX + name + " " + m.help );
+            lines.push( "# TYPE " + PREFIX + name + " " + m.type );
+            Object.keys( series ).forEach( (key) => {
+                if ( m.type === 'summary' ) {
+                    lines.push( PREFIX + name + "_sum" + key + " " + series[ key ].sum );
+                    lines.push( PREFIX + name + "_count" + key + " " + series[ key ].count );
+                } else {
+                    lines.push( PREFIX + name + key + " " + series[ key ] );
+                }
+            });
+        });
+        ( gauges || [] ).forEach( (g) => {
+            lines.push( "# HELP " + PREFIX + g.name + " " + g.help );
+            lines.push( "# TYPE " + PREFIX + g.name + " gauge" );
+            lines.push( PREFIX + g.name + serialize( g.labels ) + " " + g.value );
+        });
+        return lines.join("\n") + "\n";
+    }
+
+    static reset () {
+        Object.keys( values ).forEach( (name) => delete values[ name ] );
+    }
+}
+
+module.exports = Metrics;
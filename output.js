@@ -0,0 +1,101 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+
+const Logger = require('./logger');
+
+
+const DEFAULT_OPTIONS = {
+    tailSize:   256 * 1024,         // how much of each stream is kept in memory, in bytes
+    maxSize:    50 * 1024 * 1024,   // size of a log file before it's rotated, in bytes
+    maxFiles:   5,                  // number of rotated files kept, besides the current one
+};
+
+
+/**
+ * Collects the output of a program: only the tail of stdout and stderr is kept in memory, the
+ * whole output goes to a log file (if any) that is rotated when it gets too big.
+ */
+class OutputLog {
+
+    /**
+     * @param {string} [filename] - the log file, e.g. <studyDir>/logs/simulation.log
+     * @param {object} [options] - see DEFAULT_OPTIONS
+     */
+    constructor ( filename, options ) {
+        this.options = Object.assign( {}, DEFAULT_OPTIONS, options );
+        this.filename = filename;
+        this.tails = { stdout: "", stderr: "" };
+        this.size = 0;
+        this.fd = null;
+        if ( filename ) {
+            try {
+                Fs.mkdirSync( Path.dirname( filename ), { recursive: true } );
+                this.fd = Fs.openSync( filename, 'a' );
+                this.size = Fs.fstatSync( this.fd ).size;
+            } catch (e) {
+                Logger.warn("Cannot write log file " + filename + ":", e.message );
+            }
+        }
+    }
+
+    /**
+     * @param {string} stream - stdout or stderr
+     * @param {string} data
+     */
+    write ( stream, data ) {
+        var tail = this.tails[ stream ] + data;
+        if ( tail.length > this.options.tailSize ) {
+            tail = tail.slice( tail.length - this.options.tailSize );
+        }
+        this.tails[ stream ] = tail;
+
+        if ( this.fd == null ) {
+            return;
+        }
+        try {
+            // stdout and stderr are interleaved in the file, as in a terminal
+            const buffer = Buffer.from( data );
+            if ( this.size + buffer.length > this.options.maxSize ) {
+                this.rotate();
+            }
+            Fs.writeSync( this.fd, buffer );
+            this.size += buffer.length;
+        } catch (e) {
+            Logger.warn("Failed to write log file " + this.filename + ":", e.message );
+        }
+    }
+
+    tail ( stream ) {
+        return this.tails[ stream ];
+    }
+
+    // log -> log.1 -> log.2 ... the oldest one is removed
+    rotate () {
+        Fs.closeSync( this.fd );
+        for ( var i = this.options.maxFiles; i > 0; i-- ) {
+            const from = i > 1 ? this.filename + "." + ( i - 1 ) : this.filename;
+            const to = this.filename + "." + i;
+            if ( Fs.existsSync( from ) ) {
+                Fs.renameSync( from, to );
+            }
+        }
+        if ( !this.options.maxFiles ) {
+            Fs.unlinkSync( this.filename );
+        }
+        this.fd = Fs.openSync( this.filename, 'a' );
+        this.size = 0;
+    }
+
+    close () {
+        if ( this.fd != null ) {
+            Fs.closeSync( this.fd );
+            this.fd = null;
+        }
+    }
+}
+
+OutputLog.DEFAULTS = DEFAULT_OPTIONS;
+
+module.exports = OutputLog;
@@ -0,0 +1,152 @@
+'use strict';
+
+const Config = require('./config');
+const Logger = require('./logger');
+const ConfigurationError = require("./ConfigurationError");
+
+
+/*
+ * The parameters of the programs that engineers may set on the study (meshing) or on the
+ * simulation nodes in Alfresco. Each of them is read from a property of the cfd model and falls
+ * back to its default value when the property is not set.
+ *
+ * The names of the properties below are not taken from the cfd model deployed on Alfresco: set them
+ * to its names in the configuration. A parameter with "required": true fails the task when its
+ * property is not set, rather than running it with a value nobody chose, but only for the steps
+ * whose pipeline uses the parameter.
+ *
+ * Every field can be overridden with the "parameters" entry of the airetd section of conf.json,
+ * e.g. { "airetd": { "parameters": { "np_mesh": { "property": "cfd:nbProcMesh", "required": true, "max": 32 } } } }
+ *
+ * The parameters are available in the pipelines as placeholders, e.g. { opt: "-np_mesh", val: "{np_mesh}" }
+ */
+const DEFAULT_PARAMETERS = {
+    // number of processes used by snappyHexMesh
+    np_mesh:        { node: "study",      property: "cfd:np_mesh",        type: "integer", min: 1, default: 20 },
+    snappy_enable:  { node: "study",      property: "cfd:snappy_enable",  type: "boolean", default: false },
+    // the -n and -s options of the simulation script
+    n:              { node: "simulation", property: "cfd:simulation_n",   type: "integer", min: 1, default: 30 },
+    s:              { node: "simulation", property: "cfd:simulation_s",   type: "number",  min: 0, default: 1.5 },
+};
+
+const TYPES = {
+    integer: (v) => {
+        var n = typeof v === 'string' && v.trim() !== '' ? Number( v ) : v;
+        return Number.isInteger( n ) ? n : undefined;
+    },
+    number: (v) => {
+        var n = typeof v === 'string' && v.trim() !== '' ? Number( v ) : v;
+        return typeof n === 'number' && isFinite( n ) ? n : undefined;
+    },
+    boolean: (v) => {
+        if ( typeof v === 'boolean' ) { return v; }
+        if ( v === 'true' )  { return true; }
+        if ( v === 'false' ) { return false; }
+        return undefined;
+    },
+    string: (v) => typeof v === 'string' ? v : undefined,
+};
+
+
+class Parameters {
+
+    /**
+     * @return {object} the definitions of the parameters, merged with the configuration
+     */
+    static getDefinitions () {
+        const cfg = ( Config.getAiretdConfig() || {} ).parameters || {};
+        const defs = {};
+        Object.keys( DEFAULT_PARAMETERS ).concat( Object.keys( cfg ) ).forEach( (name) => {
+            const def = Object.assign( {}, DEFAULT_PARAMETERS[ name ], cfg[ name ] );
+            if ( !TYPES[ def.type ] ) {
+                throw new ConfigurationError("wrong configuration of parameter " + name + ": unknown type " + def.type);
+            }
+            if ( def.node !== 'study' && def.node !== 'simulation' ) {
+                throw new ConfigurationError("wrong configuration of parameter " + name + ": unknown node " + def.node);
+            }
+            if ( !def.property ) {
+                throw new ConfigurationError("wrong configuration of parameter " + name + ": missing property");
+            }
+            if ( def.default != null && Parameters.convert( def, def.default ) === undefined ) {
+                throw new ConfigurationError("wrong configuration of parameter " + name + ": invalid default value " + def.default);
+            }
+            defs[ name ] = def;
+        });
+        return defs;
+    }
+
+    /**
+     * Converts and validates a value
+     * @return the value, or undefined if it's not valid
+     */
+    static convert ( def, value ) {
+        const v = TYPES[ def.type ]( value );
+        if ( v === undefined ) {
+            return undefined;
+        }
+        if ( ( def.min != null && v < def.min ) || ( def.max != null && v > def.max ) ) {
+            return undefined;
+        }
+        if ( def.values && def.values.indexOf( v ) < 0 ) {
+            return undefined;
+        }
+        return v;
+    }
+
+    /**
+     * Fetches the parameters from the properties of the study and simulation nodes
+     * @param {function} getProperties - returns a promise of the properties of a node, given its nodeRef
+     * @param {object} nodes - the nodeRefs of the nodes, e.g. { study: nodeRef, simulation: simNodeRef }
+     * @param {string[]} [used] - the names of the parameters the pipeline uses, the only ones that may be required
+     * @return {Promise<object>} the values of the parameters, by name
+     */
+    static load ( getProperties, nodes, used ) {
+        var defs;
+        try {
+            defs = Parameters.getDefinitions();
+        } catch (e) {
+            return Promise.reject( e );
+        }
+        const names = Object.keys( defs );
+        const kinds = names.map( (n) => defs[ n ].node ).filter( (k, i, a) => nodes[ k ] && a.indexOf( k ) === i );
+
+        return Promise.all( kinds.map( (k) => getProperties( nodes[ k ] ) ) ).then( (results) => {
+            const props = {};
+            kinds.forEach( (k, i) => props[ k ] = results[ i ] || {} );
+
+            const params = {};
+            const errors = [];
+            names.forEach( (name) => {
+                const def = defs[ name ];
+                // the parameters of the simulation are not used by the other steps
+                if ( !props[ def.node ] ) {
+                    params[ name ] = def.default;
+                    return;
+                }
+                const raw = props[ def.node ][ def.property ];
+                if ( raw == null || raw === '' ) {
+                    if ( def.required && ( !used || used.indexOf( name ) >= 0 ) ) {
+                        errors.push( "missing " + def.property + " on the " + def.node + " (parameter " + name + ", see parameters.js)" );
+                    }
+                    params[ name ] = def.default;
+                    return;
+                }
+                const v = Parameters.convert( def, raw );
+                if ( v === undefined ) {
+                    errors.push( "invalid value of " + def.property + " on the " + def.node + ": " + JSON.stringify( raw ) );
+                    return;
+                }
+                params[ name ] = v;
+            });
+            if ( errors.length ) {
+                throw new Error( errors.join("\n") );
+            }
+            Logger.info("parameters:", JSON.stringify( params ) );
+            return params;
+        });
+    }
+}
+
+Parameters.DEFAULTS = DEFAULT_PARAMETERS;
+
+module.exports = Parameters;
@@ -0,0 +1,283 @@
+'use strict';
+
+const Path = require('path');
+
+const Config = require('./config');
+const Logger = require('./logger');
+const Metrics = require('./metrics');
+const Archive = require('./archive');
+const Analysis = require('./analysis');
+const ConfigurationError = require("./ConfigurationError");
+
+
+/*
+ * A pipeline is the list of actions that are run, in order, once a task has been claimed.
+ * Each action looks like:
+ *   {
+ *     stage:   "meshing",      // optional, the stage reported to alfresco before running the action
+ *     action:  "execute",      // one of the keys of ACTIONS below
+ *     ...                      // the parameters of the action
+ *   }
+ *
+ * Any string may contain placeholders like {nodeId}, {studiesDir} or the name of one of the study's
+ * parameters (see parameters.js), they are replaced before the action runs. {studyDir} and {scriptDir}
+ * are left as-is because Study.execute interpolates them.
+ *
+ * Whether a program run by the "execute" action succeeded is decided by the rules of the program,
+ * see analysis.js. The "checks" of the older configurations are still accepted, but deprecated: each
+ * { pattern, streams, onMatch, message } becomes an error rule applied before those of the program.
+ *
+ * The "publish" and "fetch" actions store and retrieve the archives passed from one stage to the next
+ * (see artifacts.js), so that the stages of a study can run on different workers. With "compress": true,
+ * "publish" produces the archive while uploading it instead of uploading the one of a "compress" action.
+ * The actions that produce archives accept the options of archive.js: format, level, threads, include
+ * and exclude.
+ *
+ * The default pipelines below can be replaced step by step with the "pipelines" entry of the
+ * airetd section of conf.json, e.g. { "airetd": { "pipelines": { "postproc": [ ... ] } } }
+ */
+const DEFAULT_PIPELINES = {
+
+    meshing: [
+        { action: "cleanup" },
+        { action: "setup" },
+        { stage: "download input folder", action: "download", folder: "inputs", archive: "{studiesDir}/{nodeId}.zip" },
+        { stage: "extraction", action: "extract", archive: "{studiesDir}/{nodeId}.zip", folder: "inputs" },
+        { stage: "meshing", action: "execute", program: "preproc", args: [
+            { opt: "-p_working",     val: "{studyDir}",                  type: "d" },
+            { opt: "-p_config",      val: "{scriptDir}/computationDict", type: "f" },
+            { opt: "-np_mesh",       val: "{np_mesh}"       },
+            { opt: "-snappy_enable", val: "{snappy_enable}" }
+        ]},
+        { stage: "upload", action: "publish", name: "meshing", compress: true }
+    ],
+
+    simulation: [
+        { action: "cleanup" },
+        { stage: "download", action: "fetch", name: "meshing" },
+        { stage: "uncompress", action: "uncompress", name: "meshing" },
+        { stage: "simulation", action: "execute", program: "simulation", args: [
+            { opt: "-p", val: "{studyDir}", type: "d" },
+            { opt: "-e", val: "{nodeId}"  },
+            { opt: "-n", val: "{n}"       },
+            { opt: "-s", val: "{s}"       }
+        ]},
+        { stage: "uploading", action: "publish", name: "simulation", compress: true }
+    ],
+
+    postproc: [
+        { action: "cleanup" },
+        { stage: "download", action: "fetch", name: "simulation" },
+        { stage: "uncompress", action: "uncompress", name: "simulation" },
+        { action: "download", folder: "postprocInputs", archive: "{studiesDir}/{nodeId}-postprocInputs.zip" },
+        { stage: "extraction", action: "extract", archive: "{studiesDir}/{nodeId}-postprocInputs.zip", folder: "postprocInputs" },
+        { stage: "emiCalc", action: "execute", program: "emiCalc", workDir: "{scriptDir}", args: [
+            { opt: "-p_input",  val: "{studyDir}",         type: "d" },
+            { opt: "-p_output", val: "{studyDir}/emiCalc", type: "d", createIfMissing: true }
+        ]},
+        { stage: "meanAndConcat", action: "execute", program: "meanAndConcat", args: [
+            { opt: "-p_working", val: "{studyDir}",                type: "d" },
+            { opt: "-p_output",  val: "{studyDir}/probes_treated", type: "d", createIfMissing: true }
+        ]},
+        { stage: "probesMeanYear", action: "execute", program: "probesMeanYear", args: [
+            { opt: "-p_working",        val: "{studyDir}",                    type: "d" },
+            { opt: "-p_probes_treated", val: "{studyDir}/probes_treated",     type: "d" },
+            { opt: "-p_freq",           val: "{studyDir}/frequencesVent",     type: "f" },
+            { opt: "-p_sigmo",          val: "{studyDir}/parametresSigmoide", type: "f" },
+            { opt: "-p_config",         val: "{scriptDir}/config",            type: "f" }
+        ]},
+        { stage: "polluant", action: "execute", program: "polluant", args: [
+            { opt: "-p_scale",        val: "{studyDir}/settings_for_images", type: "f" },
+            { opt: "-p_logo",         val: "{scriptDir}/Logo_airetd.png",    type: "f" },
+            { opt: "-p_treated_data", val: "{studyDir}/probes_treated",      type: "d" }
+        ]},
+        // the results keep the name and the format their users know
+        { stage: "compress", action: "compress", name: "postproc", format: "7z", files: [
+            { val: "{studyDir}/emiCalc",        type: "d" },
+            { val: "{studyDir}/probes_treated", type: "d" }
+        ]},
+        { stage: "uploading", action: "upload", name: "final-results.7z", relativePath: "${cfd.postproc}", type: "cfd:postproc_result" }
+    ]
+};
+
+// the implementation of each action, they all return a promise (or a value)
+const ACTIONS = {
+    cleanup:    (study)         => study.cleanup(),
+    setup:      (study)         => study.setup(),
+    download:   (study, a)      => study.downloadFolder( a.folder, a.archive ),
+    extract:    (study, a)      => study.extract( a.archive, a.folder ),
+    uncompress: (study, a)      => study.uncompress( a.name ),
+    execute:    (study, a)      => study.execute( a.program, a.args || [], a.workDir, a.rules ),
+    compress:   (study, a)      => study.compress( a.name, a.files, archiveOptions( a ) ),
+    publish:    (study, a)      => study.publishArtifact( a.name, a.compress ? archiveOptions( a ) : null, a.files ),
+    fetch:      (study, a)      => study.fetchArtifact( a.name ),
+    upload:     (study, a, ctx) => study.uploadResult( a.name, a.file || ctx.archive, a.relativePath, a.type ),
+};
+
+// the options of archive.js set on an action
+function archiveOptions ( a ) {
+    const options = {};
+    [ 'format', 'level', 'threads', 'include', 'exclude' ].forEach( (k) => {
+        if ( a[ k ] !== undefined ) {
+            options[ k ] = a[ k ];
+        }
+    });
+    return options;
+}
+
+// the deprecated "checks" of an execute action, as error rules
+function checkRules ( a ) {
+    return {
+        errors: [].concat( a.checks ).map( (c) => Object.assign( {}, c, {
+            code:       "CHECK_FAILED",
+            message:    ( c && c.message ) || "{program} failed.",
+        })),
+    };
+}
+
+
+function interpolate ( value, vars ) {
+    if ( typeof value === 'string' ) {
+        // a value that is only a placeholder keeps the type of the variable
+        var m = value.match( /^\{(\w+)\}$/ );
+        if ( m && vars[ m[1] ] != null ) {
+            return vars[ m[1] ];
+        }
+        return value.replace( /\{(\w+)\}/g, (placeholder, name) => vars[ name ] != null ? vars[ name ] : placeholder );
+    }
+    if ( Array.isArray( value ) ) {
+        return value.map( (v) => interpolate( v, vars ) );
+    }
+    if ( value && typeof value === 'object' ) {
+        var res = {};
+        Object.keys( value ).forEach( (k) => res[ k ] = interpolate( value[ k ], vars ) );
+        return res;
+    }
+    return value;
+}
+
+// the names of the placeholders found in a value
+function placeholders ( value, names ) {
+    if ( typeof value === 'string' ) {
+        ( value.match( /\{\w+\}/g ) || [] ).map( (p) => p.slice( 1, -1 ) ).forEach( (name) => names.add( name ) );
+    } else if ( value && typeof value === 'object' ) {
+        Object.keys( value ).forEach( (k) => placeholders( value[ k ], names ) );
+    }
+    return names;
+}
+
+
+class Pipeline {
+
+    /**
+     * @param {string} name - the name of the pipeline, ie. the study's step
+     * @param {object[]} actions - the list of actions to run
+     */
+    constructor ( name, actions ) {
+        this.name = name;
+        Pipeline.validate( name, actions );
+        this.actions = actions.map( (a) => {
+            if ( !a.checks ) {
+                return a;
+            }
+            Logger.warn("pipeline " + name + ": the checks of " + a.program + " are deprecated, set them with the rules of the program instead (see analysis.js)");
+            const res = Object.assign( {}, a, { rules: checkRules( a ) } );
+            delete res.checks;
+            return res;
+        });
+    }
+
+    /**
+     * Builds the pipeline of a step from the configuration, or from the defaults
+     * @param {string} name - the study's step
+     */
+    static load ( name ) {
+        const cfg = Config.getAiretdConfig() || {};
+        const actions = ( cfg.pipelines && cfg.pipelines[ name ] ) || DEFAULT_PIPELINES[ name ];
+        if ( !actions ) {
+            throw new ConfigurationError("no pipeline defined for step " + name);
+        }
+        return new Pipeline( name, actions );
+    }
+
+    static validate ( name, actions ) {
+        if ( !Array.isArray( actions ) ) {
+            throw new ConfigurationError("wrong configuration of pipeline " + name + ": a list of actions is expected");
+        }
+        actions.forEach( (a, i) => {
+            const where = "wrong configuration of pipeline " + name + " (action #" + i + "): ";
+            if ( !a || !ACTIONS[ a.action ] ) {
+                throw new ConfigurationError( where + "unknown action " + ( a && a.action ) );
+            }
+            if ( a.action === 'execute' && !a.program ) {
+                throw new ConfigurationError( where + "missing program" );
+            }
+            if ( ( a.action === 'download' || a.action === 'extract' ) && !a.archive ) {
+                throw new ConfigurationError( where + "missing archive" );
+            }
+            if ( a.format && !Archive.extension( a.format ) ) {
+                throw new ConfigurationError( where + "unknown archive format " + a.format );
+            }
+            if ( a.checks ) {
+                if ( a.action !== 'execute' ) {
+                    throw new ConfigurationError( where + "checks only apply to the execute action" );
+                }
+                Analysis.validate( a.program, checkRules( a ) );
+            }
+        });
+    }
+
+    /**
+     * @return {string[]} the names of the placeholders of the actions, e.g. the parameters they use
+     */
+    placeholders () {
+        return Array.from( placeholders( this.actions, new Set() ) );
+    }
+
+    /**
+     * Runs all the actions of the pipeline for the given study.
+     * The study must have claimed its task beforehand: the stages are reported through study.updateTask()
+     * and the output of the programs is saved in study.task
+     * @param {Study} study
+     */
+    run ( study ) {
+        const vars = Object.assign( {}, study.params, {
+            nodeId:     study.nodeId,
+            nodeRef:    study.nodeRef,
+            studiesDir: Path.resolve( Config.getStudiesDir() ),
+            runId:      study.task.runId,
+        });
+        const ctx = { archive: null };
+
+        return this.actions.reduce( (promise, action) => promise.then( () => {
+            // stop between two actions if the task was aborted
+            study.token.throwIfCancelled();
+            const a = interpolate( action, vars );
+            Logger.debug("pipeline", this.name, "action:", a.action, "stage:", a.stage );
+            const start = Date.now();
+            const observe = () => Metrics.observe( 'stage_duration_seconds', { step: this.name, stage: a.stage || a.action }, ( Date.now() - start ) / 1000 );
+            var usage = null;
+            return Promise.resolve( a.stage ? study.updateTask( a.stage ) : null )
+                .then( () => study.usage && study.usage.begin( a.stage || a.action, a.action ) )
+                .then( (entry) => { usage = entry; } )
+                .then( () => ACTIONS[ a.action ]( study, a, ctx ) )
+                .then( (result) => {
+                    if ( a.action === 'compress' ) {
+                        ctx.archive = result;
+                    }
+                    if ( a.action === 'execute' ) {
+                        study.task.stdout = result.stdout;
+                        study.task.stderr = result.stderr;
+                    }
+                })
+                .finally( () => {
+                    observe();
+                    return usage && study.usage.end( usage );
+                });
+        }), Promise.resolve() );
+    }
+}
+
+Pipeline.DEFAULTS = DEFAULT_PIPELINES;
+
+module.exports = Pipeline;
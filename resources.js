@@ -0,0 +1,261 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+const { execFileSync } = require('child_process');
+
+const Logger = require('./logger');
+
+
+// how often the processes of a program are sampled, in milliseconds.
+// It's set by the "resources" entry of the airetd section of conf.json: { "sampleInterval": 5000 }
+const SAMPLE_INTERVAL = 5000;
+
+var clockTicks = null;
+
+// the number of clock ticks per second, the unit of the cpu times in /proc
+function getClockTicks () {
+    if ( clockTicks == null ) {
+        try {
+            clockTicks = parseInt( execFileSync( 'getconf', [ 'CLK_TCK' ] ).toString(), 10 ) || 100;
+        } catch (e) {
+            clockTicks = 100;
+        }
+    }
+    return clockTicks;
+}
+
+/**
+ * @return {object} { pgrp, cpu } where cpu is the user + system time in ticks, or null if the process is gone
+ */
+function readStat ( pid ) {
+    try {
+        const stat = Fs.readFileSync( '/proc/' + pid + '/stat' ).toString();
+        // the command name may contain spaces, the fields we want come after its closing parenthesis
+        const fields = stat.slice( stat.lastIndexOf( ')' ) + 2 ).split( ' ' );
+        // utime and stime, then cutime and cstime: the time of the children it has waited for
+        return {
+            ppid:   parseInt( fields[1], 10 ),
+            pgrp:   parseInt( fields[2], 10 ),
+            cpu:    fields.slice( 11, 15 ).reduce( (sum, f) => sum + parseInt( f, 10 ), 0 ),
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+// the resident set size of a process, in bytes
+function readRss ( pid ) {
+    try {
+        const m = Fs.readFileSync( '/proc/' + pid + '/status' ).toString().match( /^VmRSS:\s+(\d+) kB/m );
+        return m ? parseInt( m[1], 10 ) * 1024 : 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
+
+/**
+ * Samples the processes of a process group (a program and everything it started) to measure the cpu
+ * time and the peak memory they use. These are samples, but the cpu time of a process that is gone is
+ * counted in the one that waited for it, e.g. the solvers in the script that started them.
+ */
+class ProcessGroupMonitor {
+
+    constructor ( pgid, interval ) {
+        this.pgid = pgid;
+        this.startTime = Date.now();
+        this.endTime = null;
+        // pid -> the last cpu time seen, in ticks
+        this.cpu = {};
+        // pid -> its parent
+        this.parents = {};
+        this.peakRss = 0;
+        this.available = Fs.existsSync( '/proc/self/stat' );
+        this.timer = null;
+        if ( this.available && pgid ) {
+            this.sample();
+            this.timer = setInterval( () => this.sample(), interval || SAMPLE_INTERVAL );
+            this.timer.unref();
+        }
+    }
+
+    sample () {
+        var rss = 0;
+        var pids;
+        try {
+            pids = Fs.readdirSync( '/proc' ).filter( (name) => /^\d+$/.test( name ) );
+        } catch (e) {
+            return;
+        }
+        const alive = {};
+        pids.forEach( (pid) => {
+            const stat = readStat( pid );
+            if ( !stat || stat.pgrp !== this.pgid ) {
+                return;
+            }
+            alive[ pid ] = true;
+            this.cpu[ pid ] = Math.max( this.cpu[ pid ] || 0, stat.cpu );
+            this.parents[ pid ] = String( stat.ppid );
+            rss += readRss( pid );
+        });
+        // a process that is gone while its parent is still there has been waited for by its parent,
+        // its time is in the parent's now
+        Object.keys( this.cpu ).forEach( (pid) => {
+            if ( !alive[ pid ] && alive[ this.parents[ pid ] ] ) {
+                delete this.cpu[ pid ];
+                delete this.parents[ pid ];
+            }
+        });
+        this.peakRss = Math.max( this.peakRss, rss );
+    }
+
+    /**
+     * @return {object} { wallTime (s), cpuTime (s), peakRss (bytes) }, cpuTime and peakRss are null when /proc is not available
+     */
+    stop () {
+        if ( this.endTime == null ) {
+            clearInterval( this.timer );
+            this.endTime = Date.now();
+        }
+        const ticks = Object.keys( this.cpu ).reduce( (sum, pid) => sum + this.cpu[ pid ], 0 );
+        return {
+            wallTime:   ( this.endTime - this.startTime ) / 1000,
+            cpuTime:    this.available ? ticks / getClockTicks() : null,
+            peakRss:    this.available ? this.peakRss : null,
+        };
+    }
+}
+
+
+/**
+ * @return {Promise<number>} the size of the files of a directory, in bytes, 0 if it doesn't exist
+ */
+async function diskUsage ( dir ) {
+    var total = 0;
+    var entries;
+    try {
+        entries = await Fs.promises.readdir( dir, { withFileTypes: true } );
+    } catch (e) {
+        return 0;
+    }
+    for ( const entry of entries ) {
+        const p = Path.join( dir, entry.name );
+        if ( entry.isDirectory() ) {
+            total += await diskUsage( p );
+        } else {
+            try {
+                total += ( await Fs.promises.lstat( p ) ).size;
+            } catch (e) {
+                // removed in the meantime
+            }
+        }
+    }
+    return total;
+}
+
+
+/**
+ * The resources used by the stages of a task: wall time, disk usage of the study directory before and
+ * after each stage, and the programs run and the archives produced during each stage.
+ */
+class Usage {
+
+    /**
+     * @param {string} dir - the study directory
+     */
+    constructor ( dir ) {
+        this.dir = dir;
+        this.stages = [];
+        this.current = null;
+    }
+
+    /**
+     * @return {Promise<object>} the entry of the stage
+     */
+    begin ( stage, action ) {
+        const entry = {
+            stage:      stage,
+            action:     action,
+            startedAt:  new Date().toISOString(),
+            wallTime:   null,
+            diskBefore: null,
+            diskAfter:  null,
+            programs:   [],
+            archives:   [],
+        };
+        this.stages.push( entry );
+        this.current = entry;
+        entry.start = Date.now();
+        return diskUsage( this.dir ).then( (size) => {
+            entry.diskBefore = size;
+            return entry;
+        });
+    }
+
+    end ( entry ) {
+        entry.wallTime = ( Date.now() - entry.start ) / 1000;
+        delete entry.start;
+        if ( this.current === entry ) {
+            this.current = null;
+        }
+        return diskUsage( this.dir ).then( (size) => {
+            entry.diskAfter = size;
+        });
+    }
+
+    /**
+     * @param {object} program - { program, wallTime, cpuTime, peakRss }
+     */
+    addProgram ( program ) {
+        if ( this.current ) {
+            this.current.programs.push( program );
+        }
+    }
+
+    addArchive ( filename ) {
+        if ( this.current && Fs.existsSync( filename ) ) {
+            this.current.archives.push({ name: Path.basename( filename ), size: Fs.statSync( filename ).size });
+        }
+    }
+
+    /**
+     * @return {object} the stages and the totals
+     */
+    summary () {
+        const programs = [].concat.apply( [], this.stages.map( (s) => s.programs ) );
+        return {
+            stages: this.stages,
+            totals: {
+                wallTime:       this.stages.reduce( (sum, s) => sum + ( s.wallTime || 0 ), 0 ),
+                cpuTime:        programs.reduce( (sum, p) => sum + ( p.cpuTime || 0 ), 0 ),
+                peakRss:        programs.reduce( (max, p) => Math.max( max, p.peakRss || 0 ), 0 ),
+                archiveSize:    this.stages.reduce( (sum, s) => sum + s.archives.reduce( (t, a) => t + a.size, 0 ), 0 ),
+                diskUsage:      this.stages.reduce( (max, s) => Math.max( max, s.diskBefore || 0, s.diskAfter || 0 ), 0 ),
+            },
+        };
+    }
+
+    /**
+     * Adds the summary of a step to a JSON report, the report keeps the last run of each step
+     */
+    static writeReport ( filename, step, report ) {
+        var content = {};
+        try {
+            if ( Fs.existsSync( filename ) ) {
+                content = JSON.parse( Fs.readFileSync( filename ) );
+            }
+        } catch (e) {
+            Logger.warn("Overwriting invalid report", filename );
+        }
+        content[ step ] = report;
+        const tmp = filename + ".tmp";
+        Fs.writeFileSync( tmp, JSON.stringify( content, null, 2 ) );
+        Fs.renameSync( tmp, filename );
+    }
+}
+
+Usage.ProcessGroupMonitor = ProcessGroupMonitor;
+Usage.diskUsage = diskUsage;
+
+module.exports = Usage;
@@ -0,0 +1,121 @@
+'use strict';
+
+const Fs = require('fs');
+const Os = require('os');
+
+const Config = require('./config');
+const Logger = require('./logger');
+
+
+/*
+ * The results of a run, e.g. final-results.7z, are uploaded with the metadata of the run so that one can
+ * tell which run produced which archive: its runId, the worker, when it started and ended, the versions of
+ * the programs and the parameters. cm:description has them all as JSON, and the comment of the version
+ * sums them up.
+ *
+ * It's configured with the "results" entry of the airetd section of conf.json:
+ *   {
+ *     "versioned":    true,           // each run adds a version to the same document, otherwise each run has
+ *                                     // its own document named after the runId, e.g. final-results-<runId>.7z
+ *     "log":          true,           // the log of the task is uploaded next to the results, e.g. final-results.log
+ *     "properties":   {               // where the metadata are also stored, if the model has properties for them
+ *       "runId":          "cfd:runid",
+ *       "hostname":       "cfd:worker",
+ *       "startedAt":      "cfd:start_date",
+ *       ...                           // step, endedAt, programs and parameters, the last two as JSON
+ *     }
+ *   }
+ */
+const DEFAULT_OPTIONS = {
+    versioned:      true,
+    log:            true,
+    properties:     {},
+};
+
+
+class Results {
+
+    /**
+     * @param {Arendel|LocalBackend} backend - where the results are stored
+     */
+    constructor ( backend ) {
+        this.backend = backend;
+        this.options = Object.assign( {}, DEFAULT_OPTIONS, ( Config.getAiretdConfig() || {} ).results );
+    }
+
+    /**
+     * @return {object} the metadata of the current run of a study, the run ends when its results are uploaded
+     */
+    static metadata ( study ) {
+        return {
+            runId:      study.task.runId,
+            step:       study.step,
+            hostname:   Os.hostname(),
+            startedAt:  new Date( study.startedAt ).toISOString(),
+            endedAt:    new Date().toISOString(),
+            programs:   study.programs,
+            parameters: study.params,
+        };
+    }
+
+    /**
+     * @param {object} mapping - the property of each metadata, see DEFAULT_OPTIONS
+     * @return {object} the properties of the document
+     */
+    static properties ( name, metadata, mapping ) {
+        const properties = {
+            "cm:title":         name + " (run " + metadata.runId + ")",
+            "cm:description":   JSON.stringify( metadata ),
+        };
+        Object.keys( mapping || {} ).filter( (k) => mapping[ k ] ).forEach( (k) => {
+            const value = metadata[ k ];
+            properties[ mapping[ k ] ] = value !== null && typeof value === 'object' ? JSON.stringify( value ) : value;
+        });
+        return properties;
+    }
+
+    // e.g. final-results.7z -> final-results-<runId>.7z
+    static runName ( name, runId ) {
+        const m = name.match( /^([^.]*)(.*)$/ );
+        return m[1] + "-" + runId + m[2];
+    }
+
+    /**
+     * Uploads the results of the current run of a study, and the log of the task if configured
+     * @param {string} name - the name of the document, e.g. final-results.7z
+     * @param {string} filename - the local file
+     * @return {Promise<object>} the document: { id, size, version }
+     */
+    publish ( study, name, filename, relativePath, type ) {
+        const metadata = Results.metadata( study );
+        return this.upload( study, metadata, name, filename, relativePath, type )
+            .then( (doc) => {
+                const log = study.job && study.job.logFile;
+                if ( !this.options.log || !log || !Fs.existsSync( log ) ) {
+                    return doc;
+                }
+                // e.g. final-results.log, the log goes on while it's uploaded so the size is what is checked
+                return this.upload( study, metadata, name.match( /^[^.]*/ )[0] + ".log", log, relativePath, null, { verify: 'size' } )
+                    .catch( (err) => Logger.warn("Failed to upload the log of the task:", err ) )
+                    .then( () => doc );
+            });
+    }
+
+    upload ( study, metadata, name, filename, relativePath, type, options ) {
+        const opts = Object.assign( {
+            token:      study.token,
+            properties: Results.properties( name, metadata, this.options.properties ),
+        }, options );
+        if ( !this.options.versioned ) {
+            return this.backend.upload( study.nodeId, Results.runName( name, metadata.runId ), filename, relativePath, type, opts );
+        }
+        opts.version = {
+            comment:    "run " + metadata.runId + " of " + metadata.step + " on " + metadata.hostname + ", from " + metadata.startedAt + " to " + metadata.endedAt,
+        };
+        return this.backend.upload( study.nodeId, name, filename, relativePath, type, opts );
+    }
+}
+
+Results.DEFAULTS = DEFAULT_OPTIONS;
+
+module.exports = Results;
@@ -0,0 +1,61 @@
+'use strict';
+
+const Logger = require('./logger');
+
+
+const DEFAULT_POLICY = {
+    delay:      1000,       // delay before the first retry, in milliseconds
+    factor:     2,          // the delay is multiplied by this factor after each retry
+    maxDelay:   15000,      // upper bound of the delay between two attempts
+    deadline:   60000,      // no attempt is started after this amount of time
+};
+
+
+function sleep ( ms ) {
+    return new Promise( (resolve) => setTimeout( resolve, ms ) );
+}
+
+/**
+ * Calls fn until it succeeds with a result that is not to be retried, with an exponential backoff
+ * between the attempts.
+ * @param {function} fn - returns a promise, it's called with the number of the attempt (starting at 1)
+ * @param {object} [policy] - see DEFAULT_POLICY, plus:
+ * @param {function} [policy.retryOnError] - (error) => boolean, whether a failure is worth retrying
+ * @param {function} [policy.retryOnResult] - (result) => boolean, whether a result means "not ready yet"
+ * @param {string} [policy.name] - used in the logs
+ * @return {Promise} the first result that is not retried, or the last one once the deadline is reached
+ */
+function retry ( fn, policy ) {
+    const p = Object.assign( {}, DEFAULT_POLICY, policy );
+    const start = Date.now();
+    var delay = p.delay;
+    var attempt = 0;
+
+    function next () {
+        attempt++;
+        return Promise.resolve()
+            .then( () => fn( attempt ) )
+            .then(
+                (result) => ( p.retryOnResult && p.retryOnResult( result ) ) ? again( null, result ) : result,
+                (error)  => ( p.retryOnError  && p.retryOnError( error ) )   ? again( error ) : Promise.reject( error )
+            );
+    }
+
+    function again ( error, result ) {
+        const wait = Math.min( delay, p.maxDelay );
+        if ( Date.now() - start + wait > p.deadline ) {
+            Logger.warn( ( p.name || "operation" ) + ": giving up after " + attempt + " attempts" );
+            return error ? Promise.reject( error ) : result;
+        }
+        Logger.info( ( p.name || "operation" ) + ": not ready yet (" + ( error ? error.message : "attempt " + attempt ) + "), retrying in " + wait + "ms" );
+        delay *= p.factor;
+        return sleep( wait ).then( next );
+    }
+
+    return next();
+}
+
+retry.DEFAULT_POLICY = DEFAULT_POLICY;
+retry.sleep = sleep;
+
+module.exports = retry;
@@ -0,0 +1,134 @@
+'use strict';
+
+const Os = require('os');
+
+const Config = require('./config');
+const Logger = require('./logger');
+
+
+/*
+ * The scheduler limits the number of jobs that run at the same time on this worker and the number of
+ * cores they use. It's configured with the "scheduler" entry of the worker section of conf.json:
+ *   {
+ *     "maxJobs":  2,                                   // maximum number of jobs running at the same time
+ *     "cores":    32,                                  // core budget, defaults to the number of cpus
+ *     "steps":    { "meshing": 20, "simulation": 30 }  // cores used by a job of each step
+ *   }
+ * The jobs that cannot start right away wait in a FIFO queue. A job that needs more cores than the
+ * whole budget is allowed to run, but alone.
+ */
+const DEFAULT_STEP_CORES = {
+    meshing:    20,
+    simulation: 30,
+    postproc:   1,
+};
+
+
+class Scheduler {
+
+    constructor ( options ) {
+        const opts = options || {};
+        this.maxJobs = opts.maxJobs || 2;
+        this.cores = opts.cores || Os.cpus().length;
+        this.stepCores = Object.assign( {}, DEFAULT_STEP_CORES, opts.steps );
+        this.running = [];
+        this.queue = [];
+    }
+
+    static fromConfig () {
+        return new Scheduler( Config.getWorkerConfig().scheduler );
+    }
+
+    usedCores () {
+        return this.running.reduce( (sum, job) => sum + job.cores, 0 );
+    }
+
+    canStart ( job ) {
+        if ( this.running.length === 0 ) {
+            return true;
+        }
+        return this.running.length < this.maxJobs && this.usedCores() + job.cores <= this.cores;
+    }
+
+    /**
+     * Submits a job
+     * @param {object} job
+     * @param {string} job.id - identifies the job, only one job with a given id can be scheduled at a time
+     * @param {string} job.step - the study's step, used to determine how many cores the job needs
+     * @param {function} job.run - starts the job, returns a promise
+     * @param {function} [job.onQueued] - called with the (1-based) position of the job in the queue, each time it changes
+     * @return {Promise} settled when the job is done
+     */
+    submit ( job ) {
+        if ( this.find( job.id ) ) {
+            return Promise.reject( new Error("Job " + job.id + " already scheduled") );
+        }
+        return new Promise( (resolve, reject) => {
+            const j = Object.assign( {}, job, {
+                cores:      this.stepCores[ job.step ] || 1,
+                resolve:    resolve,
+                reject:     reject,
+                position:   null,
+            });
+            this.queue.push( j );
+            this.schedule();
+        });
+    }
+
+    /**
+     * Removes a job that is waiting in the queue
+     * @param {string} id - the id of the job
+     * @param {string} [step] - the step of the job, the job of another step is left in the queue
+     * @return {object} the job, or null if it's not waiting
+     */
+    cancel ( id, step ) {
+        const idx = this.queue.findIndex( (j) => j.id === id && ( !step || j.step === step ) );
+        if ( idx < 0 ) {
+            return null;
+        }
+        const job = this.queue.splice( idx, 1 )[0];
+        job.reject( new Error("Job " + id + " cancelled while waiting") );
+        this.schedule();
+        return job;
+    }
+
+    find ( id ) {
+        return this.running.find( (j) => j.id === id ) || this.queue.find( (j) => j.id === id ) || null;
+    }
+
+    schedule () {
+        // strict FIFO: a job never overtakes the ones that were queued before it
+        while ( this.queue.length && this.canStart( this.queue[0] ) ) {
+            this.start( this.queue.shift() );
+        }
+        this.queue.forEach( (job, idx) => {
+            if ( job.position === idx + 1 ) {
+                return;
+            }
+            job.position = idx + 1;
+            Logger.info("Job", job.id, "waiting, position in queue:", job.position );
+            if ( job.onQueued ) {
+                Promise.resolve()
+                    .then( () => job.onQueued( job.position ) )
+                    .catch( (err) => Logger.error("Failed to report queued job " + job.id + ":", err) );
+            }
+        });
+    }
+
+    start ( job ) {
+        Logger.info("Starting job", job.id, "cores:", job.cores, "running:", this.running.length + 1 );
+        this.running.push( job );
+        const done = () => {
+            this.running.splice( this.running.indexOf( job ), 1 );
+            this.schedule();
+        };
+        Promise.resolve()
+            .then( () => job.run() )
+            .then(
+                (res) => { done(); job.resolve( res ); },
+                (err) => { done(); job.reject( err ); }
+            );
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,127 @@
+'use strict';
+
+const Http = require('http');
+
+const Logger = require('./logger');
+const Metrics = require('./metrics');
+
+
+/*
+ * An optional HTTP server that tells what the worker is doing, for monitoring. It's enabled with the
+ * "http" entry of the worker section of conf.json:
+ *   {
+ *     "port":     9102,
+ *     "host":     "127.0.0.1"      // the address to listen on, defaults to localhost only
+ *   }
+ *
+ * GET /health   the connectivity to the broker and to alfresco, 503 when one of them is down
+ * GET /jobs     the running jobs, with their step, stage, pid and elapsed time, and the queued ones
+ * GET /metrics  the metrics in the Prometheus text format, see metrics.js
+ */
+const DEFAULT_OPTIONS = {
+    host:       "127.0.0.1",
+    // how long /health waits for alfresco, in milliseconds
+    timeout:    5000,
+};
+
+
+class StatusServer {
+
+    /**
+     * @param {object} options - see DEFAULT_OPTIONS
+     * @param {object} probes - where the information comes from
+     * @param {function} probes.broker - () => boolean, whether the worker is connected to the broker
+     * @param {function} probes.alfresco - () => Promise, resolved if alfresco is reachable
+     * @param {function} probes.jobs - () => { running: [...], queued: [...] }
+     */
+    constructor ( options, probes ) {
+        this.options = Object.assign( {}, DEFAULT_OPTIONS, options );
+        this.probes = probes;
+        this.server = null;
+    }
+
+    /**
+     * @return {Promise} resolved once the server listens
+     */
+    start () {
+        this.server = Http.createServer( (req, res) => this.handle( req, res ) );
+        return new Promise( (resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen( this.options.port, this.options.host, () => {
+                this.server.removeListener('error', reject);
+                this.server.on('error', (err) => Logger.error("Status server error:", err ) );
+                Logger.info("status server listening on", this.options.host + ":" + this.server.address().port );
+                resolve( this );
+            });
+        });
+    }
+
+    stop () {
+        return new Promise( (resolve) => this.server ? this.server.close( () => resolve() ) : resolve() );
+    }
+
+    handle ( req, res ) {
+        const path = req.url.split('?')[0];
+        if ( req.method !== 'GET' ) {
+            return this.send( res, 405, { error: "method not allowed" } );
+        }
+        var result;
+        switch ( path ) {
+        case '/health':
+            result = this.health().then( (h) => this.send( res, h.status === 'ok' ? 200 : 503, h ) );
+            break;
+
+        case '/jobs':
+            result = Promise.resolve( this.probes.jobs() ).then( (jobs) => this.send( res, 200, jobs ) );
+            break;
+
+        case '/metrics':
+            result = Promise.resolve( this.probes.jobs() ).then( (jobs) => {
+                res.writeHead( 200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' } );
+                res.end( Metrics.render([
+                    { name: "jobs_running",     help: "Jobs currently running",               value: jobs.running.length },
+                    { name: "jobs_queued",      help: "Jobs waiting for a slot on the worker", value: jobs.queued.length },
+                    { name: "broker_connected", help: "1 if the worker is connected to the broker", value: this.probes.broker() ? 1 : 0 },
+                    { name: "oldest_job_seconds", help: "Elapsed time of the oldest running job",
+                      value: jobs.running.reduce( (max, j) => Math.max( max, j.elapsed ), 0 ) },
+                ]) );
+            });
+            break;
+
+        default:
+            result = Promise.resolve( this.send( res, 404, { error: "not found" } ) );
+        }
+        result.catch( (err) => {
+            Logger.error("Status server failed to handle", path, ":", err );
+            this.send( res, 500, { error: err.message } );
+        });
+    }
+
+    health () {
+        const broker = { connected: !!this.probes.broker() };
+        var timer;
+        const timeout = new Promise( (resolve, reject) => {
+            timer = setTimeout( () => reject( new Error("no answer after " + this.options.timeout + "ms") ), this.options.timeout );
+        });
+        return Promise.race([ Promise.resolve().then( () => this.probes.alfresco() ), timeout ])
+            .then( () => ({ reachable: true }), (err) => ({ reachable: false, error: err.message }) )
+            .then( (alfresco) => {
+                clearTimeout( timer );
+                return {
+                    status:     broker.connected && alfresco.reachable ? 'ok' : 'error',
+                    broker:     broker,
+                    alfresco:   alfresco,
+                };
+            });
+    }
+
+    send ( res, status, body ) {
+        if ( res.headersSent ) {
+            return;
+        }
+        res.writeHead( status, { 'Content-Type': 'application/json' } );
+        res.end( JSON.stringify( body, null, 2 ) );
+    }
+}
+
+module.exports = StatusServer;
@@ -2,15 +2,33 @@
 
 const Path = require('path');
 const Fs = require("fs");
-const Unzipper = require('unzipper');
+const Os = require('os');
+const Crypto = require('crypto');
 const { spawn } = require('child_process')
 
 const Config = require('./config');
 const Logger = require('./logger');
 const ConfigurationError = require("./ConfigurationError");
-
-const Arendel = require('./arendel');
-const arendel = new Arendel( Config.getAlfrescoConfig() );
+const Pipeline = require('./pipeline');
+const Analysis = require('./analysis');
+const Parameters = require('./parameters');
+const Journal = require('./journal');
+const OutputLog = require('./output');
+const Throttle = require('./throttle');
+const Metrics = require('./metrics');
+const Usage = require('./resources');
+const Archive = require('./archive');
+const Extraction = require('./extraction');
+const CancellationToken = require('./cancellation');
+const AbortedError = require("./AbortedError");
+const ExtractionError = require("./ExtractionError");
+
+// alfresco, or a local directory, see backend.js
+const arendel = require('./backend')();
+const Artifacts = require('./artifacts');
+const artifacts = new Artifacts( arendel );
+const Results = require('./results');
+const results = new Results( arendel );
 
 
 const STUDY_STEP_MESHING = 'meshing';
@@ -22,23 +40,109 @@ const BG_TASK_STATUS_PENDING     = "PENDING";
 const BG_TASK_STATUS_RUNNING     = "RUNNING";
 const BG_TASK_STATUS_DONE        = "DONE";
 const BG_TASK_STATUS_FAILED      = "FAILED";
+const BG_TASK_STATUS_ABORTED     = "ABORTED";
+
+// how often the output of a running program is sent to alfresco, in milliseconds.
+// This and the log files of the programs are set by the "logs" entry of the airetd section of conf.json:
+// { "dir": "logs", "updateInterval": 30000, "tailSize": 262144, "maxSize": 52428800, "maxFiles": 5 }
+const LIVE_UPDATE_INTERVAL = 30000;
+
+// how long a program is given to exit after SIGTERM before it gets SIGKILL, in milliseconds
+const KILL_GRACE_PERIOD = 10000;
+
+// how to claim and update the background task of each step
+const TASKS = {
+    [STUDY_STEP_MESHING]: {
+        claim:  (nodeRef) => arendel.claimMeshingTask( nodeRef ),
+        update: (t) => arendel.meshingTaskUpdate( t.nodeRef, t.status, t.stage, t.stdout, t.stderr, t.classification, t.resources ),
+    },
+    [STUDY_STEP_SIMULATION]: {
+        claim:  (nodeRef) => arendel.claimSimulationTask( nodeRef ),
+        update: (t) => arendel.simulationTaskUpdate( t.nodeRef, t.status, t.stage, t.stdout, t.stderr, t.classification, t.resources ),
+    },
+    [STUDY_STEP_POSTPROC]: {
+        claim:  (nodeRef) => arendel.claimPostprocTask( nodeRef ),
+        update: (t) => arendel.postprocTaskUpdate( t.nodeRef, t.status, t.stage, t.stdout, t.stderr, t.classification, t.resources ),
+    },
+};
 
-// actual error messages that should mark the simulation as failed:
-// "FOAM FATAL ERROR"
-// "le calcul a divergé"
-// "commande introuvable" means there is an internal error in the script
-const REGEXP_SIMULATION_ERROR = /FOAM FATAL ERROR|a divergé|commande introuvable/;
+// the input folders of a study that can be downloaded
+const INPUT_FOLDERS = {
+    inputs:             (nodeRef) => arendel.getInputFolder( nodeRef ),
+    postprocInputs:     (nodeRef) => arendel.getPostprocInputFolder( nodeRef ),
+    preliminaryStudy:   (nodeRef) => arendel.getPreliminaryStudyFolder( nodeRef ),
+};
 
 const studies = {};
 
+// e.g. 20261019T101530-worker1-3fa2
+function newRunId () {
+    return new Date().toISOString().replace( /[-:]|\.\d+Z$/g, "" ) + "-" + Os.hostname().split( "." )[0] + "-" + Crypto.randomBytes( 2 ).toString( 'hex' );
+}
+
+/**
+ * Each entry of the "programs" entry of the airetd section of conf.json is either the path of the
+ * script, or an object with limits (in milliseconds, none by default):
+ *   {
+ *     "script":            "simulation.sh",
+ *     "version":           "2.3.1",        // recorded with the results, the checksum of the script otherwise
+ *     "maxWallTime":       172800000,      // the program is killed if it runs longer than this
+ *     "inactivityTimeout": 3600000,        // the program is killed if it doesn't output anything for this long
+ *     "killGrace":         10000           // time between SIGTERM and SIGKILL
+ *   }
+ * @return {object} the configuration of a program, or null if it's not one of the configured programs
+ */
+function programConfig ( programs, prgname ) {
+    const p = programs && programs[ prgname ];
+    if ( !p ) {
+        return null;
+    }
+    return typeof p === 'string' ? { script: p } : p;
+}
+
+// SIGTERM to the whole process group of the child, then SIGKILL if it's still there after the grace period
+function killGroup ( child, gracePeriod ) {
+    const alive = () => child.exitCode == null && child.signalCode == null;
+    if ( !child.pid || !alive() ) {
+        return;
+    }
+    try {
+        process.kill( -child.pid, 'SIGTERM' );
+    } catch (err) {
+        Logger.warn("Failed to send SIGTERM to", child.pid, err.message );
+    }
+    const timer = setTimeout( () => {
+        if ( alive() ) {
+            Logger.warn("Process group", child.pid, "still running, sending SIGKILL");
+        }
+        try {
+            // some processes of the group may still be there even if the leader is gone
+            process.kill( -child.pid, 'SIGKILL' );
+        } catch (err) {
+            // already gone
+        }
+    }, gracePeriod != null ? gracePeriod : KILL_GRACE_PERIOD );
+    timer.unref();
+}
+
+// the commands that start each step, used to requeue interrupted tasks
+const START_COMMANDS = {
+    [STUDY_STEP_MESHING]:       (e) => ({ cmd: 'start-meshing',    nodeRef: e.nodeRef }),
+    [STUDY_STEP_SIMULATION]:    (e) => ({ cmd: 'start-simulation', nodeRef: e.nodeRef, simNodeRef: e.taskNodeRef }),
+    [STUDY_STEP_POSTPROC]:      (e) => ({ cmd: 'start-postproc',   nodeRef: e.nodeRef }),
+};
+
+// the studies under processing are also recorded in the journal, so that they survive a restart of the worker
 class StudyCache {
 
     static register ( study ) {
         studies[ study.nodeRef ] = study;
+        Journal.record( study.nodeRef, { step: study.step, taskNodeRef: study.task.nodeRef, stage: study.task.stage } );
     }
 
     static unregister ( study ) {
         delete studies[ study.nodeRef ];
+        Journal.remove( study.nodeRef );
     }
 
     static exists ( study ) {
@@ -48,6 +152,10 @@ class StudyCache {
     static get ( nodeRef ) {
         return studies[ nodeRef ];
     }
+
+    static list () {
+        return Object.keys( studies ).map( (nodeRef) => studies[ nodeRef ] );
+    }
 }
 
 
@@ -57,10 +165,24 @@ class Study {
         this.nodeRef = nodeRef;
         this.nodeId = (nodeRef.match( /SpacesStore\/(.+)$/ ) || [])[1];
         this.path = Path.resolve( Config.getStudiesDir(), this.nodeId );
-        this.sim = null;
-        this.meshing = null;
+        this.task = null;
+        this.params = null;
+        this.claimed = null;
+        this.currentDownload = null;
         this.step = null;
         this.child = null;
+        this.startedAt = null;
+        // the context of the logs of the task, see logger.js
+        this.job = null;
+        // the versions of the programs run for the task, recorded with the results
+        this.programs = {};
+        // the programs as configured when the job started: a reload of the configuration replaces the
+        // section, the job goes on with this one
+        this.programConfigs = ( Config.getAiretdConfig() || {} ).programs;
+        // the resources used by the stages of the task
+        this.usage = null;
+        // cancelled when the task is aborted, everything run on behalf of the task listens to it
+        this.token = CancellationToken.NONE;
         Logger.debug("studyNodeRef:", this.nodeRef );
         Logger.debug("studyNodeId:", this.nodeId );
         Logger.debug("studyPath:", this.path );
@@ -73,50 +195,78 @@ class Study {
         }
     }
 
+    /**
+     * Empties the study directory, but for the log files: the one of the task is being written
+     */
     cleanup () {
         if ( !this.path || !Fs.existsSync( this.path ) ) {
             return null;
         }
-        Logger.info("Removing study directory:", this.path );
-        return this.execute( 'rm', [
-            { opt: '-rf' },                  // recursive, force
+        Logger.info("Cleaning study directory:", this.path );
+        const logs = Path.relative( this.path, this.logsDir() ).split( Path.sep )[0];
+        return this.execute( 'find', [
             { val: this.path },
+            { opt: '-mindepth' }, { val: '1' },
+            { opt: '-maxdepth' }, { val: '1' },
+            { opt: '!' }, { opt: '-name' }, { val: logs },
+            { opt: '-exec' }, { val: 'rm' }, { opt: '-rf' }, { val: '{}' }, { opt: '+' },
         ], Path.resolve( Config.getStudiesDir() ) );
     }
 
     download ( nodeId, filename ) {
-        return arendel.download( nodeId, filename ).promise;
+        const stage = this.task && this.task.stage;
+        const download = arendel.download( nodeId, filename, {
+            token:      this.token,
+            onProgress: (p) => {
+                const progress = p.filesAdded + "/" + p.totalFiles + " files, " + ( p.totalBytes ? Math.floor( 100 * p.bytesAdded / p.totalBytes ) : 0 ) + "%";
+                Logger.info("Download of", nodeId, "in progress:", progress );
+                if ( stage ) {
+                    this.updateTask( stage + " (" + progress + ")" ).catch( (err) => Logger.error( err ) );
+                }
+            }
+        });
+        this.currentDownload = download;
+        return download.promise.finally( () => { this.currentDownload = null; } );
     }
 
-    async extract ( archive ) {
-        var self = this;
+    /**
+     * Extracts the archive of an input folder in the study directory, see extraction.js
+     * @param {string} archive - the zip file
+     * @param {string} [folder] - the kind of input folder, it selects how the archive is extracted
+     */
+    async extract ( archive, folder ) {
         try {
-            await Fs.createReadStream( archive )
-                .pipe(Unzipper.Parse())
-                .on('entry', function(entry) {
-                    const fileName = entry.path;
-                    const type = entry.type; // 'Directory' or 'File'
-                    const size = entry.vars.uncompressedSize; // There is also compressedSize;
-                    Logger.debug("Extracting", fileName, "type:", type, "size:", size);
-                    // we need to flatten out the directory hierarchy
-                    if ( type === 'File' ) {
-                        var filename = Path.basename(fileName);
-                        Logger.info("Extracting", filename);
-                        entry.pipe(Fs.createWriteStream(self.path + "/" + filename));
-                    } else {
-                        entry.autodrain();
-                    }
-                })
-                .promise();
-            Logger.info("Extraction successful");
+            const extraction = Extraction.load( folder );
+            // everything is checked before the first file is written
+            const entries = await Archive.list( archive, { token: this.token } );
+            const plan = extraction.plan( entries );
+            plan.warnings.forEach( (w) => Logger.warn( w.message ) );
+            this.classify({ warnings: plan.warnings });
+            const count = await Archive.extract( archive, this.path, {
+                token:      this.token,
+                maxFiles:   extraction.options.maxFiles,
+                maxSize:    extraction.options.maxSize,
+                map:        (entry) => {
+                    const target = plan.targets[ entry.index ];
+                    Logger.debug("Extracting", entry.name, "type:", entry.type, "size:", entry.size, "to:", target);
+                    return target;
+                }
+            });
+            Logger.info("Extraction successful:", count, "entries");
         }
         catch (err) {
+            if ( err instanceof AbortedError || err instanceof ConfigurationError ) {
+                throw err;
+            }
             Logger.error(err);
+            if ( err instanceof ExtractionError ) {
+                this.classify({ code: err.code, message: err.message, warnings: [] });
+            }
             throw new Error("Extraction failed, reason: " + err.message);
         }
     }
 
-    execute ( prgname, args, workDir ) {
+    execute ( prgname, args, workDir, rules ) {
         function interpolatePath ( p ) {
             return p.replace('{scriptDir}', scriptDir).replace('{studyDir}', studyDir);
         }
@@ -124,22 +274,30 @@ class Study {
         var scriptDir = Path.resolve( Config.getStudiesDir() );
 
         const cfg = Config.getAiretdConfig();
-        if ( cfg.programs[ prgname ] ) {
-            script =  Path.resolve( cfg.path, cfg.programs[ prgname ] );
+        const program = programConfig( this.programConfigs, prgname );
+        if ( program ) {
+            if ( !program.script ) {
+                throw new ConfigurationError("wrong configuration of program "+prgname+": missing script");
+            }
+            script =  Path.resolve( cfg.path, program.script );
             if ( !Fs.existsSync( script ) ) {
                 throw new ConfigurationError("wrong configuration of program "+prgname+": script "+script+" not found");
             }
             scriptDir = Path.dirname( script );
+            this.programs[ prgname ] = program.version || "sha256:" + Crypto.createHash( 'sha256' ).update( Fs.readFileSync( script ) ).digest( 'hex' ).slice( 0, 16 );
         }
         const studyDir = this.path;
+        const analysis = Analysis.load( prgname, rules );
 
         var _args = [];
+        var pyScript = null;
 
         // python scripts are going to be run by the python interpreter
         // shell scripts and other executables are going to be run as-is
         if ( script.endsWith('.py') ) {
             // this is a python script so we need to make the script the first argument
             // and replace the script with the interpreter
+            pyScript = script;
             _args.push( script );
             script = cfg.python;
         }
@@ -196,14 +354,65 @@ class Study {
             cwd:        interpolatePath( workDir ? workDir : this.path ),
             detached:   true,         // this forces the child to create its own process group
             shell:      false,        // don't spawn a shell, run the command directly
+            // nobody is going to type anything, a program reading stdin gets EOF instead of waiting forever
+            stdio:      [ 'ignore', 'pipe', 'pipe' ],
         };
+        const limits = program || {};
 
         const self = this;
+        const token = this.token;
+        token.throwIfCancelled();
         return new Promise( (resolve, reject) => {
 
             var child = spawn( script, _args, options );
+            const monitor = new Usage.ProcessGroupMonitor( child.pid, ( cfg.resources || {} ).sampleInterval );
+            const account = (code, signal) => {
+                const resources = monitor.stop();
+                if ( self.usage ) {
+                    self.usage.addProgram( Object.assign( { program: prgname, exitCode: code, signal: signal }, resources ) );
+                }
+                return resources;
+            };
+            // an abort kills the whole process group of the program
+            const unsubscribe = token.onCancel( () => {
+                Logger.info("Aborting " + prgname + " (pid " + child.pid + ")");
+                killGroup( child, limits.killGrace );
+            });
+
+            // the time limits of the program, see programConfig
+            var timeout = null;
+            const expire = (code, message) => {
+                if ( timeout ) {
+                    return;
+                }
+                Logger.warn( message );
+                timeout = { success: false, onMatch: 'abort', code: code, message: message, warnings: [] };
+                killGroup( child, limits.killGrace );
+            };
+            const wallTimer = limits.maxWallTime ? setTimeout( () => expire( "TIMEOUT",
+                prgname + " exceeded its maximum wall time of " + Math.round( limits.maxWallTime / 1000 ) + "s" ), limits.maxWallTime ) : null;
+            var idleTimer = null;
+            const watchdog = () => {
+                if ( !limits.inactivityTimeout ) {
+                    return;
+                }
+                clearTimeout( idleTimer );
+                idleTimer = setTimeout( () => expire( "INACTIVITY_TIMEOUT",
+                    prgname + " did not output anything for " + Math.round( limits.inactivityTimeout / 1000 ) + "s" ), limits.inactivityTimeout );
+            };
+            const stopTimers = () => {
+                clearTimeout( wallTimer );
+                clearTimeout( idleTimer );
+            };
+            watchdog();
             child.on('error', (err) => {
                 Logger.error( "failed to start "+prgname);
+                output.close();
+                if ( live ) { live.stop(); }
+                unsubscribe();
+                stopTimers();
+                monitor.stop();
+                self.classify({ code: "NOT_STARTED", message: "failed to start " + prgname + ": " + err.message, warnings: [] });
                 reject({
                     code:   -127,
                     signal: null,
@@ -212,20 +421,44 @@ class Study {
                 });
             });
             self.child = child;
-            var stdout = "", stderr = "";
+            if ( child.pid ) {
+                Journal.update( self.nodeRef, { pid: child.pid, program: pyScript || script } );
+            }
+
+            // the programs of the pipelines get their own log file in the study directory
+            const logCfg = cfg.logs || {};
+            const output = new OutputLog( program ? Path.resolve( self.logsDir(), prgname + ".log" ) : null, logCfg );
+            // while the program runs, the tail of its output is regularly sent to alfresco
+            const live = self.task ? new Throttle( () => {
+                self.task.stdout = output.tail('stdout');
+                self.task.stderr = output.tail('stderr');
+                return self.updateTask();
+            }, logCfg.updateInterval || LIVE_UPDATE_INTERVAL ) : null;
+
             if ( child.stdout ) {
                 child.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                    Logger.info(self.nodeId+" STDOUT: "+data.toString());
+                    const text = data.toString();
+                    output.write( 'stdout', text );
+                    analysis.watch( 'stdout', text );
+                    watchdog();
+                    Logger.debug(self.nodeId+" STDOUT: "+text);
+                    if ( live ) { live.trigger(); }
                 } );
             }
             if ( child.stderr ) {
                 child.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                    Logger.info(self.nodeId+" STDERR: "+data.toString());
+                    const text = data.toString();
+                    output.write( 'stderr', text );
+                    analysis.watch( 'stderr', text );
+                    watchdog();
+                    Logger.debug(self.nodeId+" STDERR: "+text);
+                    if ( live ) { live.trigger(); }
                 });
             }
             child.on('close', (code, signal) => {
+                Journal.update( self.nodeRef, { pid: null, program: null } );
+                output.close();
+                var stdout = output.tail('stdout'), stderr = output.tail('stderr');
                 // 0 means success, anything else means failure
                 // result.stdout, result.stderr
                 Logger.info("========================= "+prgname+" START ===============================");
@@ -246,6 +479,22 @@ class Study {
                 }
                 Logger.info("========================= "+prgname+" END   ===============================");
 
+                unsubscribe();
+                stopTimers();
+                const resources = account( code, signal );
+                if ( token.cancelled ) {
+                    Promise.resolve( live && live.stop() ).then( () => reject( token.error() ) );
+                    return;
+                }
+
+                // the rules of the program decide whether it succeeded, whatever its status code,
+                // unless it was killed because it took too long
+                const classification = timeout || analysis.analyze({ code: code, signal: signal, stdout: stdout, stderr: stderr });
+                self.classify( classification );
+                if ( timeout ) {
+                    stderr += "\n" + timeout.message + "\n";
+                }
+
                 if ( code || signal ) {
                     if ( code ) {
                         stderr += "\nTerminated with status code: "+code+"\n";
@@ -253,419 +502,493 @@ class Study {
                     if ( signal ) {
                         stderr += "\nTerminated by signal: "+signal+"\n";
                     }
-                    reject({
-                        code:   code,
-                        signal: signal,
-                        stdout: stdout,
-                        stderr: stderr
-                    });
-                } else {
-                    resolve({
-                        stdout: stdout,
-                        stderr: stderr
-                    });
                 }
+                // wait for the last live update, so that it doesn't overwrite what comes next
+                Promise.resolve( live && live.stop() ).then( () => {
+                    if ( !classification.success && classification.onMatch === 'abort' ) {
+                        reject({
+                            code:   code,
+                            signal: signal,
+                            stdout: stdout,
+                            stderr: stderr,
+                            logFile: output.filename,
+                            classification: classification,
+                            resources: resources
+                        });
+                    } else {
+                        if ( !classification.success ) {
+                            self.markFailed();
+                        }
+                        resolve({
+                            stdout: stdout,
+                            stderr: stderr,
+                            logFile: output.filename,
+                            classification: classification,
+                            resources: resources
+                        });
+                    }
+                });
             });
         });
     }
 
-    compress ( stage, list ) {
-        const filename = Path.resolve( Config.getStudiesDir(), `${this.nodeId}-${stage}.7z` );
-        if ( Fs.existsSync( filename ) ) {
-            // delete the old file if necessary
-            Fs.unlinkSync( filename );
-        }
-        var args = [
-            { opt: 'a' },                   // add to archive
-            { opt: '-r' },                  // recursive
-            { val: filename },
-        ];
-        if ( list ) {
-            list.forEach( (p) => args.push(p) );
-        } else {
-            args.push({ val: '{studyDir}', type: 'd' });
-        }
-        return this.execute( '7z', args, Path.resolve( Config.getStudiesDir() ) )
-            .then( () => filename ); // if successful, pass the filename to the next promise in the chain
+    // the paths to archive: the given files or directories, or the study directory
+    archiveRoots ( list ) {
+        return ( list || [ { val: '{studyDir}' } ] ).map( (p) => p.val.replace( '{studyDir}', this.path ) );
     }
 
-    uncompress ( stage ) {
-        const filename = Path.resolve( Config.getStudiesDir(), `${this.nodeId}-${stage}.7z` );
-        return this.execute( '7z', [
-            { opt: 'x' },                   // extract with full paths
-            { val: filename },
-        ], Path.resolve( Config.getStudiesDir() ) );
+    /**
+     * The directory of the log files of the programs, <studyDir>/logs unless configured otherwise
+     */
+    logsDir () {
+        return Path.resolve( this.path, ( Config.getAiretdConfig().logs || {} ).dir || "logs" );
     }
 
-    updateMeshingTask ( m, stage, stdout, stderr ) {
-        if ( stage ) { m.stage = stage; }
-        return arendel.meshingTaskUpdate( this.nodeRef, m.status, m.stage, stdout, stderr );
+    /**
+     * The options of the archives, see archive.js: the log files are left out of the study directory
+     * (the 7z program archives everything)
+     */
+    archiveOptions ( list, options ) {
+        const opts = Archive.options( Object.assign( {}, options, { token: this.token } ) );
+        const logs = Path.relative( this.path, this.logsDir() );
+        if ( this.archiveRoots( list ).indexOf( this.path ) >= 0 && logs && !logs.startsWith( ".." ) && !Path.isAbsolute( logs ) ) {
+            opts.exclude = [].concat( opts.exclude, logs.split( Path.sep ).join( "/" ) + "/**" );
+        }
+        return opts;
     }
 
-    startMeshing () {
-        if ( StudyCache.exists( this ) ) {
-            return Promise.reject( new Error("Study already under processing") );
-        }
-        let archive = Path.resolve( Config.getStudiesDir(), this.nodeId + '.zip' );
-        var self = this;
-        return arendel.claimMeshingTask( this.nodeRef )
-            .then( (m) => {
-                self.meshing = m;
-                if ( m.status !== BG_TASK_STATUS_RUNNING ) {
-                    throw new Error("Invalid meshing status: " + m.status);
-                }
-                self.step = STUDY_STEP_MESHING;
-                StudyCache.register( self );
-            })
-            .then( () => this.cleanup() )
-            .then( () => this.setup() )
-            .then( () => this.updateMeshingTask( this.meshing, "download input folder" ) )
-            .then( () => arendel.getInputFolder( this.nodeRef ) )
-            .then( (nodeId) => self.download( nodeId, archive ) )
-            .then( () => this.updateMeshingTask( this.meshing, "extraction" ) )
-            .then( () => this.extract( archive ) )
-            .then( () => this.updateMeshingTask( this.meshing, "meshing" ) )
-            .then( () => self.execute( 'preproc', [
-                    { opt: "-p_working",     val: '{studyDir}',                  type: 'd' },
-                    { opt: "-p_config",      val: '{scriptDir}/computationDict', type: 'f' },
-                    { opt: "-np_mesh",       val: 20       }, // TODO: this should be a parameter specified in the study itself
-                    { opt: "-snappy_enable", val: "false"  }  // TODO: should this be a parameter specified in the study itself?
-                ]) )
-            .then( (result) => {
-                // TODO: parse the output and check whether the meshing task was really successful or not
-                self.meshing.stdout = result.stdout;
-                self.meshing.stderr = result.stderr;
-            })
-            .then( () => self.updateMeshingTask( self.meshing, "compress" ) )
-            .then( () => self.compress( STUDY_STEP_MESHING ) )
-            /*
-            .then( () => self.updateMeshingTask( self.meshing, "upload" ) )
-            .then( () => {
-                // TODO: upload the result of this step in the study's "cfd_model_meshing" directory
-            })
-            */
+    /**
+     * Archives the study directory, or the given files, in the studies directory
+     * @param {string} stage - the stage that produced them, it names the archive
+     * @param {object[]} [list] - the files and directories to archive, like the arguments of programs: { val }
+     * @param {object} [options] - overrides the configuration of the archives, see archive.js
+     * @return {Promise<string>} the filename of the archive
+     */
+    compress ( stage, list, options ) {
+        var filename = null;
+        return Promise.resolve()
             .then( () => {
-                self.meshing.status = BG_TASK_STATUS_DONE;
-                self.meshing.stage = "done"
-            })
-            .catch( (errOrResult) => {
-                // TODO: manage the failure somehow
-                if ( errOrResult instanceof Error ) {
-                    const error = errOrResult;
-                    console.error( error );
-                    self.meshing = {
-                        status:     BG_TASK_STATUS_FAILED,
-                        stderr:     error.message,
-                        stdour:     ""
-                    };
-                } else {
-                    // here we have also stdout and stderr
-                    const result = errOrResult;
-                    self.meshing.stdout = result.stdout;
-                    self.meshing.stderr = result.stderr;
-                    self.meshing.status = BG_TASK_STATUS_FAILED;
-                    console.log("===== stdout =====\n", self.meshing.stdout );
-                    console.log("===== stderr =====\n", self.meshing.stderr );
+                const opts = this.archiveOptions( list, options );
+                filename = Artifacts.getFilename( this, stage, opts.format );
+                if ( Fs.existsSync( filename ) ) {
+                    // delete the old file if necessary
+                    Fs.unlinkSync( filename );
+                }
+                if ( opts.format === '7z' ) {
+                    return this.execute( '7z', [
+                        { opt: 'a' },                   // add to archive
+                        { opt: '-r' },                  // recursive
+                        { val: filename },
+                    ].concat( list || [ { val: '{studyDir}', type: 'd' } ] ), Path.resolve( Config.getStudiesDir() ) );
                 }
+                return Archive.write( this.archiveRoots( list ), filename, opts );
             })
-            .finally( () => {
-                StudyCache.unregister( self );
-                if ( self.meshing ) {
-                    self.updateMeshingTask( self.meshing, null, self.meshing.stdout, self.meshing.stderr )
-                        .then((m) => {
-                            if ( m.status !== self.meshing.status ) {
-                                throw new Error("Invalid meshing status: " + m.status);
-                            }
-                        })
-                        .catch( (err) => Logger.error(err) );
+            .then( () => { // if successful, pass the filename to the next promise in the chain
+                if ( this.usage ) {
+                    this.usage.addArchive( filename );
+                }
+                return filename;
+            }, (err) => {
+                // don't leave a truncated archive behind
+                if ( filename && Fs.existsSync( filename ) ) {
+                    Fs.unlinkSync( filename );
                 }
+                throw err;
             });
     }
 
-    abortMeshing () {
-        var s = StudyCache.get( this.nodeRef );
-        if ( s == null ) {
-            return arendel.meshingTaskUpdate( this.nodeRef, BG_TASK_STATUS_FAILED );
+    /**
+     * Extracts the archive of a stage in the studies directory, whatever its format
+     */
+    uncompress ( stage ) {
+        const filename = Artifacts.findLocal( this, stage );
+        if ( !filename ) {
+            return Promise.reject( new Error("Archive " + Artifacts.getFilename( this, stage ) + " not found") );
         }
-        if ( s.step !== STUDY_STEP_MESHING ) {
-            return Promise.reject( new Error("Study is not running the meshing step") );
+        if ( Archive.detect( filename ) === '7z' ) {
+            // produced by an older version of the worker
+            return this.execute( '7z', [
+                { opt: 'x' },                   // extract with full paths
+                { val: filename },
+            ], Path.resolve( Config.getStudiesDir() ) );
         }
-        process.kill( -s.child.pid );
-        return Promise.resolve( null );
+        return Archive.extract( filename, Config.getStudiesDir(), { token: this.token } )
+            .then( (count) => Logger.info("Extracted", count, "entries from", filename ) );
     }
 
-    setupSimulation () {
-        return this.execute( 'bash', [
-            { val: Path.resolve( Config.getBinDir(), 'setupSimulation.sh' ) },
-        ], this.path );
-    }
-
-    updateSimulationTask ( sim, res, stage ) {
-        if ( stage ) { res.stage = stage; }
-        return arendel.simulationTaskUpdate( sim.nodeRef, res.status, res.stage, res.stdout, res.stderr );
+    /**
+     * Downloads one of the input folders of the study as a zip archive
+     * @param {string} folder - the kind of folder: inputs, postprocInputs or preliminaryStudy
+     * @param {string} archive - the path of the zip file to create
+     */
+    downloadFolder ( folder, archive ) {
+        if ( !INPUT_FOLDERS[ folder ] ) {
+            return Promise.reject( new ConfigurationError("unknown input folder " + folder) );
+        }
+        return INPUT_FOLDERS[ folder ]( this.nodeRef )
+            .then( (nodeId) => this.download( nodeId, archive ) );
     }
 
-    startSimulation ( simNodeRef ) {
-        if ( StudyCache.exists( this ) ) {
-            return Promise.reject( new Error("Study already under processing") );
+    /**
+     * Stores the archive produced by a stage in the study, for the next stages
+     * @param {object} [options] - when set, the archive is produced while it's uploaded, see compress
+     * @param {object[]} [list] - see compress
+     */
+    publishArtifact ( stage, options, list ) {
+        if ( !options ) {
+            return artifacts.publish( this, stage, this.token );
         }
-
-        this.result = { status: BG_TASK_STATUS_RUNNING, stage: null, stdout: "", stderr: "", filename: null };
-
-        var self = this;
-        return arendel.claimSimulationTask( simNodeRef )
-            .then( (s) => {
-                if ( s.status !== BG_TASK_STATUS_RUNNING ) {
-                    throw new Error("Invalid simulation status: " + s.status);
-                }
-                // we own the simulation now
-                self.sim = s;
-                self.step = STUDY_STEP_SIMULATION;
-                StudyCache.register( self );
-            })
-            .then( () => self.cleanup() )
-            .then( () => self.updateSimulationTask( self.sim, self.result, "uncompress" ) )
-            // TODO: the result of the meshing phase may have been uploaded in Alfresco, so we may need to download it here
-            .then( () => self.uncompress( STUDY_STEP_MESHING ) )
-            //.then( () => self.updateSimulationTask( self.sim, self.result, "download" ) )
-            // TODO/FIXME: this step is currently used to reduce the interval of time in the simulation to make it faster to debug
-            // it may be used to setup the parameters of the simulation
-            //.then( () => self.setupSimulation() )
-            .then( () => self.updateSimulationTask( self.sim, self.result, "simulation" ) )
-            .then( () => self.execute( 'simulation', [
-                    { opt: "-p", val: '{studyDir}', type: 'd' },
-                    { opt: "-e", val: self.nodeId   },
-                    { opt: "-n", val: 30            },  // TODO: this should be a parameter specified in the study itself
-                    { opt: "-s", val: "1.5"         },  // TODO: this should be a parameter specified in the study itself
-                ]) )
-            .then( (result) => {
-                self.result = result;
-                self.result.status = BG_TASK_STATUS_RUNNING;
-
-                // check the simulation's log to see if it was really successful or not
-                if ( result.stderr.match( REGEXP_SIMULATION_ERROR ) || result.stdout.match( REGEXP_SIMULATION_ERROR ) ) {
-                    self.sim.status = BG_TASK_STATUS_FAILED;
-                } else {
-                    self.sim.status = BG_TASK_STATUS_DONE;
-                }
-            })
-            .then( () => self.updateSimulationTask( self.sim, self.result, "compressing" ) )
-            .then( () => self.compress( STUDY_STEP_SIMULATION ) )
-	    /*
-            .then( (filename) => {
-                self.result.filename = filename;
-                return self.updateSimulationTask( self.sim, self.result, "uploading" );
-            })
-            .then( () => arendel.upload( self.nodeId, `results-${self.sim.runId}.7z`, self.result.filename ) )
-	    */
-            .catch( (errOrResult) => {
-                self.result.status = BG_TASK_STATUS_FAILED;
-                if ( errOrResult instanceof Error ) {
-                    const error = errOrResult;
-                    console.error( error );
-                    // save the error in the result that will be sent back to alfresco
-                    self.result.stderr += ("\n"+error.message);
-                } else {
-                    const result = errOrResult;
-                    self.result.stdout += ("\n"+result.stdout);
-                    self.result.stderr += ("\n"+result.stderr);
+        return Promise.resolve()
+            .then( () => {
+                const opts = this.archiveOptions( list, options );
+                if ( opts.format === '7z' ) {
+                    // the 7z program needs the whole file
+                    return this.compress( stage, list, options ).then( () => artifacts.publish( this, stage, this.token ) );
                 }
-            })
-            .finally( () => {
-                StudyCache.unregister( self );
-                // check that we successfully claimed the simulation
-                if ( self.sim ) {
-                    // yes, this means it's up to us to update its status
-                    // determine the final state of the simulation
-                    if ( self.result.status == BG_TASK_STATUS_RUNNING ) {
-                        self.result.status = ( self.sim.status != BG_TASK_STATUS_RUNNING ? self.sim.status : BG_TASK_STATUS_FAILED );
+                const archive = { stream: Archive.create( this.archiveRoots( list ), opts ), format: opts.format };
+                return artifacts.publish( this, stage, this.token, archive ).then( (filename) => {
+                    if ( this.usage ) {
+                        this.usage.addArchive( filename );
                     }
-                    self.updateSimulationTask( self.sim, self.result )
-                    .then( (s) => {
-                        if ( s.status !== self.result.status ) {
-                            throw new Error("Invalid simulation status: " + s.status);
-                        }
-                    })
-                    .catch( (err) => Logger.error(err) );
-                }
+                    return filename;
+                });
             });
     }
 
-    abortSimulation ( simNodeRef ) {
-        var s = StudyCache.get( this.nodeRef );
-        if ( s == null ) {
-            return arendel.simulationTaskUpdate( simNodeRef, BG_TASK_STATUS_FAILED, null, "", "user aborted" );
+    /**
+     * Makes sure the archive produced by a previous stage is available locally, downloading it if necessary
+     */
+    fetchArtifact ( stage ) {
+        return artifacts.fetch( this, stage, this.token );
+    }
+
+    /**
+     * Uploads the results of the task with the metadata of the run, see results.js
+     */
+    uploadResult ( name, filename, relativePath, type ) {
+        return results.publish( this, name, filename, relativePath, type );
+    }
+
+    /**
+     * Reads the parameters of the programs from the study's node, and from the simulation's node if
+     * we are running a simulation
+     * @param {string[]} [used] - the parameters the pipeline uses, see Parameters.load()
+     */
+    loadParameters ( used ) {
+        const nodes = { study: this.nodeRef };
+        if ( this.step === STUDY_STEP_SIMULATION ) {
+            nodes.simulation = this.task.nodeRef;
         }
-        if ( s.step !== STUDY_STEP_SIMULATION ) {
-            return Promise.reject( new Error("Study is not running the simulation step") );
+        return Parameters.load( (nodeRef) => arendel.getProperties( nodeRef ), nodes, used )
+            .then( (params) => { this.params = params; } );
+    }
+
+    updateTask ( stage ) {
+        if ( stage ) {
+            this.task.stage = stage;
+            this.job.stage = stage;
+            Journal.update( this.nodeRef, { stage: stage } );
         }
-        if ( s.sim.nodeRef !== simNodeRef ) {
-            return arendel.simulationTaskUpdate( simNodeRef, BG_TASK_STATUS_FAILED, null, "", "user aborted" );
+        return TASKS[ this.step ].update( this.task );
+    }
+
+    markFailed () {
+        if ( this.task ) {
+            this.task.status = BG_TASK_STATUS_FAILED;
         }
-        process.kill( -s.child.pid );
-        return Promise.resolve( null );
     }
 
-    updatePostprocTask ( res, stage ) {
-        if ( stage ) { res.stage = stage; }
-        return arendel.postprocTaskUpdate( this.nodeRef, res.status, res.stage, res.stdout, res.stderr );
+    /**
+     * Records the outcome of a program in the task: the first failure is the one reported to alfresco,
+     * the warnings of all the programs are kept
+     * @param {object} classification - see Analysis.analyze
+     */
+    classify ( classification ) {
+        if ( !this.task ) {
+            return;
+        }
+        const c = this.task.classification;
+        if ( classification.code && !c.code ) {
+            c.code = classification.code;
+            c.message = classification.message;
+        }
+        c.warnings = c.warnings.concat( classification.warnings || [] );
     }
 
-    postproc () {
+    /**
+     * Claims the task of the given step and runs its pipeline.
+     * The outcome of the claim is available in this.claimed as soon as this method returns
+     * @param {string} step - one of Study.STEPS
+     * @param {string} taskNodeRef - the nodeRef of the task: the study itself, or the simulation
+     */
+    run ( step, taskNodeRef ) {
+        // what is logged for the task carries its context, and goes to its log file once it's claimed
+        this.job = { nodeRef: this.nodeRef, step: step, stage: null, runId: null, logFile: null };
+        return Logger.job( this.job, () => this.runTask( step, taskNodeRef ) )
+            .finally( () => Logger.endJob( this.job ) );
+    }
+
+    /**
+     * The log file of the task of a step, next to the ones of the programs, e.g. <studyDir>/logs/task-meshing.log
+     */
+    logFilename ( step ) {
+        return Path.resolve( this.logsDir(), "task-" + step + ".log" );
+    }
+
+    runTask ( step, taskNodeRef ) {
         if ( StudyCache.exists( this ) ) {
+            this.claimed = Promise.resolve( false );
             return Promise.reject( new Error("Study already under processing") );
         }
-        this.setup();
-        this.result = { status: BG_TASK_STATUS_RUNNING };
-
-        let archive = Path.resolve( Config.getStudiesDir(), this.nodeId + '-postprocInputs.zip' );
 
         var self = this;
-        return arendel.claimPostprocTask( this.nodeRef )
-            .then( (pp) => {
-                if ( pp.status !== BG_TASK_STATUS_RUNNING ) {
-                    throw new Error("Invalid postproc status: " + pp.status);
+        var status = null;
+        this.token = new CancellationToken();
+        // resolved with true once we own the task, or false if it cannot be claimed
+        this.claimed = TASKS[ step ].claim( taskNodeRef )
+            .then( (t) => {
+                status = t.status;
+                if ( t.status !== BG_TASK_STATUS_RUNNING ) {
+                    return false;
                 }
-                // we own the postprocess task now
-                self.pp = pp;
-                self.step = STUDY_STEP_POSTPROC;
-                self.result.status = BG_TASK_STATUS_RUNNING;
+                // we own the task now
+                // only the simulations get a runId from alfresco, the results of the other steps need one too
+                self.task = { nodeRef: taskNodeRef, runId: t.runId || newRunId(), status: BG_TASK_STATUS_RUNNING, stage: null, stdout: "", stderr: "",
+                              classification: { code: null, message: null, warnings: [] } };
+                self.step = step;
+                self.startedAt = Date.now();
+                Object.assign( self.job, { runId: self.task.runId, logFile: self.logFilename( step ) } );
+                self.usage = new Usage( self.path );
                 StudyCache.register( self );
-            })
-            .then( () => self.cleanup() )
-            .then( () => self.updatePostprocTask( self.result, "uncompress" ) )
-            // TODO: the result of the sdimulation phase may have been uploaded in Alfresco, so we may need to download it here
-            .then( () => self.uncompress( STUDY_STEP_SIMULATION ) )
-
-			// download postproc input filess
-            .then( () => arendel.getPostprocInputFolder( this.nodeRef ) )
-            .then( (nodeId) => self.download( nodeId, archive ) )
-            .then( () => this.updatePostprocTask( self.result, "extraction" ) )
-            .then( () => this.extract( archive ) )
-
-			// run the emicalc task
-            .then( () => self.updatePostprocTask( self.result, "emiCalc" ) )
-            .then( () => self.execute( 'emiCalc', [
-                    { opt: '-p_input',  val: '{studyDir}',            type: 'd' },
-                    { opt: '-p_output', val: '{studyDir}/emiCalc',    type: 'd', createIfMissing: true },
-                ], '{scriptDir}' ) )
-            .then( (result) => {
-                self.result = result;
-                self.result.status = BG_TASK_STATUS_RUNNING;
-                // check the emicalc's log to see if it was really successful or not
-                console.log("===== stdout =====\n", result.stdout );
-                console.log("===== stderr =====\n", result.stderr );
-                // check for error messages
-				if ( result.stderr.match( /IndexError:/ ) ) {
-	                throw new Error("emicalc failed.");
-				}
-            })
-
-            .then( () => self.updatePostprocTask( self.result, "meanAndConcat" ) )
-            .then( () => self.execute( 'meanAndConcat', [
-                    { opt: '-p_working', val: '{studyDir}', type: 'd' },
-                    { opt: '-p_output',  val: '{studyDir}/probes_treated', type: 'd', createIfMissing: true }
-            ]) )
-            .then( (result) => {
-                self.result = result;
-                self.result.status = BG_TASK_STATUS_RUNNING;
-                // check the simulation's log to see if it was really successful or not
-                // TODO: check for error messages
-                console.log("===== stdout =====\n", result.stdout );
-                console.log("===== stderr =====\n", result.stderr );
-
-            })
-            .then( () => self.updatePostprocTask( self.result, "probesMeanYear" ) )
-            .then( () => self.execute( 'probesMeanYear', [
-                    { opt: '-p_working', val: '{studyDir}',               type: 'd' },
-                    { opt: '-p_probes_treated', val: '{studyDir}/probes_treated', type: 'd' },
-                    { opt: '-p_freq',    val: '{studyDir}/frequencesVent',     type: 'f' },
-                    { opt: '-p_sigmo',   val: '{studyDir}/parametresSigmoide', type: 'f' },
-                    { opt: '-p_config',  val: '{scriptDir}/config',             type: 'f' },
-                ]) )
-            .then( (result) => {
-                self.result = result;
-                self.result.status = BG_TASK_STATUS_RUNNING;
-                // check the simulation's log to see if it was really successful or not
-                // TODO: check for error messages
-                console.log("===== stdout =====\n", result.stdout );
-                console.log("===== stderr =====\n", result.stderr );
-
-            })
-            .then( () => self.updatePostprocTask( self.result, "polluant" ) )
-            .then( () => self.execute( 'polluant', [
-                    { opt: '-p_scale',        val: '{studyDir}/settings_for_images',   type: 'f' },
-                    { opt: '-p_logo',         val: '{scriptDir}/Logo_airetd.png',       type: 'f' },
-                    { opt: '-p_treated_data', val: '{studyDir}/probes_treated',                 type: 'd' },
-                ]) )
-            .then( (result) => {
-                self.result = result;
-                self.result.status = BG_TASK_STATUS_RUNNING;
-                // check the simulation's log to see if it was really successful or not
-                // TODO: check for error messages
-                console.log("===== stdout =====\n", result.stdout );
-                console.log("===== stderr =====\n", result.stderr );
+                Metrics.inc( 'jobs_started_total', { step: step } );
+                return true;
+            });
+        // the promise returned below reports the failures, nobody has to listen to this one
+        this.claimed.catch( () => {} );
 
+        return this.claimed
+            .then( (claimed) => {
+                if ( !claimed ) {
+                    throw new Error("Invalid " + step + " status: " + status);
+                }
             })
-            .then( () => self.updatePostprocTask( self.result, "compress" ) )
-            .then( () => self.compress( STUDY_STEP_POSTPROC, [
-                { val: '{studyDir}/emiCalc', type: 'd' },
-                { val: '{studyDir}/probes_treated', type: 'd' }
-            ] ) )
-            .then( (filename) => {
-                self.result.filename = filename;
-                return self.updatePostprocTask( self.result, "uploading" );
+            .then( () => {
+                const pipeline = Pipeline.load( step );
+                return self.loadParameters( pipeline.placeholders() ).then( () => pipeline.run( self ) );
             })
-            .then( () => arendel.upload( self.nodeId, "final-results.7z", self.result.filename, "${cfd.postproc}", "cfd:postproc_result" ) )
             .then( () => {
-                // if we get here without error it means the task is done
-                if ( self.result.status === BG_TASK_STATUS_RUNNING ) {
-                    self.result.status = BG_TASK_STATUS_DONE;
+                // if we get here without error it means the task is done, unless a program marked it as failed
+                if ( self.task.status === BG_TASK_STATUS_RUNNING ) {
+                    self.task.status = BG_TASK_STATUS_DONE;
                 }
+                self.task.stage = "done";
             })
             .catch( (errOrResult) => {
-                self.result.status = BG_TASK_STATUS_FAILED;
+                if ( !self.task ) {
+                    // we failed to claim the task, so it's not up to us to update it
+                    throw errOrResult;
+                }
+                if ( self.token.cancelled ) {
+                    const message = self.token.error().message;
+                    Logger.info( step + " of study " + self.nodeRef + " " + message );
+                    self.task.status = BG_TASK_STATUS_ABORTED;
+                    self.task.stage = "aborted";
+                    self.task.stderr += ( "\n" + message );
+                    Object.assign( self.task.classification, { code: "ABORTED", message: message } );
+                    return;
+                }
+                self.task.status = BG_TASK_STATUS_FAILED;
                 if ( errOrResult instanceof Error ) {
                     const error = errOrResult;
-                    console.error( error );
+                    Logger.error( error );
                     // save the error in the result that will be sent back to alfresco
-                    self.result.stderr = error.message;
-                    self.result.stdout = "";
+                    self.task.stderr += ("\n"+error.message);
+                    self.classify({ code: "WORKER_ERROR", message: error.message, warnings: [] });
                 } else {
+                    // here we have also stdout and stderr
                     const result = errOrResult;
-                    self.result.stdout = result.stdout;
-                    self.result.stderr = result.stderr;
+                    self.task.stdout = result.stdout;
+                    self.task.stderr = result.stderr;
                 }
             })
             .finally( () => {
+                // check that we successfully claimed the task
+                if ( !self.task ) {
+                    return;
+                }
+                // yes, this means it's up to us to update its status
                 StudyCache.unregister( self );
-                // check that we successfully claimed the simulation
-                if ( self.pp ) {
-                    // yes, this means it's up to us to update its status
-                    self.updatePostprocTask( self.result )
-                    .then( (pp) => {
-                        if ( pp.status !== self.result.status ) {
-                            throw new Error("Invalid postprocess status: " + pp.status);
+                const status = self.task.status;
+                self.task.resources = self.usage.summary();
+                self.writeReport();
+                Metrics.inc( status === BG_TASK_STATUS_DONE ? 'jobs_succeeded_total' :
+                             status === BG_TASK_STATUS_ABORTED ? 'jobs_aborted_total' : 'jobs_failed_total', { step: step } );
+                // the promise returned by run() settles once alfresco knows the outcome
+                return self.updateTask()
+                    .then( (t) => {
+                        if ( t.status !== status ) {
+                            throw new Error("Invalid " + step + " status: " + t.status);
                         }
                     })
                     .catch( (err) => Logger.error(err) );
-                }
             });
     }
 
-    abortPostproc () {
+    /**
+     * Writes the resources used by the task in the study's report, <studiesDir>/<nodeId>-report.json,
+     * which keeps the last run of each step
+     */
+    writeReport () {
+        const filename = Path.resolve( Config.getStudiesDir(), this.nodeId + "-report.json" );
+        try {
+            Usage.writeReport( filename, this.step, Object.assign({
+                nodeRef:        this.nodeRef,
+                taskNodeRef:    this.task.nodeRef,
+                runId:          this.task.runId,
+                status:         this.task.status,
+                startedAt:      new Date( this.startedAt ).toISOString(),
+                endedAt:        new Date().toISOString(),
+            }, this.task.resources ) );
+        } catch (err) {
+            Logger.error("Failed to write report " + filename + ":", err );
+        }
+    }
+
+    /**
+     * Tells alfresco that the task is waiting for a slot on this worker: it's PENDING, with its position
+     * in the queue as its stage
+     * @param {string} step - one of Study.STEPS
+     * @param {string} taskNodeRef - the nodeRef of the task: the study itself, or the simulation
+     * @param {number} position - the position of the task in the worker's queue
+     */
+    reportPending ( step, taskNodeRef, position ) {
+        return TASKS[ step ].update({
+            nodeRef:    taskNodeRef,
+            status:     BG_TASK_STATUS_PENDING,
+            stage:      "waiting in queue (position " + position + ")",
+            stdout:     "",
+            stderr:     ""
+        });
+    }
+
+    /**
+     * Stops whatever the given step is doing: downloading, running a program, uploading...
+     * The task ends with the ABORTED status once it's actually stopped.
+     * @param {string} step - one of Study.STEPS
+     * @param {string} taskNodeRef - the nodeRef of the task: the study itself, or the simulation
+     * @param {string} [requestedBy] - who asked for the abort, reported to alfresco
+     */
+    abort ( step, taskNodeRef, requestedBy ) {
         var s = StudyCache.get( this.nodeRef );
-        if ( s == null ) {
-            return arendel.postprocTaskUpdate( this.nodeRef, BG_TASK_STATUS_FAILED, null, "", "user aborted" );
+        if ( s != null && s.step !== step ) {
+            return Promise.reject( new Error("Study is not running the " + step + " step") );
         }
-        if ( s.step !== STUDY_STEP_POSTPROC ) {
-            return Promise.reject( new Error("Study is not running the postprocessing step") );
+        if ( s == null || s.task.nodeRef !== taskNodeRef ) {
+            const message = "aborted" + ( requestedBy ? " by " + requestedBy : "" );
+            return TASKS[ step ].update({ nodeRef: taskNodeRef, status: BG_TASK_STATUS_ABORTED, stage: null, stdout: "", stderr: message,
+                                          classification: { code: "ABORTED", message: message, warnings: [] } });
         }
-        process.kill( -s.child.pid );
+        Logger.info("Aborting " + step + " of study " + this.nodeRef + ( requestedBy ? ", requested by " + requestedBy : "" ) );
+        s.token.cancel( requestedBy );
         return Promise.resolve( null );
     }
+
+    startMeshing () {
+        return this.run( STUDY_STEP_MESHING, this.nodeRef );
+    }
+
+    abortMeshing ( requestedBy ) {
+        return this.abort( STUDY_STEP_MESHING, this.nodeRef, requestedBy );
+    }
+
+    setupSimulation () {
+        return this.execute( 'bash', [
+            { val: Path.resolve( Config.getBinDir(), 'setupSimulation.sh' ) },
+        ], this.path );
+    }
+
+    startSimulation ( simNodeRef ) {
+        return this.run( STUDY_STEP_SIMULATION, simNodeRef );
+    }
+
+    abortSimulation ( simNodeRef, requestedBy ) {
+        return this.abort( STUDY_STEP_SIMULATION, simNodeRef, requestedBy );
+    }
+
+    postproc () {
+        return this.run( STUDY_STEP_POSTPROC, this.nodeRef );
+    }
+
+    abortPostproc ( requestedBy ) {
+        return this.abort( STUDY_STEP_POSTPROC, this.nodeRef, requestedBy );
+    }
+
+    /**
+     * Recovers the tasks left over by a previous run of the worker, as recorded in the journal:
+     * the orphaned programs are killed and the tasks are either marked as failed or requeued,
+     * depending on the "recovery" setting of the worker section of conf.json ("fail" by default)
+     * @return {Promise<object[]>} the start commands of the tasks to requeue
+     */
+    static recover () {
+        const mode = Config.getWorkerConfig().recovery || 'fail';
+        const requeue = [];
+
+        return Journal.list().reduce( (promise, e) => promise.then( () => {
+            if ( !TASKS[ e.step ] ) {
+                Logger.error("Invalid journal entry for study " + e.nodeRef + ", ignoring it");
+                Journal.remove( e.nodeRef );
+                return;
+            }
+            Logger.warn("Recovering interrupted " + e.step + " of study " + e.nodeRef + " (stage: " + e.stage + ")");
+            const task = {
+                nodeRef:    e.taskNodeRef,
+                status:     BG_TASK_STATUS_FAILED,
+                stage:      e.stage,
+                stdout:     "",
+                stderr:     "interrupted by a restart of the worker",
+                classification: { code: "INTERRUPTED", message: "interrupted by a restart of the worker", warnings: [] }
+            };
+            if ( mode === 'requeue' ) {
+                task.status = BG_TASK_STATUS_TODO;
+                task.stage = null;
+            }
+            return Journal.kill( e )
+                .then( () => TASKS[ e.step ].update( task ) )
+                .then( () => {
+                    Journal.remove( e.nodeRef );
+                    if ( mode === 'requeue' ) {
+                        requeue.push( START_COMMANDS[ e.step ]( e ) );
+                    }
+                })
+                // keep the entry, we'll try again on the next start
+                .catch( (err) => Logger.error("Failed to recover study " + e.nodeRef + ":", err) );
+        }), Promise.resolve() ).then( () => requeue );
+    }
 }
 
+/**
+ * @return {object[]} the jobs running on this worker
+ */
+Study.jobs = function () {
+    const now = Date.now();
+    return StudyCache.list().map( (s) => ({
+        nodeRef:        s.nodeRef,
+        step:           s.step,
+        taskNodeRef:    s.task.nodeRef,
+        stage:          s.task.stage,
+        pid:            s.child && s.child.exitCode == null && s.child.signalCode == null ? s.child.pid : null,
+        startedAt:      new Date( s.startedAt ).toISOString(),
+        elapsed:        Math.round( ( now - s.startedAt ) / 1000 ),
+    }));
+};
+
+/**
+ * @return {Promise} resolved if the backend answers
+ */
+Study.ping = function () {
+    return arendel.ping();
+};
+
 Study.STEPS = {
     MESHING:    STUDY_STEP_MESHING,
     SIMULATION: STUDY_STEP_SIMULATION,
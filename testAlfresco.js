@@ -0,0 +1,558 @@
+'use strict';
+
+/*
+ * Runs the uploads and the downloads of alfresco.js against a local stand-in of the Alfresco APIs and
+ * checks that:
+ *  - a file is sent in chunks of the configured size, without an empty last chunk, with its progress,
+ *  - a chunk that fails is sent again, unless the server got it although its answer was lost,
+ *  - an upload that failed resumes where the server stopped, and a document larger than the file
+ *    is not resumed,
+ *  - the size or the checksum of the document is checked once it's uploaded,
+ *  - a request that failed with a transient error is sent again if that does no harm, but a POST that
+ *    creates a document is not,
+ *  - a versioned upload goes to a working copy, and becomes the current version only once complete,
+ *  - a versioned upload that fails at any point, or that is cancelled, leaves the current version as it
+ *    was and the document checked in,
+ *  - a download of a folder is polled until it's ready, with its progress, and then fetched,
+ *  - a download that the server cancelled, that is too large or in an unknown state fails, and so does
+ *    one that is not ready in time, the download is deleted on the server,
+ *  - a cancelled download stops polling and is deleted on the server, also when it's cancelled before
+ *    it's created or while its content is transferred,
+ *  - the deadline of a download applies to the transfer of its content,
+ *  - a request is sent again with a new ticket when the ticket expired, unless its body is a stream,
+ *    which is left to the caller, as with transient failures.
+ */
+
+const Fs = require('fs');
+const Http = require('http');
+const Path = require('path');
+const Assert = require('assert');
+
+const tmp = require('./testSetup')( 'alfresco' );
+
+const Alfresco = require('./alfresco');
+const ApiError = require('./ApiError');
+const AbortedError = require('./AbortedError');
+const CancellationToken = require('./cancellation');
+
+const CMIS = '/alfresco/api/-default-/public/cmis/versions/1.1';
+const TICKETS = '/alfresco/api/-default-/public/authentication/versions/1/tickets';
+const STUDY = 'study';
+// fails fast
+const RETRY = { delay: 10, deadline: 200 };
+
+
+class StandInAlfresco {
+
+    constructor () {
+        this.nodes = {};
+        this.counter = 0;
+        this.requests = [];
+        // (request, url, body) => a status to answer instead of handling the request, or nothing
+        this.failures = [];
+        // (request, url, body) => a status to answer once the request is handled, as if the answer was lost
+        this.lost = [];
+        // (request, url) => true to send the beginning of the content of a node, and nothing more
+        this.stalls = [];
+        // with ticket authentication, the ticket that is currently valid
+        this.auth = false;
+        this.ticket = null;
+        this.tickets = 0;
+        // the downloads by id, and the statuses the next ones go through, the last one stays
+        this.downloads = {};
+        this.statuses = [ "DONE" ];
+        this.server = Http.createServer( (req, res) => this.accept( req, res ) );
+    }
+
+    listen () {
+        return new Promise( (resolve) => this.server.listen( 0, '127.0.0.1', () => resolve( 'http://127.0.0.1:' + this.server.address().port ) ) );
+    }
+
+    close () {
+        this.server.close();
+    }
+
+    create ( fields ) {
+        const node = Object.assign( { id: 'node-' + (++this.counter), content: Buffer.alloc( 0 ), properties: {} }, fields );
+        this.nodes[ node.id ] = node;
+        return node;
+    }
+
+    find ( path ) {
+        return Object.values( this.nodes ).find( (n) => n.path === path && !n.workingCopy );
+    }
+
+    entry ( node ) {
+        return { id: node.id, name: node.name, properties: node.properties, content: { sizeInBytes: node.content.length } };
+    }
+
+    accept ( req, res ) {
+        const chunks = [];
+        req.on('data', (c) => chunks.push( c ));
+        req.on('end', () => {
+            const url = new URL( req.url, 'http://localhost' );
+            const body = Buffer.concat( chunks );
+            const expired = this.auth && url.pathname !== TICKETS && url.searchParams.get( 'alf_ticket' ) !== this.ticket;
+            const status = expired ? 401 : this.failures.map( (f) => f( req, url, body ) ).find( (s) => s );
+            this.requests.push({ method: req.method, path: url.pathname, params: url.searchParams, size: body.length, failed: !!status });
+            if ( status ) {
+                return this.send( res, status, { error: { briefSummary: "injected failure" } } );
+            }
+            res.lost = this.lost.map( (f) => f( req, url, body ) ).find( (s) => s );
+            try {
+                this.handle( req, res, url, body );
+            } catch (err) {
+                this.send( res, 500, { error: { briefSummary: err.message } } );
+            }
+        });
+    }
+
+    handle ( req, res, url, body ) {
+        var m;
+        if ( url.pathname === TICKETS && req.method === 'POST' ) {
+            this.ticket = "TICKET_" + (++this.tickets);
+            return this.send( res, 201, { entry: { id: this.ticket } } );
+        }
+        if ( ( m = url.pathname.match( /^.*\/downloads(?:\/([^/]+))?$/ ) ) ) {
+            return this.download( req, res, m[1], body );
+        }
+        if ( ( m = url.pathname.match( /^.*\/nodes\/([^/]+)\/children$/ ) ) && req.method === 'POST' ) {
+            const data = JSON.parse( body );
+            const path = data.relativePath + "/" + data.name;
+            if ( this.find( path ) ) {
+                return this.send( res, 409, { error: { briefSummary: "duplicate " + path } } );
+            }
+            const node = this.create({ name: data.name, path: path, properties: Object.assign( { "cm:versionLabel": "1.0" }, data.properties ) });
+            return this.send( res, 201, { entry: this.entry( node ) } );
+        }
+        if ( ( m = url.pathname.match( /^.*\/nodes\/([^/]+)\/content$/ ) ) && req.method === 'GET' ) {
+            if ( this.nodes[ m[1] ] && this.stalls.some( (f) => f( req, url ) ) ) {
+                res.writeHead( 200, { 'Content-Type': 'application/octet-stream' } );
+                return res.write( this.nodes[ m[1] ].content.subarray( 0, 3 ) );
+            }
+            return this.nodes[ m[1] ] ? this.send( res, 200, this.nodes[ m[1] ].content ) : this.send( res, 404, {} );
+        }
+        if ( ( m = url.pathname.match( /^.*\/nodes\/([^/]+)$/ ) ) ) {
+            const node = url.searchParams.get( 'relativePath' ) ? this.find( url.searchParams.get( 'relativePath' ) ) : this.nodes[ m[1] ];
+            if ( !node ) {
+                return this.send( res, 404, { error: { briefSummary: "not found" } } );
+            }
+            if ( req.method === 'PUT' ) {
+                Object.assign( node.properties, JSON.parse( body ).properties );
+            } else if ( req.method === 'DELETE' ) {
+                delete this.nodes[ node.id ];
+                return this.send( res, 204 );
+            }
+            return this.send( res, 200, { entry: this.entry( node ) } );
+        }
+        if ( url.pathname === CMIS + '/atom/content' && req.method === 'PUT' ) {
+            const node = this.nodes[ url.searchParams.get( 'id' ) ];
+            node.content = url.searchParams.get( 'append' ) === 'true' ? Buffer.concat([ node.content, body ]) : body;
+            return this.send( res, 201, {} );
+        }
+        if ( url.pathname === CMIS + '/browser/root' && req.method === 'POST' ) {
+            return this.send( res, 200, { succinctProperties: this.cmis( new URLSearchParams( body.toString() ) ) } );
+        }
+        this.send( res, 404, { error: { briefSummary: "no route " + req.method + " " + url.pathname } } );
+    }
+
+    download ( req, res, id, body ) {
+        if ( req.method === 'POST' ) {
+            const folder = JSON.parse( body ).nodeIds[0];
+            const node = this.create({ name: folder + ".zip", content: Buffer.from( "zip of " + folder ) });
+            this.downloads[ node.id ] = { statuses: this.statuses.slice(), polls: 0, cancelled: false };
+            return this.send( res, 202, { entry: { id: node.id, status: "PENDING" } } );
+        }
+        const d = this.downloads[ id ];
+        if ( !d ) {
+            return this.send( res, 404, { error: { briefSummary: "not found" } } );
+        }
+        if ( req.method === 'DELETE' ) {
+            d.cancelled = true;
+            return this.send( res, 202 );
+        }
+        d.polls++;
+        const status = d.statuses.length > 1 ? d.statuses.shift() : d.statuses[0];
+        return this.send( res, 200, { entry: { id: id, status: status, filesAdded: d.polls, totalFiles: 4, bytesAdded: d.polls * 100, totalBytes: 400 } } );
+    }
+
+    cmis ( form ) {
+        const node = this.nodes[ form.get( 'objectId' ).split( ";" )[0] ];
+        switch ( form.get( 'cmisaction' ) ) {
+        case 'checkOut': {
+            const copy = this.create({ name: node.name + " (Working Copy)", path: node.path, workingCopy: node.id,
+                                       content: node.content, properties: Object.assign( {}, node.properties ) });
+            return { "cmis:objectId": copy.id + ";pwc" };
+        }
+        case 'checkIn': {
+            const doc = this.nodes[ node.workingCopy ];
+            const label = ( parseInt( doc.properties[ "cm:versionLabel" ], 10 ) + 1 ) + ".0";
+            Object.assign( doc, { content: node.content, properties: Object.assign( node.properties, { "cm:versionLabel": label } ), comment: form.get( 'checkinComment' ) } );
+            delete this.nodes[ node.id ];
+            return { "cmis:objectId": doc.id + ";" + label, "cmis:versionLabel": label };
+        }
+        case 'cancelCheckOut':
+            delete this.nodes[ node.id ];
+            return {};
+        }
+        throw new Error( "unknown action " + form.get( 'cmisaction' ) );
+    }
+
+    send ( res, status, body ) {
+        if ( res.lost ) {
+            status = res.lost;
+            body = { error: { briefSummary: "answer lost" } };
+        }
+        const data = Buffer.isBuffer( body ) ? body : Buffer.from( body ? JSON.stringify( body ) : "" );
+        res.writeHead( status, { 'Content-Type': Buffer.isBuffer( body ) ? 'application/octet-stream' : 'application/json' } );
+        res.end( data );
+    }
+}
+
+
+function file ( name, size ) {
+    const filename = Path.join( tmp, name );
+    const data = Buffer.alloc( size );
+    for ( var i = 0; i < size; i++ ) {
+        data[ i ] = ( i * 31 + size ) & 0xFF;
+    }
+    Fs.writeFileSync( filename, data );
+    return filename;
+}
+
+// the appends to the content of a node the server accepted
+function appends ( server, id ) {
+    return server.requests.filter( (r) => r.path === CMIS + '/atom/content' && r.params.get( 'id' ) === id && r.params.get( 'append' ) === 'true' && !r.failed );
+}
+
+// the first appends fail with a 503
+function flaky ( count ) {
+    var failed = 0;
+    return (req, url) => url.pathname === CMIS + '/atom/content' && url.searchParams.get( 'append' ) === 'true' && failed++ < count ? 503 : null;
+}
+
+function remove ( list, f ) {
+    list.splice( list.indexOf( f ), 1 );
+}
+
+function checkedOut () {
+    return Object.values( server.nodes ).some( (n) => n.workingCopy );
+}
+
+const server = new StandInAlfresco();
+
+async function chunkedUpload ( alfresco ) {
+    const data = file( 'chunked.bin', 2500 );
+    const progress = [];
+    var doc = await alfresco.upload( STUDY, "chunked.bin", data, "results", null, {
+        chunkSize:  1000,
+        retry:      RETRY,
+        onProgress: (p) => progress.push( p.bytesSent + "/" + p.totalBytes ),
+    });
+    Assert.strictEqual( doc.size, 2500 );
+    Assert.deepStrictEqual( server.nodes[ doc.id ].content, Fs.readFileSync( data ) );
+    Assert.deepStrictEqual( appends( server, doc.id ).map( (r) => r.size ), [ 1000, 1000, 500 ] );
+    Assert.deepStrictEqual( appends( server, doc.id ).map( (r) => r.params.get( 'isLastChunk' ) ), [ "false", "false", "true" ] );
+    Assert.deepStrictEqual( progress, [ "1000/2500", "2000/2500", "2500/2500" ] );
+
+    // a multiple of the chunk size
+    doc = await alfresco.upload( STUDY, "even.bin", file( 'even.bin', 2000 ), "results", null, { chunkSize: 1000, retry: RETRY } );
+    Assert.deepStrictEqual( appends( server, doc.id ).map( (r) => r.size ), [ 1000, 1000 ] );
+    console.log("chunked upload OK");
+}
+
+async function chunkRetries ( alfresco ) {
+    const data = file( 'retried.bin', 2500 );
+    const failure = flaky( 2 );
+    server.failures.push( failure );
+    var doc = await alfresco.upload( STUDY, "retried.bin", data, "results", null, { chunkSize: 1000, retry: RETRY } );
+    remove( server.failures, failure );
+    Assert.deepStrictEqual( server.nodes[ doc.id ].content, Fs.readFileSync( data ) );
+    Assert.strictEqual( appends( server, doc.id ).length, 3 );
+
+    // the second chunk is appended, but the worker doesn't know: it's not appended twice
+    var count = 0;
+    const lost = (req, url) => url.pathname === CMIS + '/atom/content' && ++count === 2 ? 503 : null;
+    server.lost.push( lost );
+    doc = await alfresco.upload( STUDY, "lost.bin", data, "results", null, { chunkSize: 1000, retry: RETRY } );
+    remove( server.lost, lost );
+    Assert.deepStrictEqual( server.nodes[ doc.id ].content, Fs.readFileSync( data ) );
+    Assert.strictEqual( appends( server, doc.id ).length, 3 );
+    console.log("chunk retries OK");
+}
+
+async function resumedUpload ( alfresco ) {
+    const data = file( 'resumed.bin', 3500 );
+    // the server is gone after the first chunk
+    var sent = 0;
+    const failure = (req, url) => url.pathname === CMIS + '/atom/content' && ++sent > 1 ? 503 : null;
+    server.failures.push( failure );
+    const err = await alfresco.upload( STUDY, "resumed.bin", data, "results", null, { chunkSize: 1000, retry: RETRY } ).then(
+        () => Assert.fail( "the upload should have failed" ),
+        (e) => e );
+    remove( server.failures, failure );
+    Assert.strictEqual( err.status, 503, err.stack );
+    Assert.strictEqual( err.offset, 1000 );
+    Assert.strictEqual( server.nodes[ err.uploadId ].content.length, 1000 );
+
+    const progress = [];
+    const doc = await alfresco.upload( STUDY, "resumed.bin", data, "results", null, {
+        chunkSize:  1000,
+        retry:      RETRY,
+        uploadId:   err.uploadId,
+        verify:     'checksum',
+        onProgress: (p) => progress.push( p.bytesSent ),
+    });
+    Assert.strictEqual( doc.id, err.uploadId );
+    Assert.deepStrictEqual( server.nodes[ doc.id ].content, Fs.readFileSync( data ) );
+    Assert.strictEqual( appends( server, doc.id ).length, 4 );
+    Assert.deepStrictEqual( progress, [ 2000, 3000, 3500 ] );
+    Assert.strictEqual( Object.values( server.nodes ).filter( (n) => n.name === "resumed.bin" ).length, 1, "no new document" );
+
+    // the document doesn't belong to this file
+    await alfresco.upload( STUDY, "resumed.bin", file( 'small.bin', 500 ), "results", null, { chunkSize: 1000, retry: RETRY, uploadId: doc.id } ).then(
+        () => Assert.fail( "the upload should have failed" ),
+        (e) => Assert.ok( /larger than the file/.test( e.message ), e.stack ) );
+    console.log("resumed upload OK");
+}
+
+async function verification ( alfresco ) {
+    const data = file( 'verified.bin', 2500 );
+    const lastChunk = (url) => url.pathname === CMIS + '/atom/content' && url.searchParams.get( 'isLastChunk' ) === 'true';
+
+    // the server says it has the last chunk, but doesn't
+    const dropped = (req, url) => lastChunk( url ) ? 201 : null;
+    server.failures.push( dropped );
+    await alfresco.upload( STUDY, "incomplete.bin", data, "results", null, { chunkSize: 1000, retry: RETRY } ).then(
+        () => Assert.fail( "the upload should have failed" ),
+        (e) => Assert.ok( /is incomplete: 2000 bytes on the server, 2500 expected/.test( e.message ), e.stack ) );
+    remove( server.failures, dropped );
+
+    // the last chunk is damaged on the way, only the checksum tells
+    const damaged = (req, url, body) => {
+        if ( lastChunk( url ) ) {
+            body[ 0 ] ^= 0xFF;
+        }
+    };
+    server.failures.push( damaged );
+    await alfresco.upload( STUDY, "sized.bin", data, "results", null, { chunkSize: 1000, retry: RETRY } );
+    await alfresco.upload( STUDY, "corrupted.bin", data, "results", null, { chunkSize: 1000, retry: RETRY, verify: 'checksum' } ).then(
+        () => Assert.fail( "the upload should have failed" ),
+        (e) => Assert.ok( /corrupted: checksum mismatch/.test( e.message ), e.stack ) );
+    remove( server.failures, damaged );
+    console.log("verification OK");
+}
+
+async function transientFailures ( alfresco ) {
+    const doc = await alfresco.createDocument( STUDY, { name: "retried.json", relativePath: "results" } );
+    var failed = 0;
+    const flakyGet = (req, url) => req.method === 'GET' && url.pathname.endsWith( '/nodes/' + doc.id ) && failed++ < 2 ? 503 : null;
+    server.failures.push( flakyGet );
+    Assert.strictEqual( await alfresco.getContentSize( doc.id ), 0 );
+    remove( server.failures, flakyGet );
+    Assert.strictEqual( failed, 3 );
+
+    // the document is created, but the answer is lost
+    const created = (req, url) => req.method === 'POST' && url.pathname.endsWith( '/children' ) ? 503 : null;
+    server.lost.push( created );
+    const err = await alfresco.createDocument( STUDY, { name: "once.json", relativePath: "results" } ).then(
+        () => Assert.fail( "the request should have failed" ),
+        (e) => e );
+    remove( server.lost, created );
+    Assert.ok( err instanceof ApiError.ServerError, err.stack );
+    Assert.strictEqual( Object.values( server.nodes ).filter( (n) => /^once/.test( n.name ) ).length, 1, "created once" );
+    console.log("transient failures OK");
+}
+
+async function versionedUpload ( alfresco ) {
+    const first = file( 'v1.bin', 2500 );
+    const second = file( 'v2.bin', 5000 );
+    const options = (properties) => ({ chunkSize: 1000, retry: RETRY, properties: properties, version: { comment: "run" } });
+
+    var doc = await alfresco.upload( STUDY, "final-results.7z", first, "results", null, options({ "cm:title": "run 1" }) );
+    Assert.strictEqual( doc.version, "1.0" );
+    const id = doc.id;
+
+    // the server stops answering after the second chunk of the new version
+    var sent = 0;
+    const failure = (req, url) => url.pathname === CMIS + '/atom/content' && url.searchParams.get( 'append' ) === 'true' && ++sent > 2 ? 503 : null;
+    server.failures.push( failure );
+    var err = await alfresco.upload( STUDY, "final-results.7z", second, "results", null, options({ "cm:title": "run 2" }) ).then(
+        () => Assert.fail( "the upload should have failed" ),
+        (e) => e );
+    remove( server.failures, failure );
+    Assert.ok( err instanceof ApiError.ServerError, err.stack );
+    Assert.strictEqual( err.uploadId, undefined, "the working copy is gone" );
+    // the current version didn't change
+    Assert.deepStrictEqual( server.nodes[ id ].content, Fs.readFileSync( first ) );
+    Assert.strictEqual( server.nodes[ id ].properties[ "cm:title" ], "run 1" );
+    Assert.ok( !checkedOut(), "the check out is cancelled" );
+
+    // the properties of the working copy cannot be set
+    const rejected = (req, url) => req.method === 'PUT' && /\/nodes\/[^/]+$/.test( url.pathname ) ? 400 : null;
+    server.failures.push( rejected );
+    err = await alfresco.upload( STUDY, "final-results.7z", second, "results", null, options({ "cm:title": "run 2" }) ).then(
+        () => Assert.fail( "the upload should have failed" ),
+        (e) => e );
+    remove( server.failures, rejected );
+    Assert.ok( err instanceof ApiError, err.stack );
+    Assert.ok( !checkedOut(), "the check out is cancelled" );
+
+    doc = await alfresco.upload( STUDY, "final-results.7z", second, "results", null, options({ "cm:title": "run 2" }) );
+    Assert.strictEqual( doc.id, id );
+    Assert.strictEqual( doc.version, "2.0" );
+    Assert.strictEqual( doc.size, 5000 );
+    Assert.deepStrictEqual( server.nodes[ id ].content, Fs.readFileSync( second ) );
+    Assert.strictEqual( server.nodes[ id ].properties[ "cm:title" ], "run 2" );
+    Assert.strictEqual( server.nodes[ id ].comment, "run" );
+    Assert.ok( !checkedOut(), "the working copy is checked in" );
+    console.log("versioned upload OK");
+
+    // cancelled after the first chunk
+    const token = new CancellationToken();
+    const onProgress = () => token.cancel( "test" );
+    await alfresco.upload( STUDY, "final-results.7z", first, "results", null, Object.assign( options({}), { token: token, onProgress: onProgress } ) ).then(
+        () => Assert.fail( "the upload should have been cancelled" ),
+        (e) => Assert.ok( e instanceof AbortedError, e.stack ) );
+    Assert.deepStrictEqual( server.nodes[ id ].content, Fs.readFileSync( second ) );
+    Assert.strictEqual( server.nodes[ id ].properties[ "cm:versionLabel" ], "2.0" );
+    Assert.ok( !checkedOut(), "the check out is cancelled" );
+    console.log("cancelled versioned upload OK");
+}
+
+async function ticketRenewal ( url ) {
+    const alfresco = new Alfresco({ url: url, username: 'worker', password: 'secret', auth: 'ticket', retry: RETRY });
+    const data = file( 'ticket.bin', 1500 );
+    server.auth = true;
+    const doc = await alfresco.upload( STUDY, "ticket.bin", data, "results", null, { chunkSize: 1000, retry: RETRY } );
+    Assert.strictEqual( server.tickets, 1 );
+
+    // the ticket expires, the request is sent again with a new one
+    server.ticket = null;
+    Assert.strictEqual( await alfresco.getContentSize( doc.id ), 1500 );
+    Assert.strictEqual( server.tickets, 2 );
+    console.log("ticket renewal OK");
+
+    // a stream cannot be sent twice: the ticket is renewed, the caller opens the stream again
+    const append = () => alfresco.conn.put( CMIS + '/atom/content', Fs.createReadStream( data ), { params: { id: doc.id, append: true } } );
+    const sent = () => server.requests.filter( (r) => r.path === CMIS + '/atom/content' && r.params.get( 'id' ) === doc.id );
+    const before = sent().length;
+    server.ticket = null;
+    const err = await append().then( () => Assert.fail( "the request should have failed" ), (e) => e );
+    Assert.ok( err instanceof ApiError.AuthenticationError, err.stack );
+    Assert.strictEqual( err.ticketRenewed, true );
+    Assert.strictEqual( sent().length, before + 1 );
+    await append();
+    Assert.strictEqual( server.tickets, 3 );
+    Assert.strictEqual( server.nodes[ doc.id ].content.length, 3000 );
+
+    // nor retried after a transient failure
+    const failure = (req, u) => u.pathname === CMIS + '/atom/content' ? 503 : null;
+    server.failures.push( failure );
+    const transient = await append().then( () => Assert.fail( "the request should have failed" ), (e) => e );
+    server.failures.splice( server.failures.indexOf( failure ), 1 );
+    Assert.ok( transient instanceof ApiError.ServerError, transient.stack );
+    Assert.strictEqual( sent().length, before + 3 );
+    Assert.strictEqual( server.nodes[ doc.id ].content.length, 3000 );
+    server.auth = false;
+    console.log("stream bodies not sent twice OK");
+}
+
+// a download of the inputs folder, that goes through the given statuses
+function download ( alfresco, statuses, options ) {
+    server.statuses = statuses;
+    const filename = Path.join( tmp, 'inputs.zip' );
+    const d = alfresco.download( 'inputs', filename, Object.assign( { pollingPeriod: 10 }, options ) );
+    return { download: d, filename: filename, failure: d.promise.then( () => null, (e) => e ) };
+}
+
+function deleted ( id ) {
+    return !server.nodes[ id ] && server.downloads[ id ].cancelled;
+}
+
+async function downloads ( alfresco ) {
+    const progress = [];
+    var d = download( alfresco, [ "PENDING", "IN_PROGRESS", "IN_PROGRESS", "DONE" ], { onProgress: (p) => progress.push( p ) } );
+    Assert.strictEqual( await d.failure, null );
+    Assert.strictEqual( Fs.readFileSync( d.filename, 'utf8' ), "zip of inputs" );
+    Assert.deepStrictEqual( progress.map( (p) => p.status ), [ "PENDING", "IN_PROGRESS", "IN_PROGRESS", "DONE" ] );
+    Assert.deepStrictEqual( progress[1], { status: "IN_PROGRESS", filesAdded: 2, totalFiles: 4, bytesAdded: 200, totalBytes: 400 } );
+    console.log("download OK");
+
+    Fs.unlinkSync( d.filename );
+    d = download( alfresco, [ "IN_PROGRESS", "CANCELLED" ] );
+    Assert.ok( /cancelled on the server/.test( ( await d.failure ).message ) );
+    d = download( alfresco, [ "IN_PROGRESS", "MAX_CONTENT_SIZE_EXCEEDED" ] );
+    Assert.ok( /exceeds the maximum content size/.test( ( await d.failure ).message ) );
+    Assert.ok( deleted( d.download.nodeId ) );
+    d = download( alfresco, [ "ARCHIVED" ] );
+    Assert.ok( /unexpected download status: ARCHIVED/.test( ( await d.failure ).message ) );
+    Assert.ok( deleted( d.download.nodeId ) );
+    Assert.ok( !Fs.existsSync( d.filename ) );
+    console.log("download terminal states OK");
+
+    d = download( alfresco, [ "IN_PROGRESS" ], { deadline: 100 } );
+    Assert.ok( /not ready after/.test( ( await d.failure ).message ) );
+    Assert.ok( deleted( d.download.nodeId ) );
+    Assert.ok( server.downloads[ d.download.nodeId ].polls > 1 );
+
+    // the content stops coming
+    const stalled = (req, url) => /\/content$/.test( url.pathname );
+    server.stalls.push( stalled );
+    d = download( alfresco, [ "IN_PROGRESS", "DONE" ], { deadline: 300 } );
+    Assert.ok( /not complete after/.test( ( await d.failure ).message ) );
+    Assert.ok( deleted( d.download.nodeId ) );
+    Assert.ok( !Fs.existsSync( d.filename ) );
+    console.log("download deadline OK");
+
+    const token = new CancellationToken();
+    d = download( alfresco, [ "IN_PROGRESS" ], { token: token, onProgress: (p) => p.filesAdded === 2 && token.cancel( "test" ) } );
+    const err = await d.failure;
+    Assert.ok( err instanceof AbortedError, err && err.stack );
+    const polls = server.downloads[ d.download.nodeId ].polls;
+    Assert.strictEqual( polls, 2 );
+    await new Promise( (resolve) => setTimeout( resolve, 50 ) );
+    Assert.strictEqual( server.downloads[ d.download.nodeId ].polls, polls, "no more polling" );
+    Assert.ok( deleted( d.download.nodeId ) );
+    Assert.ok( !Fs.existsSync( d.filename ) );
+
+    // while the content is transferred
+    d = download( alfresco, [ "DONE" ] );
+    while ( !d.download.stream ) {
+        await new Promise( (resolve) => setTimeout( resolve, 10 ) );
+    }
+    await d.download.cancel();
+    Assert.ok( ( await d.failure ) instanceof AbortedError );
+    Assert.ok( deleted( d.download.nodeId ) );
+    Assert.ok( !Fs.existsSync( d.filename ) );
+    remove( server.stalls, stalled );
+
+    // before it's created, the cancellation is over once it's deleted
+    d = download( alfresco, [ "DONE" ] );
+    await d.download.cancel();
+    Assert.ok( deleted( d.download.nodeId ) );
+    Assert.ok( ( await d.failure ) instanceof AbortedError );
+    Assert.ok( !Fs.existsSync( d.filename ) );
+    console.log("cancelled download OK");
+}
+
+
+server.listen().then( (url) => {
+    const alfresco = new Alfresco({ url: url, username: 'worker', password: 'secret', retry: RETRY });
+    return chunkedUpload( alfresco )
+        .then( () => chunkRetries( alfresco ) )
+        .then( () => resumedUpload( alfresco ) )
+        .then( () => verification( alfresco ) )
+        .then( () => transientFailures( alfresco ) )
+        .then( () => versionedUpload( alfresco ) )
+        .then( () => downloads( alfresco ) )
+        .then( () => ticketRenewal( url ) );
+})
+.then(
+    () => process.exitCode = 0,
+    (err) => { console.error( err ); process.exitCode = 1; }
+)
+.finally( () => {
+    server.close();
+    Fs.rmSync( tmp, { recursive: true, force: true } );
+});
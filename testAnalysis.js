@@ -0,0 +1,114 @@
+'use strict';
+
+/*
+ * Feeds outputs to the analysis of the programs and checks that:
+ *  - an error printed long before the end of the output is found, although only the tail is kept,
+ *  - the values of "capture" come from before the match, even when they were printed long before,
+ *  - a match across two pieces of output is found,
+ *  - the checks of the older pipelines become error rules, with a deprecation warning.
+ */
+
+const Fs = require('fs');
+const Assert = require('assert');
+
+const tmp = require('./testSetup')( 'analysis', () => ({ logger: { level: 'error' } }) );
+
+const Analysis = require('./analysis');
+const OutputLog = require('./output');
+const Pipeline = require('./pipeline');
+const ConfigurationError = require("./ConfigurationError");
+
+
+// runs the output through the analysis the way Study.execute does, by pieces of 1000 characters
+function run ( analysis, outputs, code ) {
+    const output = new OutputLog( null, { tailSize: 10000 } );
+    Object.keys( outputs ).forEach( (stream) => {
+        for ( var i = 0; i < outputs[ stream ].length; i += 1000 ) {
+            const data = outputs[ stream ].slice( i, i + 1000 );
+            output.write( stream, data );
+            analysis.watch( stream, data );
+        }
+    });
+    return analysis.analyze({ code: code || 0, signal: null, stdout: output.tail('stdout'), stderr: output.tail('stderr') });
+}
+
+function lines ( count, text ) {
+    return ( text + "\n" ).repeat( count );
+}
+
+
+function earlyErrors () {
+    // the simulation diverges, then goes on printing a lot
+    const stdout = lines( 10, "Time = 0.5" ) + lines( 10, "Time = 1.5" ) + "le solveur a divergé\n" + lines( 100000, "Time = 2" );
+    var res = run( Analysis.load( 'simulation' ), { stdout: stdout } );
+    Assert.strictEqual( res.success, false );
+    Assert.strictEqual( res.code, "SOLVER_DIVERGED" );
+    Assert.strictEqual( res.message, "solver diverged at t=1.5" );
+
+    // only the tail, as before
+    res = Analysis.load( 'simulation' ).analyze({ code: 0, signal: null, stdout: stdout.slice( -10000 ), stderr: "" });
+    Assert.strictEqual( res.success, true );
+
+    // the value of "capture" was printed before the pieces that are still scanned
+    res = run( Analysis.load( 'simulation' ), { stdout: lines( 5, "Time = 7" ) + lines( 100000, "iterating" ) + "a divergé\n" } );
+    Assert.strictEqual( res.message, "solver diverged at t=7" );
+
+    // the streams are kept apart
+    res = run( Analysis.load( 'emiCalc' ), { stdout: "IndexError: on stdout\n" + lines( 100000, "." ) } );
+    Assert.strictEqual( res.success, true );
+    res = run( Analysis.load( 'emiCalc' ), { stderr: "IndexError: list index out of range\n" + lines( 100000, "." ) } );
+    Assert.strictEqual( res.code, "EMICALC_FAILED" );
+    Assert.strictEqual( res.message, "emicalc failed: IndexError: list index out of range" );
+    console.log("early errors OK");
+}
+
+function acrossPieces () {
+    const analysis = new Analysis( 'solver', { errors: [ { code: "FATAL", pattern: "FATAL ERROR\\n(.*)", message: "{1}" } ] } );
+    // the pattern spans two lines, which are sent in two pieces, far from the end
+    analysis.watch( 'stdout', lines( 70000, "." ) + "FATAL ERROR\n" );
+    analysis.watch( 'stdout', "cannot open file\n" );
+    analysis.watch( 'stdout', lines( 100000, "." ) );
+    const res = analysis.analyze({ code: 0, signal: null, stdout: "", stderr: "" });
+    Assert.strictEqual( res.code, "FATAL" );
+    Assert.strictEqual( res.message, "cannot open file" );
+    console.log("match across pieces OK");
+}
+
+function checks () {
+    const pipeline = new Pipeline( 'test', [
+        { stage: "emiCalc", action: "execute", program: "emiCalc", checks: [
+            { pattern: "Traceback", streams: [ "stderr" ], message: "emicalc crashed." },
+            { pattern: "NaN", onMatch: "fail" },
+        ]},
+    ]);
+    const action = pipeline.actions[0];
+    Assert.strictEqual( action.checks, undefined );
+    Assert.strictEqual( action.rules.errors.length, 2 );
+
+    // the checks come before the rules of the program
+    var res = run( Analysis.load( 'emiCalc', action.rules ), { stderr: "Traceback (most recent call last):\nIndexError: oops\n" } );
+    Assert.strictEqual( res.code, "CHECK_FAILED" );
+    Assert.strictEqual( res.message, "emicalc crashed." );
+    Assert.strictEqual( res.onMatch, "abort" );
+    res = run( Analysis.load( 'emiCalc', action.rules ), { stdout: "concentration: NaN\n" } );
+    Assert.strictEqual( res.message, "emiCalc failed." );
+    Assert.strictEqual( res.onMatch, "fail" );
+    res = run( Analysis.load( 'emiCalc', action.rules ), { stderr: "IndexError: oops\n" } );
+    Assert.strictEqual( res.code, "EMICALC_FAILED" );
+
+    Assert.throws( () => new Pipeline( 'test', [ { action: "execute", program: "emiCalc", checks: [ { onMatch: "fail" } ] } ] ), ConfigurationError );
+    Assert.throws( () => new Pipeline( 'test', [ { action: "execute", program: "emiCalc", checks: [ { pattern: "(" } ] } ] ), ConfigurationError );
+    Assert.throws( () => new Pipeline( 'test', [ { action: "cleanup", checks: [ { pattern: "x" } ] } ] ), ConfigurationError );
+    console.log("checks OK");
+}
+
+
+Promise.resolve()
+    .then( earlyErrors )
+    .then( acrossPieces )
+    .then( checks )
+    .then(
+        () => process.exitCode = 0,
+        (err) => { console.error( err ); process.exitCode = 1; }
+    )
+    .finally( () => Fs.rmSync( tmp, { recursive: true, force: true } ) );
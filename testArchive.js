@@ -0,0 +1,141 @@
+'use strict';
+
+/*
+ * Writes and extracts archives with archive.js and checks that:
+ *  - what is archived is extracted as it was, in every format node supports,
+ *  - the entries that would end up outside of the destination are rejected, including through links
+ *    extracted before them,
+ *  - a file doesn't overwrite what a link in its place points to.
+ */
+
+const Fs = require('fs');
+const Path = require('path');
+const Zlib = require('zlib');
+const Assert = require('assert');
+
+const tmp = require('./testSetup')( 'archive' );
+
+const Archive = require('./archive');
+const ExtractionError = require("./ExtractionError");
+
+
+// a tar entry written by hand, archive.js doesn't write the entries these tests need
+function tarEntry ( name, type, content, linkname ) {
+    const data = Buffer.from( content || "" );
+    const header = Buffer.alloc( 512 );
+    header.write( name, 0 );
+    header.write( "0000644\0", 100 );
+    header.write( "0000000\0", 108 );
+    header.write( "0000000\0", 116 );
+    header.write( data.length.toString( 8 ).padStart( 11, "0" ) + "\0", 124 );
+    header.write( "00000000000\0", 136 );
+    header.write( "        ", 148 );
+    header.write( type, 156 );
+    header.write( linkname || "", 157 );
+    header.write( "ustar\0" + "00", 257 );
+    var sum = 0;
+    for ( var i = 0; i < 512; i++ ) {
+        sum += header[ i ];
+    }
+    header.write( sum.toString( 8 ).padStart( 6, "0" ) + "\0 ", 148 );
+    return Buffer.concat([ header, data, Buffer.alloc( ( 512 - data.length % 512 ) % 512 ) ]);
+}
+
+function tarFile ( filename, entries ) {
+    const tar = Buffer.concat( entries.map( (e) => tarEntry( ...e ) ).concat([ Buffer.alloc( 1024 ) ]) );
+    Fs.writeFileSync( filename, Zlib.gzipSync( tar ) );
+    return filename;
+}
+
+function rejects ( promise, code ) {
+    return promise.then(
+        () => Assert.fail( "the extraction should have failed" ),
+        (err) => {
+            Assert.ok( err instanceof ExtractionError, err.stack );
+            Assert.strictEqual( err.code, code );
+        });
+}
+
+
+async function roundTrip () {
+    const src = Path.join( tmp, 'src' );
+    Fs.mkdirSync( Path.join( src, 'constant', 'polyMesh' ), { recursive: true } );
+    Fs.writeFileSync( Path.join( src, 'constant', 'polyMesh', 'points' ), "1 2 3\n".repeat( 10000 ) );
+    Fs.writeFileSync( Path.join( src, 'controlDict' ), "application simpleFoam;\n" );
+    Fs.symlinkSync( 'controlDict', Path.join( src, 'link' ) );
+
+    for ( const format of Archive.formats.filter( (f) => f !== '7z' && ( f !== 'tar.zst' || Archive.DEFAULTS.format === 'tar.zst' ) ) ) {
+        const filename = Path.join( tmp, 'src' + Archive.extension( format ) );
+        await Archive.write( [ src ], filename, { format: format } );
+        Assert.strictEqual( Archive.detect( filename ), format );
+        const dest = Path.join( tmp, 'dest-' + format );
+        await Archive.extract( filename, dest );
+        Assert.strictEqual( Fs.readFileSync( Path.join( dest, 'src', 'constant', 'polyMesh', 'points' ), 'utf8' ), "1 2 3\n".repeat( 10000 ) );
+        Assert.strictEqual( Fs.readFileSync( Path.join( dest, 'src', 'controlDict' ), 'utf8' ), "application simpleFoam;\n" );
+        if ( format !== 'zip' ) {
+            Assert.strictEqual( Fs.readlinkSync( Path.join( dest, 'src', 'link' ) ), 'controlDict' );
+        }
+    }
+    console.log("round trip OK");
+}
+
+async function unsafePaths () {
+    const dest = Path.join( tmp, 'unsafe', 'dest' );
+    Fs.mkdirSync( dest, { recursive: true } );
+    const outside = Path.join( tmp, 'unsafe', 'escaped.txt' );
+
+    await rejects( Archive.extract( tarFile( Path.join( tmp, 'dotdot.tar.gz' ), [
+        [ "../escaped.txt", "0", "out" ],
+    ]), dest ), 'UNSAFE_PATH' );
+    await rejects( Archive.extract( tarFile( Path.join( tmp, 'absolute.tar.gz' ), [
+        [ outside, "0", "out" ],
+    ]), dest ), 'UNSAFE_PATH' );
+    await rejects( Archive.extract( tarFile( Path.join( tmp, 'link.tar.gz' ), [
+        [ "up", "2", "", ".." ],
+    ]), dest ), 'UNSAFE_PATH' );
+    Assert.ok( !Fs.existsSync( outside ) );
+    console.log("unsafe paths OK");
+}
+
+async function chainedLinks () {
+    const dest = Path.join( tmp, 'chained', 'a', 'dest' );
+    Fs.mkdirSync( dest, { recursive: true } );
+    // each link looks like it stays inside, but x/y/z really is two levels above the destination
+    const filename = tarFile( Path.join( tmp, 'chained.tar.gz' ), [
+        [ "x/", "5" ],
+        [ "x/y", "2", "", ".." ],
+        [ "x/y/z", "2", "", "../.." ],
+        [ "x/y/z/ev/escaped.txt", "0", "escaped" ],
+    ]);
+    await rejects( Archive.extract( filename, dest ), 'UNSAFE_PATH' );
+    Assert.ok( !Fs.existsSync( Path.join( tmp, 'chained', 'ev' ) ) );
+    Assert.ok( !Fs.existsSync( Path.join( tmp, 'ev' ) ) );
+    Assert.ok( !Fs.existsSync( Path.join( dest, 'z' ) ) );
+    console.log("chained links OK");
+}
+
+async function fileOverLink () {
+    const dest = Path.join( tmp, 'overlink', 'dest' );
+    Fs.mkdirSync( dest, { recursive: true } );
+    Fs.writeFileSync( Path.join( dest, 'target.txt' ), "unchanged" );
+    const filename = tarFile( Path.join( tmp, 'overlink.tar.gz' ), [
+        [ "link", "2", "", "target.txt" ],
+        [ "link", "0", "replaced" ],
+    ]);
+    await Archive.extract( filename, dest );
+    Assert.strictEqual( Fs.readFileSync( Path.join( dest, 'target.txt' ), 'utf8' ), "unchanged" );
+    Assert.ok( !Fs.lstatSync( Path.join( dest, 'link' ) ).isSymbolicLink() );
+    Assert.strictEqual( Fs.readFileSync( Path.join( dest, 'link' ), 'utf8' ), "replaced" );
+    console.log("file over a link OK");
+}
+
+
+roundTrip()
+    .then( unsafePaths )
+    .then( chainedLinks )
+    .then( fileOverLink )
+    .then(
+        () => process.exitCode = 0,
+        (err) => { console.error( err ); process.exitCode = 1; }
+    )
+    .finally( () => Fs.rmSync( tmp, { recursive: true, force: true } ) );
@@ -0,0 +1,180 @@
+'use strict';
+
+/*
+ * Runs the queue consumer against a local STOMP broker stand-in and checks that:
+ *  - handled messages are acknowledged,
+ *  - failing messages are retried, then dead-lettered with their error,
+ *  - malformed messages are dead-lettered right away,
+ *  - the consumer reconnects when the broker drops the connection.
+ */
+
+const Fs = require('fs');
+const Net = require('net');
+const Assert = require('assert');
+
+const tmp = require('./testSetup')( 'consumer' );
+
+const Consumer = require('./consumer');
+const MalformedMessageError = require("./MalformedMessageError");
+
+const QUEUE = '/queue/test';
+const DLQ = '/queue/test.DLQ';
+
+
+class StandInBroker {
+
+    constructor () {
+        this.sockets = [];
+        this.subscriptions = [];
+        this.acks = [];
+        this.queues = {};
+        this.connections = 0;
+        this.counter = 0;
+        this.server = Net.createServer( (socket) => this.accept( socket ) );
+    }
+
+    listen () {
+        return new Promise( (resolve) => this.server.listen( 0, '127.0.0.1', () => resolve( this.server.address().port ) ) );
+    }
+
+    close () {
+        this.sockets.forEach( (s) => s.destroy() );
+        this.server.close();
+    }
+
+    // drops all the connections, as a crashing broker would
+    drop () {
+        this.sockets.forEach( (s) => s.destroy() );
+        this.sockets = [];
+        this.subscriptions = [];
+    }
+
+    accept ( socket ) {
+        this.sockets.push( socket );
+        var buffer = "";
+        socket.on('data', (data) => {
+            buffer += data.toString();
+            var idx;
+            while ( ( idx = buffer.indexOf( '\0' ) ) >= 0 ) {
+                this.frame( socket, buffer.slice( 0, idx ).replace( /^\n+/, '' ) );
+                buffer = buffer.slice( idx + 1 );
+            }
+        });
+        socket.on('error', () => {});
+    }
+
+    frame ( socket, raw ) {
+        const sep = raw.indexOf( '\n\n' );
+        const lines = raw.slice( 0, sep ).split( '\n' );
+        const body = raw.slice( sep + 2 );
+        const command = lines.shift();
+        const headers = {};
+        lines.forEach( (l) => {
+            const i = l.indexOf( ':' );
+            headers[ l.slice( 0, i ) ] = l.slice( i + 1 );
+        });
+
+        switch ( command ) {
+        case 'CONNECT':
+            this.connections++;
+            this.send( socket, 'CONNECTED', { session: 'session-' + this.connections, version: '1.1' } );
+            break;
+        case 'SUBSCRIBE':
+            this.subscriptions.push({ socket: socket, id: headers.id, destination: headers.destination });
+            break;
+        case 'SEND':
+            ( this.queues[ headers.destination ] = this.queues[ headers.destination ] || [] ).push({ headers: headers, body: body });
+            this.deliver( headers.destination, body, headers );
+            break;
+        case 'ACK':
+            this.acks.push( headers['message-id'] );
+            break;
+        }
+    }
+
+    deliver ( destination, body, headers ) {
+        this.subscriptions.filter( (s) => s.destination === destination ).slice( 0, 1 ).forEach( (s) => {
+            const h = Object.assign( {}, headers, { destination: destination, subscription: s.id, 'message-id': 'msg-' + (++this.counter) } );
+            this.send( s.socket, 'MESSAGE', h, body );
+        });
+    }
+
+    send ( socket, command, headers, body ) {
+        const h = Object.keys( headers ).map( (k) => k + ':' + headers[ k ] ).join( '\n' );
+        socket.write( command + '\n' + h + '\n\n' + ( body || '' ) + '\0' );
+    }
+}
+
+
+function wait ( ms ) {
+    return new Promise( (resolve) => setTimeout( resolve, ms ) );
+}
+
+const broker = new StandInBroker();
+var consumer = null;
+
+broker.listen().then( (port) => {
+    const handled = [];
+    consumer = new Consumer({
+        host:               '127.0.0.1',
+        port:               port,
+        queue:              QUEUE,
+        deadLetterQueue:    DLQ,
+        maxAttempts:        3,
+        retryDelay:         0,
+        reconnect:          { delay: 100, maxDelay: 1000 },
+    }, (body) => {
+        handled.push( body );
+        switch ( body ) {
+        case 'ok':      return Promise.resolve();
+        case 'bad':     return Promise.reject( new MalformedMessageError("bad message") );
+        default:        return Promise.reject( new Error("failed\nto handle") );
+        }
+    });
+
+    return consumer.start()
+        // let the SUBSCRIBE frame reach the broker
+        .then( () => wait( 100 ) )
+        .then( () => {
+            broker.deliver( QUEUE, 'ok', {} );
+            broker.deliver( QUEUE, 'bad', {} );
+            broker.deliver( QUEUE, 'fail', {} );
+            return wait( 500 );
+        })
+        .then( () => {
+            Assert.deepStrictEqual( handled.filter( (b) => b === 'ok' ).length, 1 );
+            Assert.deepStrictEqual( handled.filter( (b) => b === 'bad' ).length, 1 );
+            Assert.deepStrictEqual( handled.filter( (b) => b === 'fail' ).length, 3 );
+            const dead = broker.queues[ DLQ ] || [];
+            Assert.deepStrictEqual( dead.map( (m) => m.body ).sort(), [ 'bad', 'fail' ] );
+            Assert.ok( dead.every( (m) => m.headers['arendel-error'] ) );
+            // every delivery has been acknowledged: 1 ok + 1 bad + 3 fail
+            Assert.strictEqual( broker.acks.length, 5 );
+            console.log("acknowledgements and dead-lettering OK");
+
+            broker.drop();
+            return wait( 1000 );
+        })
+        .then( () => {
+            Assert.ok( consumer.connected, "consumer should have reconnected" );
+            Assert.strictEqual( broker.connections, 2 );
+            Assert.strictEqual( broker.subscriptions.length, 1 );
+            broker.deliver( QUEUE, 'ok', {} );
+            return wait( 200 );
+        })
+        .then( () => {
+            Assert.strictEqual( handled.filter( (b) => b === 'ok' ).length, 2 );
+            console.log("reconnection OK");
+        });
+})
+.then(
+    () => process.exitCode = 0,
+    (err) => { console.error( err ); process.exitCode = 1; }
+)
+.finally( () => {
+    if ( consumer ) {
+        consumer.stop();
+    }
+    broker.close();
+    Fs.rmSync( tmp, { recursive: true, force: true } );
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+/*
+ * Extracts input archives the way Study.extract does, with extraction.js and archive.js, and checks that:
+ *  - the entries that would end up outside of the study directory fail the extraction,
+ *  - the collisions are resolved as configured, keepLast by default,
+ *  - the limits on the number of entries and on the size are enforced, also when the archive lies
+ *    about the sizes,
+ *  - the folders are kept with the "preserve" layout.
+ */
+
+const Fs = require('fs');
+const Path = require('path');
+const Zlib = require('zlib');
+const Assert = require('assert');
+
+const tmp = require('./testSetup')( 'extraction' );
+
+const Archive = require('./archive');
+const Extraction = require('./extraction');
+const ExtractionError = require("./ExtractionError");
+
+
+// a tar entry written by hand, so that it can hold what archive.js would never write
+function tarEntry ( name, content ) {
+    const data = Buffer.from( content );
+    const header = Buffer.alloc( 512 );
+    header.write( name, 0 );
+    header.write( "0000644\0", 100 );
+    header.write( data.length.toString( 8 ).padStart( 11, "0" ) + "\0", 124 );
+    header.write( "00000000000\0", 136 );
+    header.write( "        ", 148 );
+    header.write( "0", 156 );
+    header.write( "ustar\0" + "00", 257 );
+    var sum = 0;
+    for ( var i = 0; i < 512; i++ ) {
+        sum += header[ i ];
+    }
+    header.write( sum.toString( 8 ).padStart( 6, "0" ) + "\0 ", 148 );
+    return Buffer.concat([ header, data, Buffer.alloc( ( 512 - data.length % 512 ) % 512 ) ]);
+}
+
+function tarFile ( name, entries ) {
+    const filename = Path.join( tmp, name );
+    Fs.writeFileSync( filename, Zlib.gzipSync( Buffer.concat( entries.map( (e) => tarEntry( ...e ) ).concat([ Buffer.alloc( 1024 ) ]) ) ) );
+    return filename;
+}
+
+// an input folder as alfresco sends it: a zip with the name of the folder first
+async function zipFile ( name, files ) {
+    const src = Path.join( tmp, 'src-' + name, 'inputs' );
+    Object.keys( files ).forEach( (f) => {
+        Fs.mkdirSync( Path.dirname( Path.join( src, f ) ), { recursive: true } );
+        Fs.writeFileSync( Path.join( src, f ), files[ f ] );
+    });
+    return Archive.write( [ src ], Path.join( tmp, name + '.zip' ), { format: 'zip' } );
+}
+
+// what Study.extract does
+async function extract ( archive, options ) {
+    const dest = Fs.mkdtempSync( Path.join( tmp, 'study-' ) );
+    const extraction = new Extraction( Object.assign( {}, Extraction.DEFAULTS, options ) );
+    const plan = extraction.plan( await Archive.list( archive ) );
+    await Archive.extract( archive, dest, {
+        maxFiles:   extraction.options.maxFiles,
+        maxSize:    extraction.options.maxSize,
+        map:        (entry) => plan.targets[ entry.index ],
+    });
+    return { dest: dest, warnings: plan.warnings };
+}
+
+function rejects ( promise, code, message ) {
+    return promise.then(
+        () => Assert.fail( "the extraction should have failed" ),
+        (err) => {
+            Assert.ok( err instanceof ExtractionError, err.stack );
+            Assert.strictEqual( err.code, code );
+            if ( message ) {
+                Assert.ok( message.test( err.message ), err.message );
+            }
+        });
+}
+
+
+async function traversal () {
+    await rejects( extract( tarFile( 'dotdot.tar.gz', [ [ "inputs/../../escaped.txt", "out" ] ] ) ), 'UNSAFE_PATH' );
+    await rejects( extract( tarFile( 'absolute.tar.gz', [ [ Path.join( tmp, 'escaped.txt' ), "out" ] ] ), { layout: 'preserve' } ), 'UNSAFE_PATH' );
+    Assert.ok( !Fs.existsSync( Path.join( tmp, 'escaped.txt' ) ) );
+    console.log("path traversal OK");
+}
+
+async function collisions () {
+    const archive = await zipFile( 'collisions', { "a/mesh.stl": "first", "b/mesh.stl": "last", "c/other.stl": "other" } );
+
+    var result = await extract( archive );
+    Assert.strictEqual( Fs.readFileSync( Path.join( result.dest, 'mesh.stl' ), 'utf8' ), "last" );
+    Assert.strictEqual( Fs.readFileSync( Path.join( result.dest, 'other.stl' ), 'utf8' ), "other" );
+    Assert.strictEqual( result.warnings.length, 1 );
+    Assert.strictEqual( result.warnings[0].code, 'NAME_COLLISION' );
+
+    result = await extract( archive, { onCollision: 'keepFirst' } );
+    Assert.strictEqual( Fs.readFileSync( Path.join( result.dest, 'mesh.stl' ), 'utf8' ), "first" );
+
+    await rejects( extract( archive, { onCollision: 'fail' } ), 'NAME_COLLISION', /mesh\.stl \(inputs\/a\/mesh\.stl, inputs\/b\/mesh\.stl\)/ );
+
+    // the folders are kept, so there is no collision
+    result = await extract( archive, { layout: 'preserve', onCollision: 'fail' } );
+    Assert.strictEqual( Fs.readFileSync( Path.join( result.dest, 'a', 'mesh.stl' ), 'utf8' ), "first" );
+    Assert.strictEqual( Fs.readFileSync( Path.join( result.dest, 'b', 'mesh.stl' ), 'utf8' ), "last" );
+    console.log("collisions OK");
+}
+
+async function limits () {
+    const archive = await zipFile( 'limits', { "1.txt": "12345", "2.txt": "12345", "3.txt": "12345" } );
+    await rejects( extract( archive, { maxFiles: 2 } ), 'ARCHIVE_TOO_LARGE', /3 entries, the limit is 2/ );
+    await rejects( extract( archive, { maxSize: 14 } ), 'ARCHIVE_TOO_LARGE', /15 bytes, the limit is 14/ );
+    await extract( archive, { maxFiles: 3, maxSize: 15 } );
+
+    // the sizes announced by the archive are not trusted: the central directory says 5 bytes, there are 1000
+    const liar = await zipFile( 'liar', { "big.txt": "x".repeat( 1000 ) } );
+    const data = Fs.readFileSync( liar );
+    for ( var pos = data.indexOf( Buffer.from([ 0x50, 0x4b, 0x01, 0x02 ]) ); pos >= 0; pos = data.indexOf( Buffer.from([ 0x50, 0x4b, 0x01, 0x02 ]), pos + 4 ) ) {
+        data.writeUInt32LE( 5, pos + 24 );
+    }
+    Fs.writeFileSync( liar, data );
+    await rejects( extract( liar, { maxSize: 100 } ), 'ARCHIVE_TOO_LARGE', /larger than 100 bytes/ );
+
+    const dest = Fs.mkdtempSync( Path.join( tmp, 'study-' ) );
+    await rejects( Archive.extract( archive, dest, { maxFiles: 1 } ), 'ARCHIVE_TOO_LARGE', /more than 1 entries/ );
+    console.log("limits OK");
+}
+
+
+traversal()
+    .then( collisions )
+    .then( limits )
+    .then(
+        () => process.exitCode = 0,
+        (err) => { console.error( err ); process.exitCode = 1; }
+    )
+    .finally( () => Fs.rmSync( tmp, { recursive: true, force: true } ) );
@@ -0,0 +1,150 @@
+'use strict';
+
+/*
+ * Records tasks in the journal and recovers them the way the worker does when it starts, and checks that:
+ *  - the journal survives on disk, and a corrupted one is ignored,
+ *  - the entries written by another process in the meantime are kept, a lock left behind is removed,
+ *  - a program is alive as long as its process group is, even once the program itself is gone,
+ *  - a pid reused by another program is not taken for ours,
+ *  - the recovery kills the orphaned processes and fails or requeues their tasks.
+ */
+
+const Fs = require('fs');
+const Path = require('path');
+const Assert = require('assert');
+const ChildProcess = require('child_process');
+
+const tmp = require('./testSetup')( 'journal', (dir) => ({
+    worker:     { journal: Path.join( dir, 'journal.json' ), recovery: 'fail' },
+}) );
+
+const Config = require('./config');
+const Journal = require('./journal');
+const Study = require('./study');
+
+const STUDY = 'workspace://SpacesStore/study';
+const SIMULATION = 'workspace://SpacesStore/simulation';
+// the process groups started by the tests, killed at the end whatever happens
+const groups = [];
+
+
+// a program that leaves a process behind it in its group, like a script that starts a solver and dies
+function orphan () {
+    return new Promise( (resolve, reject) => {
+        const child = ChildProcess.spawn( 'sh', [ '-c', 'sleep 60 & exit 0' ], { detached: true, stdio: 'ignore' } );
+        child.on('error', reject);
+        groups.push( child.pid );
+        child.on('exit', () => resolve( child.pid ) );
+    });
+}
+
+function groupExists ( pgid ) {
+    try {
+        process.kill( -pgid, 0 );
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// the killed processes are gone once they have been reaped
+async function waitForGroup ( pgid ) {
+    const deadline = Date.now() + 10000;
+    while ( groupExists( pgid ) && Date.now() < deadline ) {
+        await new Promise( (resolve) => setTimeout( resolve, 50 ) );
+    }
+    return !groupExists( pgid );
+}
+
+// what the local backend recorded of a node
+function readNode ( nodeRef, file ) {
+    return JSON.parse( Fs.readFileSync( Path.join( tmp, 'store', nodeRef.split( '/' ).pop(), file ) ) );
+}
+
+
+async function persistence () {
+    const path = Config.getWorkerConfig().journal;
+    Fs.writeFileSync( path, "{ truncated" );
+    Assert.deepStrictEqual( Journal.list(), [] );
+
+    Journal.record( STUDY, { step: 'simulation', taskNodeRef: SIMULATION, stage: null } );
+    Journal.update( STUDY, { stage: 'simulation', pid: 1234, program: '/srv/airetd/simulation.sh' } );
+    Journal.update( 'workspace://SpacesStore/unknown', { stage: 'meshing' } );
+    const saved = JSON.parse( Fs.readFileSync( path ) );
+    Assert.deepStrictEqual( Object.keys( saved ), [ STUDY ] );
+    Assert.strictEqual( saved[ STUDY ].stage, 'simulation' );
+    Assert.strictEqual( saved[ STUDY ].pid, 1234 );
+    Assert.strictEqual( Journal.list()[0].nodeRef, STUDY );
+
+    // the CLI records a task while the worker runs another one
+    const OTHER = 'workspace://SpacesStore/other';
+    Fs.writeFileSync( path, JSON.stringify( Object.assign( { [ OTHER ]: { step: 'meshing' } }, saved ) ) );
+    Journal.update( STUDY, { stage: 'postproc' } );
+    Assert.deepStrictEqual( Journal.list().map( (e) => e.nodeRef ).sort(), [ OTHER, STUDY ].sort() );
+    Journal.remove( OTHER );
+
+    // a process died while it held the lock
+    Fs.writeFileSync( path + ".lock", "" );
+    const old = new Date( Date.now() - 60000 );
+    Fs.utimesSync( path + ".lock", old, old );
+    Journal.remove( STUDY );
+    Assert.deepStrictEqual( JSON.parse( Fs.readFileSync( path ) ), {} );
+    Assert.ok( !Fs.existsSync( path + ".tmp" ) );
+    Assert.ok( !Fs.existsSync( path + ".lock" ) );
+    console.log("persistence OK");
+}
+
+async function liveness () {
+    Assert.strictEqual( Journal.isAlive( { pid: null } ), false );
+
+    const pgid = await orphan();
+    Assert.strictEqual( Journal.isAlive( { pid: pgid, program: 'sh' } ), true, "the group outlives its leader" );
+    process.kill( -pgid, 'SIGKILL' );
+    Assert.ok( await waitForGroup( pgid ) );
+    Assert.strictEqual( Journal.isAlive( { pid: pgid, program: 'sh' } ), false );
+
+    // the pid now belongs to another program
+    const other = ChildProcess.spawn( 'sleep', [ '60' ], { detached: true, stdio: 'ignore' } );
+    groups.push( other.pid );
+    Assert.strictEqual( Journal.isAlive( { pid: other.pid, program: '/srv/airetd/simulation.sh' } ), false );
+    Assert.strictEqual( Journal.isAlive( { pid: other.pid, program: 'sleep' } ), true );
+    console.log("liveness OK");
+}
+
+async function recovery () {
+    const pgid = await orphan();
+    Journal.record( STUDY, { step: 'simulation', taskNodeRef: SIMULATION, stage: 'simulation', pid: pgid, program: 'sh' } );
+    Journal.record( 'workspace://SpacesStore/invalid', { step: 'unknown' } );
+
+    var commands = await Study.recover();
+    Assert.deepStrictEqual( commands, [] );
+    Assert.ok( await waitForGroup( pgid ), "the orphaned processes are killed" );
+    Assert.deepStrictEqual( Journal.list(), [] );
+    Assert.strictEqual( readNode( SIMULATION, 'properties.json' )[ 'cfd:simulation_status' ], 'FAILED' );
+    const task = readNode( SIMULATION, 'tasks/simulation.json' );
+    Assert.strictEqual( task.stage, 'simulation' );
+    Assert.strictEqual( task.classification.code, 'INTERRUPTED' );
+    console.log("recovery of a failed task OK");
+
+    Config.getWorkerConfig().recovery = 'requeue';
+    Journal.record( STUDY, { step: 'simulation', taskNodeRef: SIMULATION, stage: 'simulation', pid: null } );
+    commands = await Study.recover();
+    Assert.deepStrictEqual( commands, [ { cmd: 'start-simulation', nodeRef: STUDY, simNodeRef: SIMULATION } ] );
+    Assert.strictEqual( readNode( SIMULATION, 'properties.json' )[ 'cfd:simulation_status' ], 'TODO' );
+    Assert.strictEqual( readNode( SIMULATION, 'tasks/simulation.json' ).stage, null );
+    Assert.deepStrictEqual( Journal.list(), [] );
+    console.log("recovery of a requeued task OK");
+}
+
+
+persistence()
+    .then( liveness )
+    .then( recovery )
+    .then(
+        () => process.exitCode = 0,
+        (err) => { console.error( err ); process.exitCode = 1; }
+    )
+    .finally( () => {
+        groups.filter( groupExists ).forEach( (pgid) => process.kill( -pgid, 'SIGKILL' ) );
+        Fs.rmSync( tmp, { recursive: true, force: true } );
+    });
@@ -0,0 +1,124 @@
+'use strict';
+
+/*
+ * Submits jobs to the scheduler and checks that:
+ *  - no more than maxJobs jobs run at the same time, and their cores stay within the budget,
+ *  - the waiting jobs start in the order they were submitted, and are told their position,
+ *  - a job larger than the budget runs, but alone,
+ *  - a waiting job can be cancelled, only with its step, and a job cannot be submitted twice.
+ */
+
+const Fs = require('fs');
+const Assert = require('assert');
+
+const tmp = require('./testSetup')( 'scheduler' );
+
+const Scheduler = require('./scheduler');
+
+
+// a job that runs until it's finished by the test
+class TestJob {
+
+    constructor ( scheduler, id, step, started ) {
+        this.id = id;
+        this.positions = [];
+        this.result = scheduler.submit({
+            id:         id,
+            step:       step,
+            run:        () => new Promise( (resolve) => {
+                started.push( id );
+                this.finish = resolve;
+            }),
+            onQueued:   (position) => this.positions.push( position ),
+        }).then( () => "done", (err) => err );
+    }
+}
+
+function tick () {
+    return new Promise( (resolve) => setImmediate( resolve ) );
+}
+
+
+async function limits () {
+    const scheduler = new Scheduler({ maxJobs: 2, cores: 32, steps: { meshing: 20, simulation: 10, postproc: 1 } });
+    const started = [];
+    const a = new TestJob( scheduler, 'a', 'simulation', started );
+    const b = new TestJob( scheduler, 'b', 'meshing', started );
+    const c = new TestJob( scheduler, 'c', 'meshing', started );
+    const d = new TestJob( scheduler, 'd', 'postproc', started );
+    await tick();
+    // 10 + 20 cores, c would need 20 more; d would fit but doesn't overtake c
+    Assert.deepStrictEqual( started, [ 'a', 'b' ] );
+    Assert.strictEqual( scheduler.usedCores(), 30 );
+    Assert.deepStrictEqual( c.positions, [ 1 ] );
+    Assert.deepStrictEqual( d.positions, [ 2 ] );
+
+    b.finish();
+    await tick();
+    await tick();
+    Assert.deepStrictEqual( started, [ 'a', 'b', 'c' ] );
+    Assert.strictEqual( await b.result, "done" );
+    Assert.deepStrictEqual( d.positions, [ 2, 1 ] );
+
+    a.finish();
+    await tick();
+    await tick();
+    Assert.deepStrictEqual( started, [ 'a', 'b', 'c', 'd' ] );
+    Assert.ok( scheduler.running.length <= 2 );
+    c.finish();
+    d.finish();
+    Assert.deepStrictEqual( [ await c.result, await d.result ], [ "done", "done" ] );
+    console.log("concurrency and core budget OK");
+}
+
+async function largeJob () {
+    const scheduler = new Scheduler({ maxJobs: 4, cores: 8, steps: { simulation: 30, postproc: 1 } });
+    const started = [];
+    const a = new TestJob( scheduler, 'a', 'simulation', started );
+    const b = new TestJob( scheduler, 'b', 'postproc', started );
+    await tick();
+    Assert.deepStrictEqual( started, [ 'a' ] );
+    a.finish();
+    await tick();
+    await tick();
+    Assert.deepStrictEqual( started, [ 'a', 'b' ] );
+    b.finish();
+    await b.result;
+    console.log("job larger than the budget OK");
+}
+
+async function cancel () {
+    const scheduler = new Scheduler({ maxJobs: 1, cores: 32 });
+    const started = [];
+    const a = new TestJob( scheduler, 'a', 'postproc', started );
+    const b = new TestJob( scheduler, 'b', 'postproc', started );
+    const c = new TestJob( scheduler, 'c', 'postproc', started );
+    await tick();
+    const again = await scheduler.submit({ id: 'b', step: 'postproc', run: () => null }).then( () => null, (err) => err );
+    Assert.ok( /already scheduled/.test( again.message ) );
+
+    Assert.strictEqual( scheduler.cancel( 'b', 'meshing' ), null, "the job of another step is left in the queue" );
+    Assert.ok( scheduler.cancel( 'b', 'postproc' ) );
+    Assert.ok( /cancelled while waiting/.test( ( await b.result ).message ) );
+    Assert.strictEqual( scheduler.cancel( 'a' ), null, "a running job is not cancelled by the scheduler" );
+    await tick();
+    Assert.deepStrictEqual( c.positions, [ 2, 1 ] );
+
+    a.finish();
+    await tick();
+    await tick();
+    Assert.deepStrictEqual( started, [ 'a', 'c' ] );
+    c.finish();
+    await c.result;
+    console.log("cancellation OK");
+}
+
+
+limits()
+    .then( largeJob )
+    .then( cancel )
+    .then(
+        () => process.exitCode = 0,
+        (err) => { console.error( err ); process.exitCode = 1; }
+    )
+    .finally( () => Fs.rmSync( tmp, { recursive: true, force: true } ) );
@@ -0,0 +1,27 @@
+'use strict';
+
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+
+
+/**
+ * Creates the temporary directory of a test and, unless WORKER_CONFIG_FILE is already set,
+ * writes in it a conf.json for the worker's modules to load: it has to be called before requiring them
+ * @param {string} name - the name of the test, for the directory
+ * @param {function} [sections] - returns, from the directory, the sections to add to the configuration or to replace in it
+ * @return {string} the directory, which the test removes once done
+ */
+module.exports = function ( name, sections ) {
+    const tmp = Fs.mkdtempSync( Path.join( Os.tmpdir(), 'test-' + name + '-' ) );
+    if ( !process.env.WORKER_CONFIG_FILE ) {
+        process.env.WORKER_CONFIG_FILE = Path.join( tmp, 'conf.json' );
+        Fs.writeFileSync( process.env.WORKER_CONFIG_FILE, JSON.stringify( Object.assign({
+            backend:    { type: 'local', dir: Path.join( tmp, 'store' ) },
+            activemq:   { host: 'localhost', port: 61613 },
+            logger:     { level: 'warn' },
+            airetd:     { path: tmp, programs: {} },
+        }, sections && sections( tmp ) ) ) );
+    }
+    return tmp;
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const Logger = require('./logger');
+
+
+/**
+ * Calls an asynchronous function at most once every interval, whatever the number of triggers.
+ * A call never starts while the previous one is still running.
+ */
+class Throttle {
+
+    /**
+     * @param {function} fn - returns a promise
+     * @param {number} interval - in milliseconds
+     */
+    constructor ( fn, interval ) {
+        this.fn = fn;
+        this.interval = interval;
+        this.last = 0;
+        this.timer = null;
+        this.running = null;
+        this.stopped = false;
+    }
+
+    trigger () {
+        if ( this.stopped || this.timer ) {
+            return;
+        }
+        const wait = Math.max( 0, this.last + this.interval - Date.now() );
+        this.timer = setTimeout( () => this.call(), wait );
+    }
+
+    call () {
+        this.timer = null;
+        if ( this.stopped ) {
+            return;
+        }
+        if ( this.running ) {
+            // try again once the current call is done
+            this.running.then( () => this.trigger() );
+            return;
+        }
+        this.last = Date.now();
+        this.running = Promise.resolve()
+            .then( () => this.fn() )
+            .catch( (err) => Logger.error( err ) )
+            .then( () => { this.running = null; } );
+    }
+
+    /**
+     * Cancels the pending call, if any
+     * @return {Promise} resolved once the running call, if any, is done
+     */
+    stop () {
+        this.stopped = true;
+        clearTimeout( this.timer );
+        this.timer = null;
+        return this.running || Promise.resolve();
+    }
+}
+
+module.exports = Throttle;